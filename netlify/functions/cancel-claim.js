@@ -0,0 +1,4 @@
+import { createNetlifyHandler } from '../../utils/api/netlifyAdapter.js';
+import { cancelClaim } from '../../utils/api/cancelClaim.js';
+
+export const handler = createNetlifyHandler('POST', cancelClaim);
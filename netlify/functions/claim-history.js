@@ -0,0 +1,4 @@
+import { createNetlifyHandler } from '../../utils/api/netlifyAdapter.js';
+import { claimHistory } from '../../utils/api/claimHistory.js';
+
+export const handler = createNetlifyHandler('GET', claimHistory);
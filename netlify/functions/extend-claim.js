@@ -0,0 +1,4 @@
+import { createNetlifyHandler } from '../../utils/api/netlifyAdapter.js';
+import { extendClaim } from '../../utils/api/extendClaim.js';
+
+export const handler = createNetlifyHandler('POST', extendClaim);
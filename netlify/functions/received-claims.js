@@ -0,0 +1,4 @@
+import { createNetlifyHandler } from '../../utils/api/netlifyAdapter.js';
+import { receivedClaims } from '../../utils/api/receivedClaims.js';
+
+export const handler = createNetlifyHandler('GET', receivedClaims);
@@ -0,0 +1,4 @@
+import { createNetlifyHandler } from '../../utils/api/netlifyAdapter.js';
+import { submitCancel } from '../../utils/api/submitCancel.js';
+
+export const handler = createNetlifyHandler('POST', submitCancel);
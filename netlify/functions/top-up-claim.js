@@ -0,0 +1,4 @@
+import { createNetlifyHandler } from '../../utils/api/netlifyAdapter.js';
+import { topUpClaim } from '../../utils/api/topUpClaim.js';
+
+export const handler = createNetlifyHandler('POST', topUpClaim);
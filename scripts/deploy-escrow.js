@@ -0,0 +1,71 @@
+import 'dotenv/config';
+import algosdk from 'algosdk';
+import { createAlgodClient, NETWORK_CONFIGS } from '../utils/algorandClient.js';
+import { createEscrowContractTeal, ESCROW_CLEAR_TEAL, ESCROW_ACCOUNT_MIN_BALANCE } from '../utils/escrowContract.js';
+
+// Deploy the shared escrow application for a network and fund its base minimum balance.
+// Usage: DEPLOYER_MNEMONIC="..." node scripts/deploy-escrow.js [testnet|mainnet|localnet]
+const network = process.argv[2] || 'testnet';
+
+async function deployEscrow() {
+  if (!NETWORK_CONFIGS[network]) {
+    throw new Error(`Unsupported network: ${network}`);
+  }
+
+  const mnemonic = (process.env.DEPLOYER_MNEMONIC || '').trim().replace(/\s+/g, ' ');
+  if (!mnemonic) {
+    throw new Error('DEPLOYER_MNEMONIC is not set');
+  }
+  const deployer = algosdk.mnemonicToSecretKey(mnemonic);
+  const deployerAddress = deployer.addr.toString();
+
+  const algodClient = createAlgodClient(network);
+  console.log(`📝 Deploying escrow to ${NETWORK_CONFIGS[network].name} from ${deployerAddress}`);
+
+  // Compile the approval and clear programs
+  const compileResponse = await algodClient.compile(createEscrowContractTeal()).do();
+  const approvalProgram = new Uint8Array(Buffer.from(compileResponse.result, 'base64'));
+  console.log(`✅ TEAL compilation successful, hash: ${compileResponse.hash}`);
+  const clearResponse = await algodClient.compile(ESCROW_CLEAR_TEAL).do();
+  const clearProgram = new Uint8Array(Buffer.from(clearResponse.result, 'base64'));
+
+  const suggestedParams = await algodClient.getTransactionParams().do();
+
+  // Create the application (claims live in boxes, so no global or local state)
+  const createTxn = algosdk.makeApplicationCreateTxnFromObject({
+    sender: deployerAddress,
+    suggestedParams,
+    onComplete: algosdk.OnApplicationComplete.NoOpOC,
+    approvalProgram,
+    clearProgram,
+    numLocalInts: 0,
+    numLocalByteSlices: 0,
+    numGlobalInts: 0,
+    numGlobalByteSlices: 0
+  });
+
+  const { txid: createTxId } = await algodClient.sendRawTransaction(createTxn.signTxn(deployer.sk)).do();
+  const confirmed = await algosdk.waitForConfirmation(algodClient, createTxId, 10);
+  const appId = Number(confirmed.applicationIndex);
+  const appAddress = algosdk.getApplicationAddress(appId).toString();
+  console.log(`✅ Escrow created with ID ${appId} (${appAddress})`);
+
+  // Fund the escrow account's own minimum balance
+  const fundTxn = algosdk.makePaymentTxnWithSuggestedParamsFromObject({
+    sender: deployerAddress,
+    receiver: appAddress,
+    amount: ESCROW_ACCOUNT_MIN_BALANCE,
+    suggestedParams,
+    note: new TextEncoder().encode('RandCash escrow minimum balance')
+  });
+  const { txid: fundTxId } = await algodClient.sendRawTransaction(fundTxn.signTxn(deployer.sk)).do();
+  await algosdk.waitForConfirmation(algodClient, fundTxId, 10);
+  console.log('✅ Escrow account funded');
+
+  console.log(`\nSet ESCROW_APP_ID_${network.toUpperCase()}=${appId} in your environment.`);
+}
+
+deployEscrow().catch(error => {
+  console.error('❌ Escrow deployment failed:', error.message);
+  process.exit(1);
+});
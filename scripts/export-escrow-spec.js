@@ -0,0 +1,14 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEscrowAppSpec, createEscrowArc32Spec } from '../utils/escrowContract.js';
+
+// Write the escrow's ARC-56 and ARC-32 app specs to public/contracts so they are served
+// alongside the app. Re-run after changing the contract.
+// Usage: node scripts/export-escrow-spec.js
+const outputDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'contracts');
+
+fs.mkdirSync(outputDir, { recursive: true });
+fs.writeFileSync(path.join(outputDir, 'RandCashEscrow.arc56.json'), `${JSON.stringify(createEscrowAppSpec(), null, 2)}\n`);
+fs.writeFileSync(path.join(outputDir, 'RandCashEscrow.arc32.json'), `${JSON.stringify(createEscrowArc32Spec(), null, 2)}\n`);
+console.log(`✅ Escrow app specs written to ${outputDir}`);
@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Send, Wallet, Mail, Phone, MessageSquare, CheckCircle, AlertCircle, Loader2, Info, RefreshCw, AlertTriangle, Copy, ExternalLink, Download, Clock, Trash2, List, Eye, EyeOff } from 'lucide-react';
 import { connectWallet, disconnectWallet, getConnectedAccount, isWalletConnected, signTransaction, setWalletTimeoutCallbacks } from './services/walletService';
-import { createClaim, submitTransaction, claimWithCode, refundFunds, fundContract, submitFundingTransaction, checkClaimStatus, getWalletContracts, deleteContract, submitDelete } from './services/apiService';
+import { createClaim, submitTransaction, claimWithCode, refundFunds, checkClaimStatus, getWalletContracts, deleteContract, submitDelete } from './services/apiService';
 import { getCurrentNetwork, getNetworkConfig, isTestNet, isMainNet } from './services/networkService';
+import { createClaimProof } from './services/claimProofService';
 import { NetworkType } from './types/network';
 import NetworkSelector from './components/NetworkSelector';
 import algosdk from 'algosdk';
@@ -17,7 +18,6 @@ interface ClaimResult {
   recipient: string;
   amount: number;
   message?: string;
-  fundingTransactionId?: string;
   seedTransactionId?: string;
 }
 
@@ -419,22 +419,21 @@ function App() {
         senderAddress: currentAccount
       });
 
-      // Step 2: Sign the single transaction
-      console.log('Signing single app creation transaction...');
-      const txnBuffer = Buffer.from(claimResponse.deploymentTransaction, 'base64');
-      const transaction = algosdk.decodeUnsignedTransaction(txnBuffer);
-      
-      const signedTxn = await signTransaction(transaction);
-      
-      const signedTxnData = {
-        signedTransaction: Buffer.from(signedTxn).toString('base64')
-      };
+      // Step 2: Sign the atomic create-and-fund group
+      console.log('Signing atomic claim group...');
+      if (!claimResponse.deploymentTransactions) {
+        throw new Error('No claim transactions returned');
+      }
+      const unsignedTxns = claimResponse.deploymentTransactions.map(txnB64 =>
+        algosdk.decodeUnsignedTransaction(algosdk.base64ToBytes(txnB64))
+      );
+      const signedTxns = await signTransaction(unsignedTxns) as Uint8Array[];
       
       setStep('submitting');
 
-      // Step 3: Submit the signed transaction(s) with claim details
+      // Step 3: Submit the signed group with claim details; it funds the claim as it creates it
       const submitResponse = await submitTransaction({
-        ...signedTxnData,
+        signedTransactions: signedTxns.map(signedTxn => algosdk.bytesToBase64(signedTxn)),
         claimDetails: {
           recipient: claimResponse.claimDetails.recipient,
           amount: claimResponse.claimDetails.amount,
@@ -443,44 +442,6 @@ function App() {
         }
       });
 
-      // Handle contract funding separately if needed (atomic group handles app creation + seed only)
-      let fundingTransactionId: string | undefined;
-      
-      if (submitResponse.applicationId) {
-        console.log(`Funding contract ${submitResponse.applicationId} at ${submitResponse.contractAddress}...`);
-        
-        try {
-          const fundingAccount = await getConnectedAccount();
-          if (!fundingAccount) {
-            throw new Error('Unable to get connected account for funding');
-          }
-          
-          const contractFundingAmount = 0.1 + parseFloat(amount); // min balance + claim amount
-          console.log(`Creating contract funding transaction for ${contractFundingAmount} ALGO`);
-          
-          const fundingTxn = await fundContract({
-            applicationId: submitResponse.applicationId,
-            amount: contractFundingAmount,
-            senderAddress: fundingAccount
-          });
-          
-          console.log(`Signing contract funding transaction...`);
-          const signedFundingTxn = await signTransaction(fundingTxn.transactionToSign);
-          
-          console.log(`Submitting contract funding transaction...`);
-          const fundingResponse = await submitFundingTransaction({
-            signedTransaction: Buffer.from(signedFundingTxn).toString('base64'),
-            claimCode: claimResponse.claimCode
-          });
-          
-          fundingTransactionId = fundingResponse.transactionId;
-          console.log(`✅ Contract funded successfully: ${fundingResponse.transactionId}`);
-        } catch (fundingError) {
-          console.error('❌ Contract funding failed:', fundingError);
-          setError(`Contract created but funding failed: ${fundingError instanceof Error ? fundingError.message : 'Unknown error'}.`);
-        }
-      }
-
       // Step 4: Show success result
       const amountValue = parseFloat(amount);
       console.log('Setting result with amount:', amountValue, 'from form value:', amount);
@@ -494,8 +455,7 @@ function App() {
         notificationMethod: submitResponse.notificationMethod || 'pending',
         recipient: recipient.trim(),
         amount: amountValue,
-        message: message.trim(),
-        fundingTransactionId: fundingTransactionId
+        message: message.trim()
       });
 
       setStep('complete');
@@ -616,66 +576,52 @@ function App() {
 
       // Step 2: Create claim transaction using claim-with-code
       console.log('🔍 Creating claim transaction...');
-      const claimResponse = await claimWithCode({
+      const proof = await createClaimProof(appId, actualClaimCode, currentAccount);
+      let claimResponse = await claimWithCode({
         applicationId: appId,
-        claimCode: actualClaimCode,
-        walletAddress: currentAccount
+        walletAddress: currentAccount,
+        ...proof
       });
-
-      // Step 3: Sign the claim transaction
-      console.log('🔍 Signing claim transaction...');
-      const txnBuffer = Buffer.from(claimResponse.transactionToSign, 'base64');
-      const transaction = algosdk.decodeUnsignedTransaction(txnBuffer);
-      
-      const signedTxn = await signTransaction(transaction);
-      
-      setClaimStep('submitting');
-
-      // Step 4: Submit the signed transaction directly to Algorand
-      const algodClient = new algosdk.Algodv2('', getCurrentNetwork() === 'testnet' ? 'https://testnet-api.4160.nodely.dev' : 'https://mainnet-api.4160.nodely.dev', 443);
-      const txResponse = await algodClient.sendRawTransaction(signedTxn).do();
-      const txId = txResponse?.txid || txResponse?.txId || txResponse?.transactionID;
-      
-      if (!txId) {
-        throw new Error('No transaction ID returned from submission');
+      if (claimResponse.codeRequired) {
+        claimResponse = await claimWithCode({
+          applicationId: appId,
+          claimCode: actualClaimCode,
+          walletAddress: currentAccount,
+          ...proof
+        });
       }
 
-      // Step 5: Wait for confirmation
-      console.log('⏳ Waiting for claim transaction confirmation...');
-      const confirmedTxn = await algosdk.waitForConfirmation(algodClient, txId, 15);
-      
-      // Use amount from status check if available, otherwise fall back to transaction parsing
-      let claimedAmount = (statusCheck && statusCheck.amount) || 0;
-      
-      // If no amount from status check, try to parse from transaction
-      if (claimedAmount === 0) {
-        console.log('💡 No amount from status check, parsing transaction...');
-        const innerTxns = confirmedTxn['inner-txns'] || confirmedTxn.innerTxns || confirmedTxn['inner_txns'];
-        
-        if (innerTxns && innerTxns.length > 0) {
-          for (let i = 0; i < innerTxns.length; i++) {
-            const innerTxn = innerTxns[i];
-            const paymentTxn = innerTxn['payment-transaction'] || 
-                              innerTxn.paymentTransaction || 
-                              innerTxn['payment_transaction'] ||
-                              innerTxn.txn ||
-                              innerTxn;
-                              
-            if (paymentTxn && paymentTxn.amt !== undefined) {
-              claimedAmount = paymentTxn.amt / 1000000;
-              console.log(`💰 Found amount from inner txn ${i}: ${claimedAmount} ALGO`);
-              break;
-            }
-          }
+      // Step 3: Sign the claim. Escrow claims come as a group (fee sponsor, asset opt-in,
+      // claim, budget calls) in which the seed wallet has already signed its payment.
+      console.log('🔍 Signing claim transaction...');
+      let signedTxns: Uint8Array[];
+      if (claimResponse.transactionsToSign) {
+        const unsignedTxns = claimResponse.transactionsToSign.map(txnB64 =>
+          algosdk.decodeUnsignedTransaction(algosdk.base64ToBytes(txnB64))
+        );
+        const sponsor = claimResponse.sponsorTransaction;
+        signedTxns = await signTransaction(unsignedTxns, sponsor ? [sponsor.index] : []) as Uint8Array[];
+        if (sponsor) {
+          signedTxns.splice(sponsor.index, 0, algosdk.base64ToBytes(sponsor.signedTransaction));
         }
+      } else if (claimResponse.transactionToSign) {
+        const transaction = algosdk.decodeUnsignedTransaction(algosdk.base64ToBytes(claimResponse.transactionToSign));
+        signedTxns = [await signTransaction(transaction) as Uint8Array];
+      } else {
+        throw new Error('No claim transaction returned');
       }
       
-      console.log(`💰 Final claim amount: ${claimedAmount} ALGO`);
+      setClaimStep('submitting');
+
+      // Step 4: Submit the signed transactions; the server waits for confirmation
+      const submitResponse = signedTxns.length > 1
+        ? await submitTransaction({ signedTransactions: signedTxns.map(signedTxn => algosdk.bytesToBase64(signedTxn)) })
+        : await submitTransaction({ signedTransaction: algosdk.bytesToBase64(signedTxns[0]) });
+      // The claim app call, rather than the first transaction of the group
+      const txId = claimResponse.transactionId || submitResponse.transactionId;
+      console.log('📝 Claim confirmed in round', submitResponse.confirmedRound, 'with ID:', txId);
       
-      // Keep transaction logging for debugging purposes
-      console.log('📝 Transaction confirmed with ID:', txId);
-      console.log('📝 Confirmed transaction details:', JSON.stringify(confirmedTxn, (key, value) => 
-        typeof value === 'bigint' ? value.toString() : value, 2));
+      const claimedAmount = (statusCheck && statusCheck.amount) || 0;
       
       setClaimResult({
         success: true,
@@ -1518,25 +1464,6 @@ function App() {
                           {result.transactionId}
                         </p>
                       </div>
-                      {result.fundingTransactionId && (
-                        <div>
-                          <div className="flex items-center justify-between mb-1">
-                            <p className="text-sm text-purple-200">Funding Transaction ID</p>
-                            <a
-                              href={getExplorerUrl(result.fundingTransactionId)}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="flex items-center space-x-1 text-xs text-purple-300 hover:text-purple-100"
-                            >
-                              <ExternalLink className="w-3 h-3" />
-                              <span>Explorer</span>
-                            </a>
-                          </div>
-                          <p className="font-mono text-sm text-purple-100 bg-purple-900/30 px-3 py-2 rounded border border-purple-600/30 break-all">
-                            {result.fundingTransactionId}
-                          </p>
-                        </div>
-                      )}
                     </div>
                   </div>
 
@@ -0,0 +1,260 @@
+import React, { useState } from 'react';
+import { Upload, Download, CheckCircle, AlertCircle, Loader2, Clock } from 'lucide-react';
+import { signTransaction } from '../services/walletService';
+import { createClaim, submitTransaction, ExpiryUnit } from '../services/apiService';
+import { BulkChunk, BulkRow, parseBulkCsv, chunkBulkRows, buildResultsCsv, MAX_CLAIMS_PER_GROUP } from '../services/bulkSendService';
+import algosdk from 'algosdk';
+
+interface BulkSendProps {
+  walletConnected: boolean;
+  connectedAccount: string;
+  assetId: string;
+  expiresIn: string;
+  expiryUnit: ExpiryUnit;
+  onConnectWallet: () => void;
+}
+
+const statusLabels: Record<BulkChunk['status'], string> = {
+  pending: 'Pending',
+  signing: 'Sign in wallet...',
+  submitting: 'Submitting...',
+  complete: 'Sent',
+  failed: 'Failed'
+};
+
+const BulkSend: React.FC<BulkSendProps> = ({ walletConnected, connectedAccount, assetId, expiresIn, expiryUnit, onConnectWallet }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState<BulkRow[]>([]);
+  const [chunks, setChunks] = useState<BulkChunk[]>([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const invalidRows = rows.filter(row => row.error);
+  const completedChunks = chunks.filter(chunk => chunk.status === 'complete').length;
+
+  const updateChunk = (index: number, update: Partial<BulkChunk>) => {
+    setChunks(current => current.map(chunk => chunk.index === index ? { ...chunk, ...update } : chunk));
+  };
+
+  const handleFileUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+
+    setError('');
+    setFileName(file.name);
+    const parsedRows = parseBulkCsv(await file.text());
+    console.log(`📄 Parsed ${parsedRows.length} bulk send rows from ${file.name}`);
+    setRows(parsedRows);
+    setChunks(parsedRows.some(row => row.error) ? [] : chunkBulkRows(parsedRows));
+    if (parsedRows.length === 0) {
+      setError('No rows found. Expected columns: email,amount,message');
+    }
+  };
+
+  // Create, sign and submit each chunk in turn. A failed chunk stops the run so it can be
+  // retried; completed chunks are never sent twice.
+  const handleSendAll = async () => {
+    if (!walletConnected || !connectedAccount) {
+      onConnectWallet();
+      return;
+    }
+
+    const expiresInFloat = parseFloat(expiresIn);
+    if (isNaN(expiresInFloat) || expiresInFloat <= 0) {
+      setError('Please enter a valid expiry');
+      return;
+    }
+
+    const assetIdNumber = assetId.trim() ? Number(assetId.trim()) : 0;
+    if (!Number.isInteger(assetIdNumber) || assetIdNumber < 0) {
+      setError('Please enter a valid asset ID, or leave it blank to send ALGO');
+      return;
+    }
+
+    setIsRunning(true);
+    setError('');
+
+    for (const chunk of chunks) {
+      if (chunk.status === 'complete') {
+        continue;
+      }
+
+      try {
+        console.log(`📦 Sending bulk chunk ${chunk.index + 1} of ${chunks.length}...`);
+        updateChunk(chunk.index, { status: 'signing', error: undefined });
+
+        const claimResponse = await createClaim({
+          recipients: chunk.rows.map(({ email, amount, message }) => ({ email, amount, message })),
+          senderAddress: connectedAccount,
+          expiresIn: expiresInFloat,
+          expiryUnit,
+          assetId: assetIdNumber
+        });
+        const createdClaims = claimResponse.claims || [];
+
+        const unsignedTxns = (claimResponse.deploymentTransactions || []).map(txnB64 =>
+          algosdk.decodeUnsignedTransaction(algosdk.base64ToBytes(txnB64))
+        );
+        const signedTxns = await signTransaction(unsignedTxns) as Uint8Array[];
+
+        updateChunk(chunk.index, { status: 'submitting' });
+
+        const submitResponse = await submitTransaction({
+          signedTransactions: signedTxns.map(signedTxn => algosdk.bytesToBase64(signedTxn)),
+          claimDetails: {
+            claims: createdClaims.map(({ recipient, amount, message, claimCode }) => ({ recipient, amount, message, claimCode })),
+            assetId: claimResponse.claimDetails.assetId,
+            decimals: claimResponse.claimDetails.decimals,
+            unitName: claimResponse.claimDetails.unitName
+          }
+        });
+
+        console.log(`✅ Bulk chunk ${chunk.index + 1} confirmed:`, submitResponse.transactionId);
+        updateChunk(chunk.index, {
+          status: 'complete',
+          transactionId: submitResponse.transactionId,
+          applicationId: submitResponse.applicationId,
+          results: createdClaims.map((claim, index) => ({
+            claimCode: claim.claimCode,
+            notificationSent: submitResponse.notifications?.[index]?.success || false
+          }))
+        });
+      } catch (chunkError) {
+        console.error(`❌ Bulk chunk ${chunk.index + 1} failed:`, chunkError);
+        const message = chunkError instanceof Error ? chunkError.message : 'Failed to send chunk';
+        updateChunk(chunk.index, { status: 'failed', error: message });
+        setError(`Chunk ${chunk.index + 1} failed: ${message}. Fix the problem and send again to retry the remaining chunks.`);
+        break;
+      }
+    }
+
+    setIsRunning(false);
+  };
+
+  const handleDownloadResults = () => {
+    const blob = new Blob([buildResultsCsv(chunks)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `randcash-bulk-results-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-purple-200 font-medium mb-2">
+          Recipients CSV
+        </label>
+        <label className="flex items-center justify-center space-x-2 w-full px-4 py-6 bg-purple-900/30 border border-dashed border-purple-600/50 rounded-xl text-purple-200 hover:border-purple-400 cursor-pointer transition-colors">
+          <Upload className="w-5 h-5" />
+          <span>{fileName || 'Choose a CSV file'}</span>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileUpload}
+            className="hidden"
+            disabled={isRunning}
+          />
+        </label>
+        <p className="text-purple-300 text-sm mt-2">
+          One row per recipient with columns <code>email,amount,message</code>. Rows are sent in groups of {MAX_CLAIMS_PER_GROUP}, each signed separately.
+        </p>
+      </div>
+
+      {invalidRows.length > 0 && (
+        <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 space-y-1">
+          <p className="text-red-300 font-medium">
+            {invalidRows.length} of {rows.length} rows need fixing before sending:
+          </p>
+          {invalidRows.slice(0, 10).map(row => (
+            <p key={row.line} className="text-red-300 text-sm">
+              Row {row.line}: {row.error} ({row.email || 'no email'})
+            </p>
+          ))}
+          {invalidRows.length > 10 && (
+            <p className="text-red-300 text-sm">...and {invalidRows.length - 10} more</p>
+          )}
+        </div>
+      )}
+
+      {chunks.length > 0 && (
+        <div className="bg-purple-800/20 rounded-xl p-4 border border-purple-600/30">
+          <div className="flex items-center justify-between mb-3">
+            <p className="text-purple-200 font-medium">
+              {rows.length} recipients in {chunks.length} groups
+            </p>
+            <p className="text-purple-300 text-sm">
+              {completedChunks} / {chunks.length} sent
+            </p>
+          </div>
+          <div className="space-y-2 max-h-64 overflow-y-auto">
+            {chunks.map(chunk => (
+              <div key={chunk.index} className="flex items-center justify-between text-sm">
+                <span className="text-white">
+                  Group {chunk.index + 1}: rows {chunk.rows[0].line}-{chunk.rows[chunk.rows.length - 1].line}
+                </span>
+                <span className={`flex items-center space-x-1 ${
+                  chunk.status === 'complete' ? 'text-green-400'
+                    : chunk.status === 'failed' ? 'text-red-400'
+                    : chunk.status === 'pending' ? 'text-purple-300'
+                    : 'text-yellow-300'
+                }`} title={chunk.error}>
+                  {chunk.status === 'complete' ? <CheckCircle className="w-4 h-4" />
+                    : chunk.status === 'failed' ? <AlertCircle className="w-4 h-4" />
+                    : chunk.status === 'pending' ? <Clock className="w-4 h-4" />
+                    : <Loader2 className="w-4 h-4 animate-spin" />}
+                  <span>{statusLabels[chunk.status]}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4">
+          <div className="flex items-center space-x-2">
+            <AlertCircle className="w-5 h-5 text-red-400" />
+            <p className="text-red-300">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <button
+        onClick={walletConnected ? handleSendAll : onConnectWallet}
+        disabled={isRunning || (walletConnected && (chunks.length === 0 || completedChunks === chunks.length))}
+        className="w-full px-6 py-4 bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 text-white rounded-xl font-medium transition-all transform hover:scale-105 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+      >
+        {isRunning ? (
+          <div className="flex items-center justify-center space-x-2">
+            <Loader2 className="w-5 h-5 animate-spin" />
+            <span>Sending group {completedChunks + 1} of {chunks.length}...</span>
+          </div>
+        ) : !walletConnected ? (
+          'Connect'
+        ) : completedChunks > 0 && completedChunks < chunks.length ? (
+          `Send Remaining ${chunks.length - completedChunks} Groups`
+        ) : (
+          `Send to ${rows.length} Recipients`
+        )}
+      </button>
+
+      {chunks.some(chunk => chunk.status !== 'pending') && (
+        <button
+          onClick={handleDownloadResults}
+          disabled={isRunning}
+          className="w-full flex items-center justify-center space-x-2 px-6 py-3 bg-purple-800/40 hover:bg-purple-800/60 text-white rounded-xl font-medium transition-colors disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          <span>Download Results CSV</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default BulkSend;
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { Download, Printer } from 'lucide-react';
+import { NetworkType, NETWORK_CONFIGS } from '../types/network';
+import { buildClaimLink } from '../services/claimLinkService';
+
+interface ClaimQrCodeProps {
+  applicationId: number;
+  claimCode: string;
+  amount: number;
+  unitName: string;
+  network: NetworkType;
+  message?: string;
+}
+
+const escapeHtml = (text: string): string =>
+  text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char] as string);
+
+const downloadUrl = (url: string, fileName: string) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+};
+
+const ClaimQrCode: React.FC<ClaimQrCodeProps> = ({ applicationId, claimCode, amount, unitName, network, message }) => {
+  const [svg, setSvg] = useState('');
+  const [error, setError] = useState('');
+
+  const claimLink = buildClaimLink(applicationId, claimCode, network);
+  const fileName = `randcash-claim-${applicationId}`;
+
+  useEffect(() => {
+    QRCode.toString(claimLink, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' })
+      .then(setSvg)
+      .catch(qrError => setError(qrError instanceof Error ? qrError.message : 'Failed to generate QR code'));
+  }, [claimLink]);
+
+  const handleDownloadSvg = () => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    downloadUrl(url, `${fileName}.svg`);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDownloadPng = async () => {
+    downloadUrl(await QRCode.toDataURL(claimLink, { width: 512, margin: 2 }), `${fileName}.png`);
+  };
+
+  // Open a printable card in its own window so the rest of the app stays off the page
+  const handlePrintGiftCard = () => {
+    const printWindow = window.open('', '_blank', 'width=480,height=640');
+    if (!printWindow) {
+      setError('Allow pop-ups to print the gift card');
+      return;
+    }
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+  <head>
+    <title>RandCash Gift Card</title>
+    <style>
+      body { font-family: Arial, sans-serif; display: flex; justify-content: center; padding: 24px; }
+      .card { width: 320px; border: 2px solid #4f46e5; border-radius: 16px; padding: 24px; text-align: center; }
+      .amount { font-size: 28px; font-weight: bold; color: #1f2937; margin: 8px 0; }
+      .network { color: #6b7280; font-size: 14px; margin: 0 0 16px; }
+      .message { font-style: italic; color: #374151; margin: 0 0 16px; }
+      .qr svg { width: 220px; height: 220px; }
+      .hint { color: #4f46e5; font-size: 13px; margin-top: 12px; }
+    </style>
+  </head>
+  <body>
+    <div class="card">
+      <div>💸 RandCash</div>
+      <p class="amount">${escapeHtml(`${amount} ${unitName}`)}</p>
+      <p class="network">Algorand ${escapeHtml(NETWORK_CONFIGS[network].name)}</p>
+      ${message ? `<p class="message">"${escapeHtml(message)}"</p>` : ''}
+      <div class="qr">${svg}</div>
+      <p class="hint">Scan to claim your funds</p>
+    </div>
+  </body>
+</html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  if (error) {
+    return <p className="text-red-300 text-sm">{error}</p>;
+  }
+
+  return (
+    <div className="flex flex-col items-center space-y-3">
+      {svg && (
+        <img
+          src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+          alt="Claim QR code"
+          className="w-48 h-48 bg-white rounded-lg p-2"
+        />
+      )}
+      <div className="flex flex-wrap justify-center gap-2">
+        <button
+          onClick={handleDownloadSvg}
+          disabled={!svg}
+          className="flex items-center space-x-1 px-3 py-1 bg-purple-600/50 hover:bg-purple-600/70 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+        >
+          <Download className="w-3 h-3" />
+          <span>SVG</span>
+        </button>
+        <button
+          onClick={handleDownloadPng}
+          disabled={!svg}
+          className="flex items-center space-x-1 px-3 py-1 bg-purple-600/50 hover:bg-purple-600/70 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+        >
+          <Download className="w-3 h-3" />
+          <span>PNG</span>
+        </button>
+        <button
+          onClick={handlePrintGiftCard}
+          disabled={!svg}
+          className="flex items-center space-x-1 px-3 py-1 bg-purple-600/50 hover:bg-purple-600/70 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+        >
+          <Printer className="w-3 h-3" />
+          <span>Gift card</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ClaimQrCode;
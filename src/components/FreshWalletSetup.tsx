@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle, Copy, Download } from 'lucide-react';
+import { LocalWallet, generateLocalWallet, pickBackupCheckIndexes, downloadMnemonic } from '../services/localWalletService';
+
+interface FreshWalletSetupProps {
+  onReady: (wallet: LocalWallet) => void;
+  onCancel: () => void;
+}
+
+// Generate a wallet in the browser and only hand it over once the user has proven they
+// backed up the recovery phrase by re-entering some of its words
+const FreshWalletSetup: React.FC<FreshWalletSetupProps> = ({ onReady, onCancel }) => {
+  const [wallet] = useState<LocalWallet>(generateLocalWallet);
+  const [step, setStep] = useState<'backup' | 'confirm'>('backup');
+  const [checkIndexes, setCheckIndexes] = useState<number[]>([]);
+  const [answers, setAnswers] = useState<Record<number, string>>({});
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const words = wallet.mnemonic.split(' ');
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(wallet.mnemonic);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleStartConfirm = () => {
+    setCheckIndexes(pickBackupCheckIndexes(words.length));
+    setAnswers({});
+    setError('');
+    setStep('confirm');
+  };
+
+  const handleConfirm = () => {
+    const allMatch = checkIndexes.every(index => (answers[index] || '').trim().toLowerCase() === words[index]);
+    if (!allMatch) {
+      setError('Those words do not match your recovery phrase. Check your backup and try again.');
+      return;
+    }
+    onReady(wallet);
+  };
+
+  return (
+    <div className="bg-purple-800/20 rounded-xl p-4 border border-purple-500/20 space-y-4">
+      <div>
+        <p className="text-purple-200 font-medium">New wallet</p>
+        <code className="text-white font-mono text-xs break-all">{wallet.address}</code>
+      </div>
+
+      {step === 'backup' ? (
+        <>
+          <div className="flex items-start space-x-2 bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-3">
+            <AlertTriangle className="w-5 h-5 text-yellow-400 flex-shrink-0" />
+            <p className="text-yellow-200 text-sm">
+              Write down these 25 words in order. They are the only way to recover this wallet and the funds you claim into it.
+            </p>
+          </div>
+          <ol className="grid grid-cols-3 sm:grid-cols-5 gap-2 text-sm">
+            {words.map((word, index) => (
+              <li key={index} className="bg-purple-900/30 rounded-lg px-2 py-1 text-white font-mono">
+                <span className="text-purple-400 mr-1">{index + 1}.</span>{word}
+              </li>
+            ))}
+          </ol>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleCopy}
+              className="flex items-center space-x-1 px-3 py-1 bg-purple-600/50 hover:bg-purple-600/70 text-white text-sm rounded-lg transition-colors"
+            >
+              {copied ? <CheckCircle className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+              <span>Copy</span>
+            </button>
+            <button
+              onClick={() => downloadMnemonic(wallet)}
+              className="flex items-center space-x-1 px-3 py-1 bg-purple-600/50 hover:bg-purple-600/70 text-white text-sm rounded-lg transition-colors"
+            >
+              <Download className="w-4 h-4" />
+              <span>Download</span>
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="flex-1 px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-xl transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleStartConfirm}
+              className="flex-1 px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-xl font-medium transition-colors"
+            >
+              I've written it down
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="text-purple-200 text-sm">Enter these words from your recovery phrase to confirm your backup.</p>
+          <div className="space-y-2">
+            {checkIndexes.map(index => (
+              <label key={index} className="flex items-center space-x-3">
+                <span className="text-purple-300 text-sm w-16">Word {index + 1}</span>
+                <input
+                  type="text"
+                  value={answers[index] || ''}
+                  onChange={(e) => setAnswers(current => ({ ...current, [index]: e.target.value }))}
+                  autoComplete="off"
+                  className="flex-1 px-3 py-2 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white font-mono focus:outline-none focus:border-purple-500/50"
+                />
+              </label>
+            ))}
+          </div>
+          {error && <p className="text-red-300 text-sm">{error}</p>}
+          <div className="flex gap-2">
+            <button
+              onClick={() => setStep('backup')}
+              className="flex-1 px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-xl transition-colors"
+            >
+              Show phrase again
+            </button>
+            <button
+              onClick={handleConfirm}
+              className="flex-1 px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-xl font-medium transition-colors"
+            >
+              Confirm backup
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FreshWalletSetup;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { ArrowLeft, BookOpen, Wallet, Send, Gift, FileText, Globe, HelpCircle, Shield, ChevronRight, Menu, X } from 'lucide-react';
 
 interface GuideProps {
@@ -133,7 +134,7 @@ const Guide: React.FC<GuideProps> = ({ onBack }) => {
                     </li>
                     <li className="flex items-start gap-3">
                       <ChevronRight className="w-5 h-5 text-cyan-400 flex-shrink-0 mt-0.5" />
-                      <span>Refund unclaimed funds anytime</span>
+                      <span>Refund unclaimed funds once the expiry you chose has passed</span>
                     </li>
                     <li className="flex items-start gap-3">
                       <ChevronRight className="w-5 h-5 text-cyan-400 flex-shrink-0 mt-0.5" />
@@ -326,13 +327,14 @@ const Guide: React.FC<GuideProps> = ({ onBack }) => {
                       <li>• <strong>Amount:</strong> Original amount sent</li>
                       <li>• <strong>Balance:</strong> Current balance</li>
                       <li>• <strong>Created:</strong> When created</li>
+                      <li>• <strong>Expires:</strong> When a refund becomes available</li>
                     </ul>
                   </div>
 
                   <div className="bg-purple-800/20 rounded-xl p-6 border border-purple-500/20">
                     <h3 className="text-xl font-semibold text-white mb-3">Actions</h3>
                     <ul className="space-y-2">
-                      <li>• <strong>Refund:</strong> Get unclaimed funds back</li>
+                      <li>• <strong>Refund:</strong> Get unclaimed funds back after expiry</li>
                       <li>• <strong>Delete:</strong> Remove empty contracts</li>
                     </ul>
                   </div>
@@ -501,4 +503,10 @@ const Guide: React.FC<GuideProps> = ({ onBack }) => {
   );
 };
 
+// The /guide route, which goes back to the app
+export const GuidePage: React.FC = () => {
+  const navigate = useNavigate();
+  return <Guide onBack={() => navigate('/')} />;
+};
+
 export default Guide;
\ No newline at end of file
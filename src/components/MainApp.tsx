@@ -1,15 +1,24 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Send, Wallet, Mail, Phone, MessageSquare, CheckCircle, AlertCircle, Loader2, Info, RefreshCw, AlertTriangle, Copy, ExternalLink, Download, Clock, Trash2, List, Eye, EyeOff, HelpCircle } from 'lucide-react';
+import { Send, Wallet, Mail, Phone, MessageSquare, CheckCircle, AlertCircle, Loader2, Info, RefreshCw, AlertTriangle, Copy, ExternalLink, Download, Clock, Trash2, List, Eye, EyeOff, HelpCircle, Plus, Users, Upload, QrCode } from 'lucide-react';
 import { connectWallet, disconnectWallet, getConnectedAccount, isWalletConnected, signTransaction, setWalletTimeoutCallbacks } from '../services/walletService';
-import { createClaim, submitTransaction, claimWithCode, refundFunds, fundContract, submitFundingTransaction, checkClaimStatus, getWalletContracts, deleteContract, submitDelete } from '../services/apiService';
-import { getCurrentNetwork, getNetworkConfig, isTestNet, isMainNet } from '../services/networkService';
+import { createClaim, submitTransaction, ExpiryUnit, SplitRecipient, VestingSchedule, claimWithCode, refundFunds, cancelClaim, submitCancel, extendClaim, topUpClaim, checkClaimStatus, CheckClaimStatusResponse, getWalletContracts, getClaimHistory, ClaimHistoryEvent, getReceivedClaims, ReceivedClaim, deleteContract, submitDelete } from '../services/apiService';
+import { getCurrentNetwork, getNetworkConfig, switchNetwork, isTestNet, isMainNet, isLocalNet } from '../services/networkService';
+import { parseClaimCodeInput, parseClaimLink, parseScannedClaim, toClaimCodeInput } from '../services/claimLinkService';
+import { LocalWallet, signWithLocalWallet, downloadMnemonic } from '../services/localWalletService';
+import { createClaimProof } from '../services/claimProofService';
+import { MAX_CLAIMS_PER_GROUP } from '../services/bulkSendService';
 import { NetworkType } from '../types/network';
 import NetworkSelector from './NetworkSelector';
+import BulkSend from './BulkSend';
+import ClaimQrCode from './ClaimQrCode';
+import QrScanner from './QrScanner';
+import FreshWalletSetup from './FreshWalletSetup';
 import algosdk from 'algosdk';
 
 interface ClaimResult {
   claimCode: string;
+  claimWords?: string;
   transactionId: string;
   applicationId?: number;
   contractAddress?: string;
@@ -17,11 +26,30 @@ interface ClaimResult {
   notificationMethod: string;
   recipient: string;
   amount: number;
+  unitName: string;
   message?: string;
   fundingTransactionId?: string;
   seedTransactionId?: string;
+  claims?: Array<{
+    recipient?: string;
+    amount: number;
+    claimCode: string;
+    notificationSent: boolean;
+  }>;
+}
+
+interface SplitRecipientInput {
+  email: string;
+  amount: string;
+  message: string;
 }
 
+type SendMode = 'single' | 'split' | 'bulk';
+
+const emptySplitRecipient = (): SplitRecipientInput => ({ email: '', amount: '', message: '' });
+
+const UNIT_SECONDS: Record<ExpiryUnit, number> = { hours: 60 * 60, days: 24 * 60 * 60, weeks: 7 * 24 * 60 * 60 };
+
 interface ClaimFundsResult {
   success: boolean;
   transactionId: string;
@@ -29,7 +57,7 @@ interface ClaimFundsResult {
   message?: string;
 }
 
-type TabType = 'send' | 'claim' | 'refund';
+type TabType = 'send' | 'claim' | 'received' | 'refund';
 
 function MainApp() {
   const navigate = useNavigate();
@@ -43,7 +71,23 @@ function MainApp() {
   // Send Money State
   const [amount, setAmount] = useState('');
   const [recipient, setRecipient] = useState('');
+  // Optional: lock the claim to a known address, so the email is only a notification
+  const [recipientAddress, setRecipientAddress] = useState('');
   const [message, setMessage] = useState('');
+  const [expiresIn, setExpiresIn] = useState('7');
+  const [expiryUnit, setExpiryUnit] = useState<ExpiryUnit>('days');
+  const [assetId, setAssetId] = useState('');
+  const [cancellable, setCancellable] = useState(false);
+  // Vesting: release the amount in equal tranches, one per interval after an optional cliff
+  const [vestingEnabled, setVestingEnabled] = useState(false);
+  const [vestingPeriods, setVestingPeriods] = useState('12');
+  const [vestingInterval, setVestingInterval] = useState('4');
+  const [vestingIntervalUnit, setVestingIntervalUnit] = useState<ExpiryUnit>('weeks');
+  const [vestingCliff, setVestingCliff] = useState('0');
+  const [vestingCliffUnit, setVestingCliffUnit] = useState<ExpiryUnit>('weeks');
+  const [sendMode, setSendMode] = useState<SendMode>('single');
+  const isSplit = sendMode === 'split';
+  const [splitRecipients, setSplitRecipients] = useState<SplitRecipientInput[]>([emptySplitRecipient(), emptySplitRecipient()]);
   const [isLoading, setIsLoading] = useState(false);
   const [result, setResult] = useState<ClaimResult | null>(null);
   const [error, setError] = useState<string>('');
@@ -51,6 +95,7 @@ function MainApp() {
   const [showReconnectPrompt, setShowReconnectPrompt] = useState(false);
   const [copiedField, setCopiedField] = useState<string>('');
   const [showResultClaimCode, setShowResultClaimCode] = useState(false);
+  const [qrClaimIndex, setQrClaimIndex] = useState<number | null>(null);
 
   // Claim Money State
   const [claimCode, setClaimCode] = useState('');
@@ -59,6 +104,12 @@ function MainApp() {
   const [claimResult, setClaimResult] = useState<ClaimFundsResult | null>(null);
   const [claimError, setClaimError] = useState<string>('');
   const [claimStep, setClaimStep] = useState<'form' | 'signing' | 'submitting' | 'complete'>('form');
+  const [claimStatus, setClaimStatus] = useState<CheckClaimStatusResponse | null>(null);
+  const [claimStatusLoading, setClaimStatusLoading] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  // Wallet generated in the browser for recipients without Pera, set once its backup is confirmed
+  const [localWallet, setLocalWallet] = useState<LocalWallet | null>(null);
+  const [showFreshWalletSetup, setShowFreshWalletSetup] = useState(false);
   
   // Refund Money State
   const [refundApplicationId, setRefundApplicationId] = useState('');
@@ -70,20 +121,42 @@ function MainApp() {
   // Contract Management State
   const [contracts, setContracts] = useState<Array<{
     applicationId: number;
+    claimKey?: string;
     contractAddress: string;
     status: string;
     amount: number;
     balance: number;
+    assetId: number;
+    unitName: string;
     claimed: boolean;
     canRefund: boolean;
+    canCancel: boolean;
     canDelete: boolean;
     createdTimestamp: number;
     createdDate: string | null;
+    expiresTimestamp: number;
+    expiresAt: string | null;
   }>>([]);
   const [contractsLoading, setContractsLoading] = useState(false);
   const [contractsError, setContractsError] = useState<string>('');
   const [showContracts, setShowContracts] = useState(false);
   const [deleteLoading, setDeleteLoading] = useState<{[key: number]: boolean}>({});
+  const [cancelLoading, setCancelLoading] = useState<{[claimKey: string]: boolean}>({});
+  // Inline extend / top-up form for one escrow claim in the contracts list
+  const [claimEdit, setClaimEdit] = useState<{ claimKey: string; action: 'extend' | 'topUp' } | null>(null);
+  const [claimEditValue, setClaimEditValue] = useState('');
+  const [claimEditUnit, setClaimEditUnit] = useState<ExpiryUnit>('days');
+  const [claimEditLoading, setClaimEditLoading] = useState(false);
+  const [history, setHistory] = useState<ClaimHistoryEvent[]>([]);
+  const [historyNextToken, setHistoryNextToken] = useState<string | null>(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState<string>('');
+
+  // Received Claims State
+  const [receivedClaims, setReceivedClaims] = useState<ReceivedClaim[]>([]);
+  const [receivedNextToken, setReceivedNextToken] = useState<string | null>(null);
+  const [receivedLoading, setReceivedLoading] = useState(false);
+  const [receivedError, setReceivedError] = useState<string>('');
   
   // Timeout warning state
   const [showTimeoutWarning, setShowTimeoutWarning] = useState(false);
@@ -104,6 +177,19 @@ function MainApp() {
         handleDisconnectWallet();
       }
     );
+
+    // Claim links (/claim/<appId>#<code>) open the claim tab with the code filled in
+    const claimLink = parseClaimLink(window.location);
+    if (claimLink) {
+      // Drop the code from the address bar so it isn't left in browser history or copied along
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+      if (claimLink.network && claimLink.network !== getCurrentNetwork()) {
+        switchNetwork(claimLink.network);
+      }
+      setActiveTab('claim');
+      setClaimCode(toClaimCodeInput(claimLink));
+      handleCheckClaimStatus(claimLink.applicationId, claimLink.claimCode);
+    }
   }, []);
 
   const checkWalletConnection = async () => {
@@ -182,20 +268,44 @@ function MainApp() {
     setRefundError('');
     setContracts([]);
     setShowContracts(false);
+    setHistory([]);
+    setHistoryNextToken(null);
+    setReceivedClaims([]);
+    setReceivedNextToken(null);
   };
 
   const resetSendForm = () => {
     setAmount('');
     setRecipient('');
+    setRecipientAddress('');
     setMessage('');
+    setExpiresIn('7');
+    setExpiryUnit('days');
+    setAssetId('');
+    setCancellable(false);
+    setVestingEnabled(false);
+    setVestingPeriods('12');
+    setVestingInterval('4');
+    setVestingIntervalUnit('weeks');
+    setVestingCliff('0');
+    setVestingCliffUnit('weeks');
+    setSendMode('single');
+    setSplitRecipients([emptySplitRecipient(), emptySplitRecipient()]);
     setResult(null);
     setError('');
     setStep('form');
     setShowReconnectPrompt(false);
+    setQrClaimIndex(null);
+  };
+
+  const updateSplitRecipient = (index: number, field: keyof SplitRecipientInput, value: string) => {
+    setSplitRecipients(rows => rows.map((row, i) => i === index ? { ...row, [field]: value } : row));
   };
 
   const resetClaimForm = () => {
     setClaimCode('');
+    setClaimStatus(null);
+    setShowScanner(false);
     setClaimResult(null);
     setClaimError('');
     setClaimStep('form');
@@ -215,24 +325,70 @@ function MainApp() {
       return;
     }
 
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     const amountFloat = parseFloat(amount);
-    if (isNaN(amountFloat) || amountFloat <= 0) {
+    if (!isSplit && (isNaN(amountFloat) || amountFloat <= 0)) {
       setError('Please enter a valid amount');
       return;
     }
 
-    if (!recipient.trim()) {
-      setError('Please enter a recipient email');
+    const expiresInFloat = parseFloat(expiresIn);
+    if (isNaN(expiresInFloat) || expiresInFloat <= 0) {
+      setError('Please enter a valid expiry');
       return;
     }
 
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(recipient.trim())) {
-      setError('Please enter a valid email address');
+    const assetIdNumber = assetId.trim() ? Number(assetId.trim()) : 0;
+    if (!Number.isInteger(assetIdNumber) || assetIdNumber < 0) {
+      setError('Please enter a valid asset ID, or leave it blank to send ALGO');
       return;
     }
 
+    let vesting: VestingSchedule | undefined;
+    if (vestingEnabled) {
+      const periods = parseInt(vestingPeriods);
+      const intervalSeconds = Math.floor(parseFloat(vestingInterval) * UNIT_SECONDS[vestingIntervalUnit]);
+      const cliffSeconds = Math.floor((parseFloat(vestingCliff) || 0) * UNIT_SECONDS[vestingCliffUnit]);
+      if (isNaN(periods) || periods < 1 || isNaN(intervalSeconds) || intervalSeconds <= 0 || cliffSeconds < 0) {
+        setError('Please enter a valid vesting schedule');
+        return;
+      }
+      vesting = { periods, intervalSeconds, cliffSeconds };
+    }
+
+    // Split sends create one claim per recipient in a single atomic group
+    let splitEntries: SplitRecipient[] = [];
+    if (isSplit) {
+      splitEntries = splitRecipients.map(row => ({
+        email: row.email.trim(),
+        amount: parseFloat(row.amount),
+        message: row.message.trim()
+      }));
+      const invalidIndex = splitEntries.findIndex(entry =>
+        !emailRegex.test(entry.email) || isNaN(entry.amount) || entry.amount <= 0
+      );
+      if (invalidIndex >= 0) {
+        setError(`Please enter a valid email and amount for recipient ${invalidIndex + 1}`);
+        return;
+      }
+    } else {
+      if (!recipient.trim()) {
+        setError('Please enter a recipient email');
+        return;
+      }
+
+      // Email validation
+      if (!emailRegex.test(recipient.trim())) {
+        setError('Please enter a valid email address');
+        return;
+      }
+
+      if (recipientAddress.trim() && !algosdk.isValidAddress(recipientAddress.trim())) {
+        setError('Please enter a valid recipient Algorand address, or leave it blank');
+        return;
+      }
+    }
+
     setIsLoading(true);
     setError('');
     setStep('signing');
@@ -242,14 +398,34 @@ function MainApp() {
       
       // Create claim first
       const claimResponse = await createClaim({
-        amount: amountFloat,
-        recipient: recipient.trim(),
-        message: message.trim(),
-        senderAddress: connectedAccount
+        ...(isSplit
+          ? { recipients: splitEntries }
+          : { amount: amountFloat, recipient: recipient.trim(), recipientAddress: recipientAddress.trim() || undefined, message: message.trim() }),
+        senderAddress: connectedAccount,
+        expiresIn: expiresInFloat,
+        expiryUnit,
+        assetId: assetIdNumber,
+        cancellable,
+        vesting
       });
 
       console.log('📋 Claim created:', claimResponse);
 
+      const createdClaims = claimResponse.claims || [];
+      const claimDetails = {
+        recipient: recipient.trim(),
+        amount: amountFloat,
+        message: message.trim(),
+        claimCode: claimResponse.claimCode,
+        // Split sends email each recipient their own code
+        claims: isSplit
+          ? createdClaims.map(({ recipient, amount, message, claimCode }) => ({ recipient, amount, message, claimCode }))
+          : undefined,
+        assetId: claimResponse.claimDetails.assetId,
+        decimals: claimResponse.claimDetails.decimals,
+        unitName: claimResponse.claimDetails.unitName
+      };
+
       if (claimResponse.isAtomic && claimResponse.deploymentTransactions) {
         // Handle atomic group transactions
         console.log('⚛️ Processing atomic group transactions...');
@@ -262,28 +438,39 @@ function MainApp() {
         });
 
         // Sign the atomic group
-        const signedTxns = await signTransaction(unsignedTxns);
+        const signedTxns = await signTransaction(unsignedTxns) as Uint8Array[];
         console.log('✅ Atomic group signed successfully');
 
         setStep('submitting');
 
         // Submit the signed atomic group
         const submitResponse = await submitTransaction({
-          signedTransactions: signedTxns
+          signedTransactions: signedTxns.map(signedTxn => algosdk.bytesToBase64(signedTxn)),
+          claimDetails
         });
 
         console.log('🎉 Atomic group submitted:', submitResponse);
 
         setResult({
           claimCode: claimResponse.claimCode,
+          claimWords: claimResponse.claimWords,
           transactionId: submitResponse.transactionId,
           applicationId: submitResponse.applicationId,
           contractAddress: submitResponse.contractAddress,
           notificationSent: submitResponse.notificationSent || false,
           notificationMethod: submitResponse.notificationMethod || 'none',
-          recipient: recipient.trim(),
-          amount: amountFloat,
-          message: message.trim()
+          recipient: isSplit ? `${createdClaims.length} recipients` : recipient.trim(),
+          amount: isSplit ? splitEntries.reduce((sum, entry) => sum + entry.amount, 0) : amountFloat,
+          unitName: claimResponse.claimDetails.unitName || 'ALGO',
+          message: message.trim(),
+          claims: isSplit
+            ? createdClaims.map((claim, index) => ({
+                recipient: claim.recipient,
+                amount: claim.amount,
+                claimCode: claim.claimCode,
+                notificationSent: submitResponse.notifications?.[index]?.success || false
+              }))
+            : undefined
         });
         setStep('complete');
       } else {
@@ -309,18 +496,14 @@ function MainApp() {
         // Submit the signed transaction
         const submitResponse = await submitTransaction({
           signedTransaction: signedTxn[0],
-          claimDetails: {
-            recipient: recipient.trim(),
-            amount: amountFloat,
-            message: message.trim(),
-            claimCode: claimResponse.claimCode
-          }
+          claimDetails
         });
 
         console.log('🎉 Transaction submitted:', submitResponse);
 
         setResult({
           claimCode: claimResponse.claimCode,
+          claimWords: claimResponse.claimWords,
           transactionId: submitResponse.transactionId,
           applicationId: submitResponse.applicationId,
           contractAddress: submitResponse.contractAddress,
@@ -328,6 +511,7 @@ function MainApp() {
           notificationMethod: submitResponse.notificationMethod || 'none',
           recipient: recipient.trim(),
           amount: amountFloat,
+          unitName: claimResponse.claimDetails.unitName || 'ALGO',
           message: message.trim()
         });
         setStep('complete');
@@ -341,41 +525,60 @@ function MainApp() {
     }
   };
 
+  // Show whether a claim can be redeemed before the recipient connects a wallet
+  const handleCheckClaimStatus = async (applicationId: number, code: string) => {
+    setClaimStatusLoading(true);
+    setClaimError('');
+
+    try {
+      setClaimStatus(await checkClaimStatus({ applicationId, claimCode: code }));
+    } catch (error) {
+      setClaimStatus(null);
+      setClaimError(error instanceof Error ? error.message : 'Failed to check claim status');
+    } finally {
+      setClaimStatusLoading(false);
+    }
+  };
+
+  // Fill in the claim code from a scanned claim link or "appId-CODE" QR code
+  const handleScan = useCallback((payload: string) => {
+    setShowScanner(false);
+    const scanned = parseScannedClaim(payload);
+    if (!scanned) {
+      setClaimError('This QR code is not a RandCash claim code');
+      return;
+    }
+    if (scanned.network && scanned.network !== getCurrentNetwork()) {
+      switchNetwork(scanned.network);
+    }
+    setClaimCode(toClaimCodeInput(scanned));
+    handleCheckClaimStatus(scanned.applicationId, scanned.claimCode);
+  }, []);
+
   const handleClaimFunds = async () => {
-    if (!walletConnected || !connectedAccount) {
+    const claimerAddress = localWallet ? localWallet.address : connectedAccount;
+    if (!localWallet && (!walletConnected || !connectedAccount)) {
       setShowReconnectPrompt(true);
       return;
     }
 
+    const signClaimTxns = async (txns: algosdk.Transaction[], skipIndexes: number[] = []): Promise<Uint8Array[]> =>
+      localWallet
+        ? signWithLocalWallet(localWallet, txns.filter((_, index) => !skipIndexes.includes(index)))
+        : await signTransaction(txns, skipIndexes) as Uint8Array[];
+
     if (!claimCode.trim()) {
       setClaimError('Please enter a claim code');
       return;
     }
 
-    // Parse the claim code - it could be "appId-claimCode" or just "claimCode"
-    let applicationId: number;
-    let actualClaimCode: string;
-
-    const parts = claimCode.trim().split('-');
-    if (parts.length === 2) {
-      // Format: "12345678-ABCD1234"
-      applicationId = parseInt(parts[0]);
-      actualClaimCode = parts[1];
-      
-      if (isNaN(applicationId)) {
-        setClaimError('Invalid claim code format. Expected format: 12345678-ABCD1234');
-        return;
-      }
-    } else if (parts.length === 1) {
-      // Legacy format: just "ABCD1234"
-      actualClaimCode = parts[0];
-      // We'll need to prompt for the application ID or try to determine it
-      setClaimError('Please use the full claim code format: ApplicationID-ClaimCode');
-      return;
-    } else {
-      setClaimError('Invalid claim code format. Expected format: 12345678-ABCD1234');
+    // Parse the claim code - "appId-claimCode", or the app ID followed by the code's words
+    const parsedCode = parseClaimCodeInput(claimCode);
+    if ('error' in parsedCode) {
+      setClaimError(parsedCode.error);
       return;
     }
+    const { applicationId, claimCode: actualClaimCode } = parsedCode;
 
     setClaimLoading(true);
     setClaimError('');
@@ -384,34 +587,68 @@ function MainApp() {
     try {
       console.log('🎯 Creating claim transaction...');
       
-      // Create claim transaction
-      const claimResponse = await claimWithCode({
+      // Prove the claim in the browser, so a signature-mode code never reaches the server
+      const proof = await createClaimProof(applicationId, actualClaimCode, claimerAddress);
+      let claimResponse = await claimWithCode({
         applicationId: applicationId,
-        claimCode: actualClaimCode,
-        walletAddress: connectedAccount
+        walletAddress: claimerAddress,
+        ...proof
       });
+      // Hash-mode claims are proven by the code itself, which goes on-chain anyway
+      if (claimResponse.codeRequired) {
+        claimResponse = await claimWithCode({
+          applicationId: applicationId,
+          claimCode: actualClaimCode,
+          walletAddress: claimerAddress,
+          ...proof
+        });
+      }
 
       console.log('📋 Claim transaction created:', claimResponse);
       setClaimStep('signing');
 
-      // Sign the transaction
-      const txnBytes = new Uint8Array(Buffer.from(claimResponse.transactionToSign, 'base64'));
-      const unsignedTxn = algosdk.decodeUnsignedTransaction(txnBytes);
-      const signedTxn = await signTransaction([unsignedTxn]);
+      let submitResponse;
+      if (claimResponse.transactionsToSign) {
+        // Grouped claim (fee sponsor, signature-mode budget calls and/or asset opt-in): sign as
+        // one group, leaving out the sponsor payment the server has already signed
+        const unsignedTxns = claimResponse.transactionsToSign.map(txnB64 =>
+          algosdk.decodeUnsignedTransaction(algosdk.base64ToBytes(txnB64))
+        );
+        const sponsor = claimResponse.sponsorTransaction;
+        const signedTxns = await signClaimTxns(unsignedTxns, sponsor ? [sponsor.index] : []);
+        if (sponsor) {
+          signedTxns.splice(sponsor.index, 0, algosdk.base64ToBytes(sponsor.signedTransaction));
+        }
 
-      console.log('✅ Claim transaction signed');
-      setClaimStep('submitting');
+        console.log('✅ Claim group signed');
+        setClaimStep('submitting');
 
-      // Submit the signed transaction
-      const submitResponse = await submitTransaction({
-        signedTransaction: signedTxn[0]
-      });
+        submitResponse = await submitTransaction({
+          signedTransactions: signedTxns.map(signedTxn => algosdk.bytesToBase64(signedTxn))
+        });
+      } else if (claimResponse.transactionToSign) {
+        // Sign the transaction
+        const txnBytes = new Uint8Array(Buffer.from(claimResponse.transactionToSign, 'base64'));
+        const unsignedTxn = algosdk.decodeUnsignedTransaction(txnBytes);
+        const signedTxn = await signClaimTxns([unsignedTxn]);
+
+        console.log('✅ Claim transaction signed');
+        setClaimStep('submitting');
+
+        // Submit the signed transaction
+        submitResponse = await submitTransaction({
+          signedTransaction: algosdk.bytesToBase64(signedTxn[0])
+        });
+      } else {
+        throw new Error('No claim transaction received from server');
+      }
 
       console.log('🎉 Claim submitted:', submitResponse);
 
       setClaimResult({
         success: true,
-        transactionId: submitResponse.transactionId,
+        // The claim app call, rather than the first transaction of the group
+        transactionId: claimResponse.transactionId || submitResponse.transactionId,
         amount: 0, // Will be updated by the response if available
         message: 'Funds claimed successfully!'
       });
@@ -425,13 +662,13 @@ function MainApp() {
     }
   };
 
-  const handleRefundFunds = async () => {
+  const handleRefundFunds = async (target?: { applicationId: number; claimKey?: string }) => {
     if (!walletConnected || !connectedAccount) {
       setShowReconnectPrompt(true);
       return;
     }
 
-    const appId = parseInt(refundApplicationId);
+    const appId = target ? target.applicationId : parseInt(refundApplicationId);
     if (isNaN(appId) || appId <= 0) {
       setRefundError('Please enter a valid application ID');
       return;
@@ -447,6 +684,7 @@ function MainApp() {
       // Create refund transaction
       const refundResponse = await refundFunds({
         applicationId: appId,
+        claimKey: target?.claimKey,
         walletAddress: connectedAccount
       });
 
@@ -496,7 +734,7 @@ function MainApp() {
 
   const getExplorerUrl = (txId: string): string => {
     const config = getNetworkConfig();
-    return `${config.explorerUrl}/tx/${txId}`;
+    return `${config.explorerUrl}/${config.explorerTxPath || 'tx'}/${txId}`;
   };
 
   const loadContracts = async () => {
@@ -516,6 +754,171 @@ function MainApp() {
     } finally {
       setContractsLoading(false);
     }
+
+    await loadHistory();
+  };
+
+  // Load the first page of claim history, or the next page when continuing from a token
+  const loadHistory = async (nextToken: string | null = null) => {
+    if (!connectedAccount) {
+      return;
+    }
+
+    setHistoryLoading(true);
+    setHistoryError('');
+
+    try {
+      const response = await getClaimHistory(connectedAccount, nextToken);
+      setHistory(previous => nextToken ? [...previous, ...response.events] : response.events);
+      setHistoryNextToken(response.nextToken);
+    } catch (error) {
+      setHistoryError(error instanceof Error ? error.message : 'Failed to load claim history');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  // Load claims this wallet has redeemed, continuing from a token for the next page
+  const loadReceivedClaims = async (nextToken: string | null = null) => {
+    if (!walletConnected || !connectedAccount) {
+      setReceivedError('Please connect your wallet first');
+      return;
+    }
+
+    setReceivedLoading(true);
+    setReceivedError('');
+
+    try {
+      const response = await getReceivedClaims(connectedAccount, nextToken);
+      setReceivedClaims(previous => nextToken ? [...previous, ...response.claims] : response.claims);
+      setReceivedNextToken(response.nextToken);
+    } catch (error) {
+      setReceivedError(error instanceof Error ? error.message : 'Failed to load received claims');
+    } finally {
+      setReceivedLoading(false);
+    }
+  };
+
+  const formatHistoryAmount = (event: ClaimHistoryEvent): string => {
+    if (event.type === 'extended') {
+      if (!event.extensionSeconds) {
+        return 'Expiry moved';
+      }
+      const hours = event.extensionSeconds / UNIT_SECONDS.hours;
+      return hours < 24 ? `+${+hours.toFixed(1)} hours` : `+${+(hours / 24).toFixed(1)} days`;
+    }
+    if (event.amount === null) {
+      return 'Unknown';
+    }
+    return `${event.amount / 10 ** event.decimals} ${event.unitName}`;
+  };
+
+  const historyEventLabels: Record<ClaimHistoryEvent['type'], string> = {
+    created: 'Created',
+    funded: 'Funded',
+    claimed: 'Claimed',
+    refunded: 'Refunded',
+    cancelled: 'Cancelled',
+    extended: 'Extended'
+  };
+
+  // Return a cancellable claim to the sender before expiry; the recipient is emailed
+  const handleCancelClaim = async (applicationId: number, claimKey: string) => {
+    if (!walletConnected || !connectedAccount) {
+      setContractsError('Please connect your wallet first');
+      return;
+    }
+
+    setCancelLoading(prev => ({ ...prev, [claimKey]: true }));
+    setContractsError('');
+
+    try {
+      const cancelResponse = await cancelClaim({
+        applicationId,
+        claimKey,
+        walletAddress: connectedAccount
+      });
+
+      const txnBytes = new Uint8Array(Buffer.from(cancelResponse.transactionToSign, 'base64'));
+      const unsignedTxn = algosdk.decodeUnsignedTransaction(txnBytes);
+      const signedTxn = await signTransaction([unsignedTxn]) as Uint8Array[];
+
+      const submitResponse = await submitCancel({
+        signedTransaction: algosdk.bytesToBase64(signedTxn[0])
+      });
+
+      console.log('Claim cancelled successfully:', submitResponse);
+
+      await loadContracts();
+    } catch (error) {
+      console.error('Failed to cancel claim:', error);
+      setContractsError(error instanceof Error ? error.message : 'Failed to cancel claim');
+    } finally {
+      setCancelLoading(prev => ({ ...prev, [claimKey]: false }));
+    }
+  };
+
+  const openClaimEdit = (claimKey: string, action: 'extend' | 'topUp') => {
+    setClaimEdit(claimEdit?.claimKey === claimKey && claimEdit.action === action ? null : { claimKey, action });
+    setClaimEditValue(action === 'extend' ? '7' : '');
+    setClaimEditUnit('days');
+  };
+
+  // Give a pending escrow claim more time or more funds, signed by the sender
+  const handleClaimEdit = async (applicationId: number) => {
+    if (!walletConnected || !connectedAccount) {
+      setContractsError('Please connect your wallet first');
+      return;
+    }
+    if (!claimEdit) {
+      return;
+    }
+
+    const value = parseFloat(claimEditValue);
+    if (isNaN(value) || value <= 0) {
+      setContractsError(claimEdit.action === 'extend' ? 'Please enter a valid extension' : 'Please enter a valid amount');
+      return;
+    }
+
+    setClaimEditLoading(true);
+    setContractsError('');
+
+    try {
+      if (claimEdit.action === 'extend') {
+        const extendResponse = await extendClaim({
+          applicationId,
+          claimKey: claimEdit.claimKey,
+          walletAddress: connectedAccount,
+          extendBy: value,
+          extendUnit: claimEditUnit
+        });
+        const unsignedTxn = algosdk.decodeUnsignedTransaction(algosdk.base64ToBytes(extendResponse.transactionToSign));
+        const signedTxn = await signTransaction([unsignedTxn]) as Uint8Array[];
+        await submitTransaction({ signedTransaction: algosdk.bytesToBase64(signedTxn[0]) });
+        console.log(`Claim extended until ${extendResponse.expiresAt}`);
+      } else {
+        const topUpResponse = await topUpClaim({
+          applicationId,
+          claimKey: claimEdit.claimKey,
+          walletAddress: connectedAccount,
+          amount: value
+        });
+        const unsignedTxns = topUpResponse.transactionsToSign.map(txnB64 =>
+          algosdk.decodeUnsignedTransaction(algosdk.base64ToBytes(txnB64))
+        );
+        const signedTxns = await signTransaction(unsignedTxns) as Uint8Array[];
+        await submitTransaction({ signedTransactions: signedTxns.map(signedTxn => algosdk.bytesToBase64(signedTxn)) });
+        console.log(`Claim topped up to ${topUpResponse.amount} ${topUpResponse.unitName}`);
+      }
+
+      setClaimEdit(null);
+      await loadContracts();
+    } catch (error) {
+      console.error('Failed to update claim:', error);
+      setContractsError(error instanceof Error ? error.message : 'Failed to update claim');
+    } finally {
+      setClaimEditLoading(false);
+    }
   };
 
   const handleDeleteContract = async (applicationId: number) => {
@@ -709,6 +1112,21 @@ function MainApp() {
                 >
                   Claim
                 </button>
+                <button
+                  onClick={() => {
+                    setActiveTab('received');
+                    if (walletConnected) {
+                      loadReceivedClaims();
+                    }
+                  }}
+                  className={`px-8 py-3 rounded-xl font-medium transition-all shadow-lg ${
+                    activeTab === 'received'
+                      ? 'bg-purple-800/30 text-white shadow-xl transform scale-105 border-2 border-cyan-400 backdrop-blur-sm'
+                      : 'bg-white/10 text-white hover:bg-white/20 backdrop-blur-sm'
+                  }`}
+                >
+                  Received
+                </button>
                 <button
                   onClick={() => {
                     setActiveTab('refund');
@@ -740,47 +1158,157 @@ function MainApp() {
                           <div>
                             <h3 className="text-xl font-semibold text-white">Funds Sent!</h3>
                             <p className="text-purple-200">
-                              {result.amount} ALGO sent to {result.recipient}
+                              {result.amount} {result.unitName} sent to {result.recipient}
                             </p>
                           </div>
                         </div>
                         
                         <div className="space-y-3">
-                          <div className="bg-purple-800/20 rounded-xl p-4 border border-purple-500/20">
-                            <div className="flex items-center justify-between">
-                              <label className="text-purple-200 font-medium">Claim Code</label>
-                              <div className="flex items-center space-x-2">
+                          {result.claims ? (
+                            <div className="bg-purple-800/20 rounded-xl p-4 border border-purple-500/20">
+                              <div className="flex items-center justify-between mb-3">
+                                <label className="text-purple-200 font-medium">Claim Codes</label>
                                 <button
                                   onClick={() => setShowResultClaimCode(!showResultClaimCode)}
                                   className="p-1 text-purple-300 hover:text-white transition-colors"
-                                  title={showResultClaimCode ? "Hide code" : "Show code"}
+                                  title={showResultClaimCode ? "Hide codes" : "Show codes"}
                                 >
                                   {showResultClaimCode ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
                                 </button>
-                                <button
-                                  onClick={() => copyToClipboard(
-                                    result.applicationId ? `${result.applicationId}-${result.claimCode}` : result.claimCode,
-                                    'result-claim-code'
-                                  )}
-                                  className="p-1 text-purple-300 hover:text-white transition-colors"
-                                  title="Copy to clipboard"
-                                >
-                                  {copiedField === 'result-claim-code' ? <CheckCircle className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
-                                </button>
                               </div>
+                              <table className="w-full text-sm">
+                                <thead>
+                                  <tr className="text-purple-300 text-left">
+                                    <th className="pb-2 font-medium">Recipient</th>
+                                    <th className="pb-2 font-medium">Amount</th>
+                                    <th className="pb-2 font-medium">Code</th>
+                                    <th className="pb-2 font-medium">Email</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {result.claims.map((claim, index) => {
+                                    const fullCode = result.applicationId ? `${result.applicationId}-${claim.claimCode}` : claim.claimCode;
+                                    return (
+                                      <tr key={claim.claimCode} className="border-t border-purple-600/30 text-white">
+                                        <td className="py-2 pr-2 break-all">{claim.recipient}</td>
+                                        <td className="py-2 pr-2 whitespace-nowrap">{claim.amount} {result.unitName}</td>
+                                        <td className="py-2 pr-2">
+                                          <div className="flex items-center space-x-2">
+                                            <code className="font-mono text-xs bg-purple-900/30 p-1 rounded break-all">
+                                              {showResultClaimCode ? fullCode : '••••••••••••'}
+                                            </code>
+                                            <button
+                                              onClick={() => copyToClipboard(fullCode, `result-claim-code-${index}`)}
+                                              className="p-1 text-purple-300 hover:text-white transition-colors"
+                                              title="Copy to clipboard"
+                                            >
+                                              {copiedField === `result-claim-code-${index}` ? <CheckCircle className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                                            </button>
+                                            {result.applicationId && (
+                                              <button
+                                                onClick={() => setQrClaimIndex(qrClaimIndex === index ? null : index)}
+                                                className="p-1 text-purple-300 hover:text-white transition-colors"
+                                                title="Show QR code"
+                                              >
+                                                <QrCode className="w-4 h-4" />
+                                              </button>
+                                            )}
+                                          </div>
+                                        </td>
+                                        <td className="py-2">
+                                          {claim.notificationSent
+                                            ? <CheckCircle className="w-4 h-4 text-green-400" />
+                                            : <AlertCircle className="w-4 h-4 text-yellow-400" />}
+                                        </td>
+                                      </tr>
+                                    );
+                                  })}
+                                </tbody>
+                              </table>
+                              {result.applicationId && qrClaimIndex !== null && result.claims[qrClaimIndex] && (
+                                <div className="mt-3">
+                                  <ClaimQrCode
+                                    applicationId={result.applicationId}
+                                    claimCode={result.claims[qrClaimIndex].claimCode}
+                                    amount={result.claims[qrClaimIndex].amount}
+                                    unitName={result.unitName}
+                                    network={getCurrentNetwork()}
+                                  />
+                                </div>
+                              )}
+                              <p className="text-purple-300 text-sm mt-2">
+                                Each recipient has been emailed their own code
+                              </p>
                             </div>
-                            <div className="mt-2">
-                              <code className="text-white font-mono text-lg block bg-purple-900/30 p-3 rounded-lg border border-purple-600/30">
-                                {showResultClaimCode 
-                                  ? (result.applicationId ? `${result.applicationId}-${result.claimCode}` : result.claimCode)
-                                  : '••••••••••••••••••••••••••••••'
-                                }
-                              </code>
+                          ) : (
+                            <div className="bg-purple-800/20 rounded-xl p-4 border border-purple-500/20">
+                              <div className="flex items-center justify-between">
+                                <label className="text-purple-200 font-medium">Claim Code</label>
+                                <div className="flex items-center space-x-2">
+                                  <button
+                                    onClick={() => setShowResultClaimCode(!showResultClaimCode)}
+                                    className="p-1 text-purple-300 hover:text-white transition-colors"
+                                    title={showResultClaimCode ? "Hide code" : "Show code"}
+                                  >
+                                    {showResultClaimCode ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                                  </button>
+                                  <button
+                                    onClick={() => copyToClipboard(
+                                      result.applicationId ? `${result.applicationId}-${result.claimCode}` : result.claimCode,
+                                      'result-claim-code'
+                                    )}
+                                    className="p-1 text-purple-300 hover:text-white transition-colors"
+                                    title="Copy to clipboard"
+                                  >
+                                    {copiedField === 'result-claim-code' ? <CheckCircle className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                                  </button>
+                                </div>
+                              </div>
+                              <div className="mt-2">
+                                <code className="text-white font-mono text-lg block bg-purple-900/30 p-3 rounded-lg border border-purple-600/30">
+                                  {showResultClaimCode 
+                                    ? (result.applicationId ? `${result.applicationId}-${result.claimCode}` : result.claimCode)
+                                    : '••••••••••••••••••••••••••••••'
+                                  }
+                                </code>
+                              </div>
+                              {showResultClaimCode && result.claimWords && (
+                                <div className="mt-3">
+                                  <div className="flex items-center justify-between">
+                                    <p className="text-purple-200 text-sm">Or read it aloud as words</p>
+                                    <button
+                                      onClick={() => copyToClipboard(
+                                        result.applicationId ? `${result.applicationId} ${result.claimWords}` : result.claimWords || '',
+                                        'result-claim-words'
+                                      )}
+                                      className="p-1 text-purple-300 hover:text-white transition-colors"
+                                      title="Copy to clipboard"
+                                    >
+                                      {copiedField === 'result-claim-words' ? <CheckCircle className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                                    </button>
+                                  </div>
+                                  <code className="text-white font-mono text-sm block bg-purple-900/30 p-3 rounded-lg border border-purple-600/30 mt-1">
+                                    {result.applicationId ? `${result.applicationId} ${result.claimWords}` : result.claimWords}
+                                  </code>
+                                </div>
+                              )}
+                              {showResultClaimCode && result.applicationId && (
+                                <div className="mt-3">
+                                  <ClaimQrCode
+                                    applicationId={result.applicationId}
+                                    claimCode={result.claimCode}
+                                    amount={result.amount}
+                                    unitName={result.unitName}
+                                    network={getCurrentNetwork()}
+                                    message={result.message}
+                                  />
+                                </div>
+                              )}
+                              <p className="text-purple-300 text-sm mt-2">
+                                Share this code or QR code with the recipient to claim their funds
+                              </p>
                             </div>
-                            <p className="text-purple-300 text-sm mt-2">
-                              Share this code with the recipient to claim their funds
-                            </p>
-                          </div>
+                          )}
 
                           <div className="grid grid-cols-2 gap-4 text-sm">
                             <div>
@@ -826,77 +1354,311 @@ function MainApp() {
                   ) : (
                     <div className="space-y-6">
                       <div className="space-y-4">
-                        <div>
-                          <label className="block text-purple-200 font-medium mb-2">
-                            Recipient Email
-                          </label>
-                          <div className="relative">
-                            <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-purple-400" />
+                        <div className="flex space-x-2">
+                          {([
+                            ['single', 'One recipient', Mail],
+                            ['split', 'Split', Users],
+                            ['bulk', 'Bulk CSV', Upload]
+                          ] as const).map(([mode, label, Icon]) => (
+                            <button
+                              key={mode}
+                              onClick={() => setSendMode(mode)}
+                              className={`flex-1 flex items-center justify-center space-x-2 px-3 py-2 rounded-xl text-sm font-medium transition-colors ${
+                                sendMode === mode
+                                  ? 'bg-purple-600 text-white'
+                                  : 'bg-purple-900/30 text-purple-200 hover:bg-purple-800/40'
+                              }`}
+                              disabled={isLoading}
+                            >
+                              <Icon className="w-4 h-4" />
+                              <span>{label}</span>
+                            </button>
+                          ))}
+                        </div>
+
+                        {sendMode === 'bulk' ? null : isSplit ? (
+                          <div className="space-y-3">
+                            {splitRecipients.map((row, index) => (
+                              <div key={index} className="bg-purple-800/20 rounded-xl p-3 border border-purple-600/30 space-y-2">
+                                <div className="flex items-center justify-between">
+                                  <span className="text-purple-200 text-sm font-medium">Recipient {index + 1}</span>
+                                  {splitRecipients.length > 1 && (
+                                    <button
+                                      onClick={() => setSplitRecipients(rows => rows.filter((_, i) => i !== index))}
+                                      className="p-1 text-purple-300 hover:text-red-300 transition-colors"
+                                      title="Remove recipient"
+                                      disabled={isLoading}
+                                    >
+                                      <Trash2 className="w-4 h-4" />
+                                    </button>
+                                  )}
+                                </div>
+                                <div className="flex space-x-2">
+                                  <input
+                                    type="email"
+                                    value={row.email}
+                                    onChange={(e) => updateSplitRecipient(index, 'email', e.target.value)}
+                                    placeholder="Email"
+                                    className="flex-1 min-w-0 px-3 py-2 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white placeholder-purple-400 focus:outline-none focus:border-purple-500/50"
+                                    disabled={isLoading}
+                                  />
+                                  <input
+                                    type="number"
+                                    value={row.amount}
+                                    onChange={(e) => updateSplitRecipient(index, 'amount', e.target.value)}
+                                    placeholder="0.0"
+                                    step="0.001"
+                                    min="0.001"
+                                    className="w-28 px-3 py-2 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white placeholder-purple-400 focus:outline-none focus:border-purple-500/50"
+                                    disabled={isLoading}
+                                  />
+                                </div>
+                                <input
+                                  type="text"
+                                  value={row.message}
+                                  onChange={(e) => updateSplitRecipient(index, 'message', e.target.value)}
+                                  placeholder="Message (optional)"
+                                  maxLength={280}
+                                  className="w-full px-3 py-2 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white placeholder-purple-400 focus:outline-none focus:border-purple-500/50"
+                                  disabled={isLoading}
+                                />
+                              </div>
+                            ))}
+                            {splitRecipients.length < MAX_CLAIMS_PER_GROUP && (
+                              <button
+                                onClick={() => setSplitRecipients(rows => [...rows, emptySplitRecipient()])}
+                                className="flex items-center space-x-2 text-purple-300 hover:text-white text-sm transition-colors"
+                                disabled={isLoading}
+                              >
+                                <Plus className="w-4 h-4" />
+                                <span>Add recipient</span>
+                              </button>
+                            )}
+                            <p className="text-purple-300 text-sm">
+                              Up to {MAX_CLAIMS_PER_GROUP} recipients are funded in one transaction group, and each is emailed their own claim code
+                            </p>
+                          </div>
+                        ) : (
+                          <div>
+                            <label className="block text-purple-200 font-medium mb-2">
+                              Recipient Email
+                            </label>
+                            <div className="relative">
+                              <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-purple-400" />
+                              <input
+                                type="email"
+                                value={recipient}
+                                onChange={(e) => setRecipient(e.target.value)}
+                                placeholder="Enter recipient's email"
+                                className="w-full pl-10 pr-4 py-3 bg-purple-900/30 border border-purple-600/30 rounded-xl text-white placeholder-purple-400 focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20"
+                                disabled={isLoading}
+                              />
+                            </div>
+                            <label className="block text-purple-200 font-medium mt-4 mb-2">
+                              Recipient Address (Optional)
+                            </label>
                             <input
-                              type="email"
-                              value={recipient}
-                              onChange={(e) => setRecipient(e.target.value)}
-                              placeholder="Enter recipient's email"
-                              className="w-full pl-10 pr-4 py-3 bg-purple-900/30 border border-purple-600/30 rounded-xl text-white placeholder-purple-400 focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20"
+                              type="text"
+                              value={recipientAddress}
+                              onChange={(e) => setRecipientAddress(e.target.value)}
+                              placeholder="Only this Algorand address can claim"
+                              className="w-full px-4 py-3 bg-purple-900/30 border border-purple-600/30 rounded-xl text-white font-mono text-sm placeholder-purple-400 focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20"
                               disabled={isLoading}
                             />
+                            <p className="text-purple-300 text-sm mt-2">
+                              If you know the recipient's address, a leaked claim code is useless to anyone else
+                            </p>
                           </div>
-                        </div>
+                        )}
 
                         <div>
                           <label className="block text-purple-200 font-medium mb-2">
-                            Amount (ALGO)
+                            Asset ID (Optional)
                           </label>
                           <input
-                            type="number"
-                            value={amount}
-                            onChange={(e) => setAmount(e.target.value)}
-                            placeholder="0.0"
-                            step="0.001"
-                            min="0.001"
+                            type="text"
+                            inputMode="numeric"
+                            value={assetId}
+                            onChange={(e) => setAssetId(e.target.value)}
+                            placeholder="Leave blank to send ALGO"
                             className="w-full px-4 py-3 bg-purple-900/30 border border-purple-600/30 rounded-xl text-white placeholder-purple-400 focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20"
                             disabled={isLoading}
                           />
+                          <p className="text-purple-300 text-sm mt-2">
+                            Send an Algorand Standard Asset such as USDC by entering its asset ID
+                          </p>
                         </div>
-                      </div>
 
-                      {error && (
-                        <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4">
-                          <div className="flex items-center space-x-2">
-                            <AlertCircle className="w-5 h-5 text-red-400" />
-                            <p className="text-red-300">{error}</p>
+                        {sendMode === 'single' && (
+                          <div>
+                            <label className="block text-purple-200 font-medium mb-2">
+                              Amount ({assetId.trim() ? 'asset units' : 'ALGO'})
+                            </label>
+                            <input
+                              type="number"
+                              value={amount}
+                              onChange={(e) => setAmount(e.target.value)}
+                              placeholder="0.0"
+                              step="0.001"
+                              min="0.001"
+                              className="w-full px-4 py-3 bg-purple-900/30 border border-purple-600/30 rounded-xl text-white placeholder-purple-400 focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20"
+                              disabled={isLoading}
+                            />
                           </div>
-                        </div>
-                      )}
+                        )}
 
-                      {showReconnectPrompt && (
-                        <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4">
-                          <div className="flex items-center space-x-2">
-                            <AlertTriangle className="w-5 h-5 text-yellow-400" />
-                            <p className="text-yellow-300">Please connect your wallet to continue</p>
+                        <div>
+                          <label className="block text-purple-200 font-medium mb-2">
+                            Expires After
+                          </label>
+                          <div className="flex space-x-2">
+                            <input
+                              type="number"
+                              value={expiresIn}
+                              onChange={(e) => setExpiresIn(e.target.value)}
+                              min="1"
+                              step="1"
+                              className="w-24 px-4 py-3 bg-purple-900/30 border border-purple-600/30 rounded-xl text-white placeholder-purple-400 focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20"
+                              disabled={isLoading}
+                            />
+                            <select
+                              value={expiryUnit}
+                              onChange={(e) => setExpiryUnit(e.target.value as ExpiryUnit)}
+                              className="flex-1 px-4 py-3 bg-purple-900/30 border border-purple-600/30 rounded-xl text-white focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20"
+                              disabled={isLoading}
+                            >
+                              <option value="hours">Hours</option>
+                              <option value="days">Days</option>
+                              <option value="weeks">Weeks</option>
+                            </select>
                           </div>
+                          <p className="text-purple-300 text-sm mt-2">
+                            Unclaimed funds can be refunded to you after this period
+                          </p>
+                          {sendMode !== 'bulk' && (
+                            <label className="flex items-center space-x-2 mt-3 text-purple-200 text-sm">
+                              <input
+                                type="checkbox"
+                                checked={cancellable}
+                                onChange={(e) => setCancellable(e.target.checked)}
+                                className="w-4 h-4 accent-purple-500"
+                                disabled={isLoading}
+                              />
+                              <span>Let me cancel before it is claimed (e.g. if I mistype the email)</span>
+                            </label>
+                          )}
+                          {sendMode !== 'bulk' && (
+                            <label className="flex items-center space-x-2 mt-2 text-purple-200 text-sm">
+                              <input
+                                type="checkbox"
+                                checked={vestingEnabled}
+                                onChange={(e) => setVestingEnabled(e.target.checked)}
+                                className="w-4 h-4 accent-purple-500"
+                                disabled={isLoading}
+                              />
+                              <span>Release in tranches on a schedule (vesting)</span>
+                            </label>
+                          )}
+                          {sendMode !== 'bulk' && vestingEnabled && (
+                            <div className="mt-3 space-y-2 text-sm">
+                              <div className="flex items-center space-x-2">
+                                <span className="text-purple-200 w-16">Tranches</span>
+                                <input
+                                  type="number"
+                                  value={vestingPeriods}
+                                  onChange={(e) => setVestingPeriods(e.target.value)}
+                                  min="1"
+                                  max="120"
+                                  step="1"
+                                  className="w-24 px-3 py-2 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white focus:outline-none focus:border-purple-500/50"
+                                  disabled={isLoading}
+                                />
+                              </div>
+                              {[
+                                { label: 'Every', value: vestingInterval, setValue: setVestingInterval, unit: vestingIntervalUnit, setUnit: setVestingIntervalUnit, min: '1' },
+                                { label: 'Cliff', value: vestingCliff, setValue: setVestingCliff, unit: vestingCliffUnit, setUnit: setVestingCliffUnit, min: '0' }
+                              ].map(field => (
+                                <div key={field.label} className="flex items-center space-x-2">
+                                  <span className="text-purple-200 w-16">{field.label}</span>
+                                  <input
+                                    type="number"
+                                    value={field.value}
+                                    onChange={(e) => field.setValue(e.target.value)}
+                                    min={field.min}
+                                    step="1"
+                                    className="w-24 px-3 py-2 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white focus:outline-none focus:border-purple-500/50"
+                                    disabled={isLoading}
+                                  />
+                                  <select
+                                    value={field.unit}
+                                    onChange={(e) => field.setUnit(e.target.value as ExpiryUnit)}
+                                    className="px-3 py-2 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white focus:outline-none focus:border-purple-500/50"
+                                    disabled={isLoading}
+                                  >
+                                    <option value="hours">Hours</option>
+                                    <option value="days">Days</option>
+                                    <option value="weeks">Weeks</option>
+                                  </select>
+                                </div>
+                              ))}
+                              <p className="text-purple-300">
+                                The recipient claims with the same code after each tranche unlocks. The expiry above counts from the last tranche.
+                              </p>
+                            </div>
+                          )}
                         </div>
-                      )}
+                      </div>
 
-                      <button
-                        onClick={walletConnected ? handleSendMoney : handleConnectWallet}
-                        disabled={isLoading}
-                        className="w-full px-6 py-4 bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 text-white rounded-xl font-medium transition-all transform hover:scale-105 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
-                      >
-                        {isLoading ? (
-                          <div className="flex items-center justify-center space-x-2">
-                            <Loader2 className="w-5 h-5 animate-spin" />
-                            <span>
-                              {step === 'signing' ? 'Sign transaction in wallet...' :
-                               step === 'submitting' ? 'Submitting...' : 'Processing...'}
-                            </span>
+                      {sendMode === 'bulk' ? (
+                        <BulkSend
+                          walletConnected={walletConnected}
+                          connectedAccount={connectedAccount}
+                          assetId={assetId}
+                          expiresIn={expiresIn}
+                          expiryUnit={expiryUnit}
+                          onConnectWallet={handleConnectWallet}
+                        />
+                      ) : (
+                        <>
+                        {error && (
+                          <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4">
+                            <div className="flex items-center space-x-2">
+                              <AlertCircle className="w-5 h-5 text-red-400" />
+                              <p className="text-red-300">{error}</p>
+                            </div>
                           </div>
-                        ) : walletConnected ? (
-                          'Send Funds'
-                        ) : (
-                          'Connect'
                         )}
-                      </button>
+
+                        {showReconnectPrompt && (
+                          <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4">
+                            <div className="flex items-center space-x-2">
+                              <AlertTriangle className="w-5 h-5 text-yellow-400" />
+                              <p className="text-yellow-300">Please connect your wallet to continue</p>
+                            </div>
+                          </div>
+                        )}
+
+                        <button
+                          onClick={walletConnected ? handleSendMoney : handleConnectWallet}
+                          disabled={isLoading}
+                          className="w-full px-6 py-4 bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 text-white rounded-xl font-medium transition-all transform hover:scale-105 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+                        >
+                          {isLoading ? (
+                            <div className="flex items-center justify-center space-x-2">
+                              <Loader2 className="w-5 h-5 animate-spin" />
+                              <span>
+                                {step === 'signing' ? 'Sign transaction in wallet...' :
+                                 step === 'submitting' ? 'Submitting...' : 'Processing...'}
+                              </span>
+                            </div>
+                          ) : walletConnected ? (
+                            'Send Funds'
+                          ) : (
+                            'Connect'
+                          )}
+                        </button>
+                        </>
+                      )}
                     </div>
                   )}
                 </div>
@@ -919,6 +1681,22 @@ function MainApp() {
                             <p className="text-purple-200">Funds received in your wallet</p>
                           </div>
                         </div>
+
+                        {localWallet && (
+                          <div className="mb-4 bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4 space-y-2">
+                            <p className="text-yellow-200 text-sm">
+                              Your funds are in the new wallet <code className="font-mono">{localWallet.address.slice(0, 8)}...{localWallet.address.slice(-6)}</code>.
+                              Import its recovery phrase into Pera Wallet to use them. It will not be shown again after you leave this page.
+                            </p>
+                            <button
+                              onClick={() => downloadMnemonic(localWallet)}
+                              className="flex items-center space-x-1 px-3 py-1 bg-yellow-600/50 hover:bg-yellow-600/70 text-white text-sm rounded-lg transition-colors"
+                            >
+                              <Download className="w-4 h-4" />
+                              <span>Export recovery phrase</span>
+                            </button>
+                          </div>
+                        )}
                         
                         <div className="space-y-3">
                           <div className="text-sm">
@@ -976,12 +1754,64 @@ function MainApp() {
                               {showClaimCode ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
                             </button>
                           </div>
-                          <p className="text-purple-300 text-sm mt-2">
-                            Enter the claim code from your email (format: 12345678-ABCD1234)
-                          </p>
+                          <div className="flex items-center justify-between mt-2">
+                            <p className="text-purple-300 text-sm">
+                              Enter the claim code from your email (12345678-ABCD1234, or the application ID and 13 words)
+                            </p>
+                            <button
+                              onClick={() => setShowScanner(!showScanner)}
+                              disabled={claimLoading}
+                              className="flex items-center space-x-1 px-3 py-1 bg-purple-600/50 hover:bg-purple-600/70 text-white text-sm rounded-lg transition-colors disabled:opacity-50 flex-shrink-0 ml-2"
+                            >
+                              <QrCode className="w-4 h-4" />
+                              <span>Scan</span>
+                            </button>
+                          </div>
+                          {showScanner && (
+                            <div className="mt-3">
+                              <QrScanner onScan={handleScan} onClose={() => setShowScanner(false)} />
+                            </div>
+                          )}
                         </div>
                       </div>
 
+                      {claimStatusLoading ? (
+                        <div className="flex items-center justify-center py-2">
+                          <Loader2 className="w-5 h-5 animate-spin text-purple-400" />
+                          <span className="ml-2 text-purple-200 text-sm">Checking claim...</span>
+                        </div>
+                      ) : claimStatus && (
+                        <div className={`rounded-xl p-4 border ${
+                          claimStatus.status === 'available'
+                            ? 'bg-green-500/10 border-green-500/30'
+                            : 'bg-yellow-500/10 border-yellow-500/30'
+                        }`}>
+                          <div className="flex items-center space-x-2">
+                            {claimStatus.status === 'available' ? (
+                              <CheckCircle className="w-5 h-5 text-green-400" />
+                            ) : (
+                              <AlertTriangle className="w-5 h-5 text-yellow-400" />
+                            )}
+                            <p className={claimStatus.status === 'available' ? 'text-green-300' : 'text-yellow-300'}>
+                              {claimStatus.message}
+                              {claimStatus.status === 'available' && !!claimStatus.amount && ` (${claimStatus.amount} ${claimStatus.unitName || 'ALGO'})`}
+                            </p>
+                          </div>
+                          {claimStatus.recipientAddress && (
+                            <p className="text-purple-200 text-sm mt-2 break-all">
+                              Only {claimStatus.recipientAddress} can claim these funds
+                            </p>
+                          )}
+                          {claimStatus.vesting && (
+                            <p className="text-purple-200 text-sm mt-2">
+                              Vested {claimStatus.vesting.vested} of {claimStatus.vesting.total} {claimStatus.unitName || 'ALGO'} ({claimStatus.vesting.periodsVested}/{claimStatus.vesting.periods} periods)
+                              {' • '}Claimed {claimStatus.vesting.claimed}{' • '}Remaining {claimStatus.vesting.remaining}
+                              {claimStatus.vesting.nextUnlockAt && ` • Next tranche ${new Date(claimStatus.vesting.nextUnlockAt).toLocaleString()}`}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
                       {claimError && (
                         <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4">
                           <div className="flex items-center space-x-2">
@@ -991,9 +1821,32 @@ function MainApp() {
                         </div>
                       )}
 
+                      {localWallet ? (
+                        <p className="text-purple-300 text-sm">
+                          Claiming into your new wallet <code className="text-white font-mono">{localWallet.address.slice(0, 8)}...{localWallet.address.slice(-6)}</code>
+                        </p>
+                      ) : !walletConnected && (
+                        showFreshWalletSetup ? (
+                          <FreshWalletSetup
+                            onReady={(wallet) => {
+                              setLocalWallet(wallet);
+                              setShowFreshWalletSetup(false);
+                            }}
+                            onCancel={() => setShowFreshWalletSetup(false)}
+                          />
+                        ) : (
+                          <button
+                            onClick={() => setShowFreshWalletSetup(true)}
+                            className="w-full text-purple-300 hover:text-white text-sm underline transition-colors"
+                          >
+                            No Pera wallet? Create a new wallet in your browser
+                          </button>
+                        )
+                      )}
+
                       <button
-                        onClick={walletConnected ? handleClaimFunds : handleConnectWallet}
-                        disabled={claimLoading}
+                        onClick={walletConnected || localWallet ? handleClaimFunds : handleConnectWallet}
+                        disabled={claimLoading || (showFreshWalletSetup && !localWallet)}
                         className="w-full px-6 py-4 bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 text-white rounded-xl font-medium transition-all transform hover:scale-105 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
                       >
                         {claimLoading ? (
@@ -1004,7 +1857,7 @@ function MainApp() {
                                claimStep === 'submitting' ? 'Submitting...' : 'Processing...'}
                             </span>
                           </div>
-                        ) : walletConnected ? (
+                        ) : walletConnected || localWallet ? (
                           'Claim Funds'
                         ) : (
                           'Connect'
@@ -1015,6 +1868,115 @@ function MainApp() {
                 </div>
               )}
 
+              {/* Received Claims Tab */}
+              {activeTab === 'received' && (
+                <div className="space-y-6">
+                  <div className="text-center mb-6">
+                    <h2 className="text-2xl font-bold text-white mb-2">Received Claims</h2>
+                  </div>
+
+                  {!walletConnected ? (
+                    <div className="text-center">
+                      <p className="text-purple-200 mb-4">
+                        Connect your wallet to see the claims you have received
+                      </p>
+                      <button
+                        onClick={handleConnectWallet}
+                        className="px-8 py-4 bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 text-white rounded-xl font-medium transition-all transform hover:scale-105 shadow-lg"
+                      >
+                        Connect
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      <div className="flex items-center justify-between">
+                        <h3 className="text-lg font-semibold text-white">Claims You Received</h3>
+                        <button
+                          onClick={() => loadReceivedClaims()}
+                          disabled={receivedLoading}
+                          className="p-2 bg-purple-600/50 hover:bg-purple-600/70 text-white rounded-lg transition-colors disabled:opacity-50"
+                          title="Refresh received claims"
+                        >
+                          <RefreshCw className={`w-4 h-4 ${receivedLoading ? 'animate-spin' : ''}`} />
+                        </button>
+                      </div>
+
+                      {receivedError && (
+                        <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4">
+                          <div className="flex items-center space-x-2">
+                            <AlertCircle className="w-5 h-5 text-red-400" />
+                            <p className="text-red-300">{receivedError}</p>
+                          </div>
+                        </div>
+                      )}
+
+                      {receivedClaims.length === 0 && !receivedLoading ? (
+                        <div className="text-center py-8">
+                          <List className="w-12 h-12 text-purple-400 mx-auto mb-4" />
+                          <p className="text-purple-200">No received claims found</p>
+                          <p className="text-purple-300 text-sm">Claims you redeem with this wallet will appear here</p>
+                        </div>
+                      ) : (
+                        <div className="space-y-3">
+                          {receivedClaims.map((claim) => (
+                            <div
+                              key={claim.transactionId}
+                              className="bg-purple-800/20 rounded-xl p-4 border border-purple-600/30"
+                            >
+                              <div className="flex items-center justify-between mb-2">
+                                <span className="text-white font-medium">
+                                  {claim.amount === null ? 'Unknown amount' : `${claim.amount} ${claim.unitName}`}
+                                </span>
+                                <span className="text-purple-300 text-xs">
+                                  {claim.claimedAt ? new Date(claim.claimedAt).toLocaleString() : `Round ${claim.round}`}
+                                </span>
+                              </div>
+                              {claim.message && (
+                                <p className="text-purple-100 text-sm italic mb-2">"{claim.message}"</p>
+                              )}
+                              <div className="flex items-center justify-between text-xs">
+                                <span className="text-purple-300">
+                                  From:{' '}
+                                  {claim.sender ? (
+                                    <code className="text-white font-mono">{claim.sender.slice(0, 8)}...{claim.sender.slice(-6)}</code>
+                                  ) : (
+                                    <span className="text-white">Unknown</span>
+                                  )}
+                                </span>
+                                <a
+                                  href={getExplorerUrl(claim.transactionId)}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="flex items-center space-x-1 text-purple-300 hover:text-white transition-colors"
+                                  title="View transaction"
+                                >
+                                  <code className="font-mono">{claim.transactionId.slice(0, 8)}...</code>
+                                  <ExternalLink className="w-3 h-3" />
+                                </a>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {receivedLoading ? (
+                        <div className="flex items-center justify-center py-4">
+                          <Loader2 className="w-5 h-5 animate-spin text-purple-400" />
+                          <span className="ml-2 text-purple-200 text-sm">Loading received claims...</span>
+                        </div>
+                      ) : receivedNextToken && (
+                        <button
+                          onClick={() => loadReceivedClaims(receivedNextToken)}
+                          className="w-full py-2 bg-purple-600/50 hover:bg-purple-600/70 text-white text-sm rounded-lg transition-colors"
+                        >
+                          Load more
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Refund/Contracts Tab */}
               {activeTab === 'refund' && (
                 <div className="space-y-6">
@@ -1087,14 +2049,14 @@ function MainApp() {
                         <div className="space-y-3">
                           {contracts.map((contract) => (
                             <div
-                              key={contract.applicationId}
+                              key={contract.claimKey || contract.applicationId}
                               className="bg-purple-800/20 rounded-xl p-4 border border-purple-600/30"
                             >
                               <div className="flex items-center justify-between">
                                 <div className="flex-1">
                                   <div className="flex items-center space-x-3 mb-2">
                                     <div className="text-sm font-mono text-white">
-                                      App ID: {contract.applicationId}
+                                      {contract.claimKey ? 'Escrow claim' : 'App ID'}: {contract.applicationId}
                                     </div>
                                     <span className={`px-2 py-1 text-xs rounded-full ${
                                       contract.claimed 
@@ -1109,11 +2071,12 @@ function MainApp() {
                                   
                                   <div className="grid grid-cols-2 gap-4 text-sm">
                                     <div>
-                                      <p className="text-purple-300">Amount: <span className="text-white">{contract.amount} ALGO</span></p>
-                                      <p className="text-purple-300">Balance: <span className="text-white">{contract.balance} ALGO</span></p>
+                                      <p className="text-purple-300">Amount: <span className="text-white">{contract.amount} {contract.unitName}</span></p>
+                                      <p className="text-purple-300">Balance: <span className="text-white">{contract.balance} {contract.unitName}</span></p>
                                     </div>
                                     <div>
                                       <p className="text-purple-300">Created: <span className="text-white text-xs">{contract.createdDate || 'Unknown'}</span></p>
+                                      <p className="text-purple-300">Expires: <span className="text-white text-xs">{contract.expiresAt || 'Unknown'}</span></p>
                                     </div>
                                   </div>
                                 </div>
@@ -1123,7 +2086,7 @@ function MainApp() {
                                     <button
                                       onClick={() => {
                                         setRefundApplicationId(contract.applicationId.toString());
-                                        handleRefundFunds();
+                                        handleRefundFunds({ applicationId: contract.applicationId, claimKey: contract.claimKey });
                                       }}
                                       disabled={refundLoading}
                                       className="px-3 py-1 bg-yellow-600/50 hover:bg-yellow-600/70 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
@@ -1132,6 +2095,40 @@ function MainApp() {
                                       Refund
                                     </button>
                                   )}
+
+                                  {contract.claimKey && (
+                                    <>
+                                      <button
+                                        onClick={() => openClaimEdit(contract.claimKey!, 'extend')}
+                                        className="px-3 py-1 bg-blue-600/50 hover:bg-blue-600/70 text-white text-sm rounded-lg transition-colors"
+                                        title="Give the recipient more time"
+                                      >
+                                        Extend
+                                      </button>
+                                      <button
+                                        onClick={() => openClaimEdit(contract.claimKey!, 'topUp')}
+                                        className="px-3 py-1 bg-green-600/50 hover:bg-green-600/70 text-white text-sm rounded-lg transition-colors"
+                                        title="Add funds to this claim"
+                                      >
+                                        Top up
+                                      </button>
+                                    </>
+                                  )}
+
+                                  {contract.canCancel && contract.claimKey && (
+                                    <button
+                                      onClick={() => handleCancelClaim(contract.applicationId, contract.claimKey!)}
+                                      disabled={cancelLoading[contract.claimKey]}
+                                      className="px-3 py-1 bg-orange-600/50 hover:bg-orange-600/70 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+                                      title="Cancel this claim and return the funds to you"
+                                    >
+                                      {cancelLoading[contract.claimKey] ? (
+                                        <Loader2 className="w-3 h-3 animate-spin" />
+                                      ) : (
+                                        'Cancel'
+                                      )}
+                                    </button>
+                                  )}
                                   
                                   {contract.canDelete && (
                                     <button
@@ -1149,10 +2146,118 @@ function MainApp() {
                                   )}
                                 </div>
                               </div>
+
+                              {contract.claimKey && claimEdit?.claimKey === contract.claimKey && (
+                                <div className="mt-3 pt-3 border-t border-purple-600/30 flex flex-wrap items-center gap-2">
+                                  <span className="text-purple-200 text-sm">
+                                    {claimEdit.action === 'extend' ? 'Extend expiry by' : `Add ${contract.unitName}`}
+                                  </span>
+                                  <input
+                                    type="number"
+                                    value={claimEditValue}
+                                    onChange={(e) => setClaimEditValue(e.target.value)}
+                                    min={claimEdit.action === 'extend' ? '1' : '0'}
+                                    step={claimEdit.action === 'extend' ? '1' : 'any'}
+                                    placeholder={claimEdit.action === 'extend' ? '7' : '0.0'}
+                                    className="w-28 px-3 py-1 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white text-sm focus:outline-none focus:border-purple-500/50"
+                                    disabled={claimEditLoading}
+                                  />
+                                  {claimEdit.action === 'extend' && (
+                                    <select
+                                      value={claimEditUnit}
+                                      onChange={(e) => setClaimEditUnit(e.target.value as ExpiryUnit)}
+                                      className="px-3 py-1 bg-purple-900/30 border border-purple-600/30 rounded-lg text-white text-sm focus:outline-none focus:border-purple-500/50"
+                                      disabled={claimEditLoading}
+                                    >
+                                      <option value="hours">Hours</option>
+                                      <option value="days">Days</option>
+                                      <option value="weeks">Weeks</option>
+                                    </select>
+                                  )}
+                                  <button
+                                    onClick={() => handleClaimEdit(contract.applicationId)}
+                                    disabled={claimEditLoading}
+                                    className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+                                  >
+                                    {claimEditLoading ? <Loader2 className="w-3 h-3 animate-spin" /> : 'Confirm'}
+                                  </button>
+                                </div>
+                              )}
                             </div>
                           ))}
                         </div>
                       )}
+
+                      {/* Claim history from the indexer */}
+                      <div className="pt-4 border-t border-purple-600/30 space-y-3">
+                        <h3 className="text-lg font-semibold text-white">Claim History</h3>
+
+                        {historyError && (
+                          <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4">
+                            <div className="flex items-center space-x-2">
+                              <AlertCircle className="w-5 h-5 text-red-400" />
+                              <p className="text-red-300">{historyError}</p>
+                            </div>
+                          </div>
+                        )}
+
+                        {history.length === 0 && !historyLoading ? (
+                          <p className="text-purple-300 text-sm text-center py-4">No claim activity found</p>
+                        ) : (
+                          <div className="space-y-2">
+                            {history.map((event) => (
+                              <div
+                                key={`${event.transactionId}-${event.type}`}
+                                className="bg-purple-800/20 rounded-xl p-3 border border-purple-600/30 text-sm"
+                              >
+                                <div className="flex items-center justify-between mb-1">
+                                  <span className="text-white font-medium">
+                                    {historyEventLabels[event.type]}
+                                    <span className="text-purple-300 font-normal"> · {formatHistoryAmount(event)}</span>
+                                  </span>
+                                  <span className="text-purple-300 text-xs">{event.timestamp ? new Date(event.timestamp).toLocaleString() : `Round ${event.round}`}</span>
+                                </div>
+                                <div className="flex items-center justify-between text-xs">
+                                  <span className="text-purple-300">
+                                    {event.counterpart ? (
+                                      <>
+                                        {event.role === 'recipient' ? 'From' : event.type === 'funded' ? 'To' : 'By'}:{' '}
+                                        <code className="text-white font-mono">{event.counterpart.slice(0, 8)}...{event.counterpart.slice(-6)}</code>
+                                      </>
+                                    ) : event.applicationId ? (
+                                      <>App ID: <code className="text-white font-mono">{event.applicationId}</code></>
+                                    ) : null}
+                                  </span>
+                                  <a
+                                    href={getExplorerUrl(event.transactionId)}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="flex items-center space-x-1 text-purple-300 hover:text-white transition-colors"
+                                    title="View transaction"
+                                  >
+                                    <code className="font-mono">{event.transactionId.slice(0, 8)}...</code>
+                                    <ExternalLink className="w-3 h-3" />
+                                  </a>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        {historyLoading ? (
+                          <div className="flex items-center justify-center py-4">
+                            <Loader2 className="w-5 h-5 animate-spin text-purple-400" />
+                            <span className="ml-2 text-purple-200 text-sm">Loading history...</span>
+                          </div>
+                        ) : historyNextToken && (
+                          <button
+                            onClick={() => loadHistory(historyNextToken)}
+                            className="w-full py-2 bg-purple-600/50 hover:bg-purple-600/70 text-white text-sm rounded-lg transition-colors"
+                          >
+                            Load more
+                          </button>
+                        )}
+                      </div>
                     </div>
                   )}
                 </div>
@@ -1196,11 +2301,12 @@ function MainApp() {
               
               <div className="mt-6 p-4 bg-purple-800/20 rounded-xl border border-purple-500/20">
                 <p className="text-purple-200 text-sm">
-                  <strong className="text-white">Network:</strong> {isTestNet() ? 'TestNet' : isMainNet() ? 'MainNet' : 'Unknown'}
+                  <strong className="text-white">Network:</strong> {getNetworkConfig().name}
                 </p>
                 <p className="text-purple-300 text-xs mt-1">
                   {isTestNet() && 'Using test ALGO for development'}
                   {isMainNet() && 'Using real ALGO - transactions are permanent'}
+                  {isLocalNet() && 'Using a local development network'}
                 </p>
               </div>
             </div>
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Globe, AlertTriangle } from 'lucide-react';
-import { NetworkType } from '../types/network';
+import { NetworkType, NETWORK_CONFIGS, AVAILABLE_NETWORKS } from '../types/network';
 import { getCurrentNetwork, switchNetwork, isMainNet } from '../services/networkService';
 
 interface NetworkSelectorProps {
@@ -25,8 +25,9 @@ const NetworkSelector: React.FC<NetworkSelectorProps> = ({ onNetworkChange }) =>
         onChange={(e) => handleNetworkChange(e.target.value as NetworkType)}
         className="text-xs sm:text-sm border border-gray-300 rounded-lg px-2 sm:px-3 py-1.5 bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
       >
-        <option value="testnet">TestNet</option>
-        <option value="mainnet">MainNet</option>
+        {AVAILABLE_NETWORKS.map(network => (
+          <option key={network} value={network}>{NETWORK_CONFIGS[network].name}</option>
+        ))}
       </select>
       
       {isMainNet() && (
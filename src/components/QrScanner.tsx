@@ -0,0 +1,93 @@
+import React, { useEffect, useRef, useState } from 'react';
+import jsQR from 'jsqr';
+import { X } from 'lucide-react';
+
+interface QrScannerProps {
+  onScan: (payload: string) => void;
+  onClose: () => void;
+}
+
+// Decode QR codes from the rear camera, frame by frame, until one is found
+const QrScanner: React.FC<QrScannerProps> = ({ onScan, onClose }) => {
+  const videoRef = useRef<HTMLVideoElement>(null);
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let stream: MediaStream | null = null;
+    let frameRequest = 0;
+    let stopped = false;
+
+    const scanFrame = () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (stopped || !video || !canvas) {
+        return;
+      }
+      if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        if (context) {
+          context.drawImage(video, 0, 0, canvas.width, canvas.height);
+          const image = context.getImageData(0, 0, canvas.width, canvas.height);
+          const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+          if (code?.data) {
+            onScan(code.data);
+            return;
+          }
+        }
+      }
+      frameRequest = requestAnimationFrame(scanFrame);
+    };
+
+    const startCamera = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+          await videoRef.current.play();
+        }
+        frameRequest = requestAnimationFrame(scanFrame);
+      } catch (cameraError) {
+        console.error('❌ Camera access failed:', cameraError);
+        setError('Could not access the camera. Allow camera access or enter the code manually.');
+      }
+    };
+
+    startCamera();
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frameRequest);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [onScan]);
+
+  return (
+    <div className="relative bg-purple-900/40 rounded-xl p-3 border border-purple-600/30">
+      <button
+        onClick={onClose}
+        className="absolute top-2 right-2 z-10 p-1 bg-purple-900/70 text-purple-200 hover:text-white rounded-lg transition-colors"
+        title="Close scanner"
+      >
+        <X className="w-4 h-4" />
+      </button>
+      {error ? (
+        <p className="text-red-300 text-sm py-6 text-center">{error}</p>
+      ) : (
+        <>
+          <video ref={videoRef} className="w-full rounded-lg" muted playsInline />
+          <p className="text-purple-300 text-sm mt-2 text-center">Point the camera at a RandCash claim QR code</p>
+        </>
+      )}
+      <canvas ref={canvasRef} className="hidden" />
+    </div>
+  );
+};
+
+export default QrScanner;
@@ -1,10 +1,20 @@
 import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
-import App from './App.tsx';
+import { BrowserRouter, Navigate, Route, Routes } from 'react-router-dom';
+import MainApp from './components/MainApp';
+import { GuidePage } from './components/Guide';
 import './index.css';
 
+// Claim links (/claim/<appId>#<code>) open the app too; MainApp reads them from the location
 createRoot(document.getElementById('root')!).render(
   <StrictMode>
-    <App />
+    <BrowserRouter>
+      <Routes>
+        <Route path="/" element={<MainApp />} />
+        <Route path="/claim/:appId" element={<MainApp />} />
+        <Route path="/guide" element={<GuidePage />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    </BrowserRouter>
   </StrictMode>
-);
\ No newline at end of file
+);
@@ -1,29 +1,89 @@
 import { getCurrentNetwork } from './networkService';
+import { ClaimProof } from './claimProofService';
 
-interface CreateClaimRequest {
+export type ExpiryUnit = 'hours' | 'days' | 'weeks';
+
+export interface ClaimAsset {
+  id: number;
+  decimals: number;
+  unitName: string;
+}
+
+// One recipient of a split send
+export interface SplitRecipient {
+  email: string;
   amount: number;
-  recipient: string;
-  message: string;
+  message?: string;
+  recipientAddress?: string; // Only this address may claim
+}
+
+// Tranche schedule of a vesting claim, in unix seconds; start defaults to now
+export interface VestingSchedule {
+  start?: number;
+  cliffSeconds: number;
+  intervalSeconds: number;
+  periods: number;
+}
+
+// A claim created for one recipient
+export interface CreatedClaim {
+  recipient?: string;
+  amount: number;
+  message?: string;
+  claimCode: string;
+  claimWords?: string; // The same code as words, for reading aloud
+  claimKey: string;
+  recipientAddress?: string | null;
+  transactionId: string;
+}
+
+export interface ClaimNotification {
+  recipient?: string;
+  success: boolean;
+  method: string;
+}
+
+interface CreateClaimRequest {
+  amount?: number;
+  recipient?: string;
+  recipientAddress?: string; // Lock the claim to this address; the email is then only a notification
+  message?: string;
+  recipients?: SplitRecipient[]; // Split send: one claim per recipient in a single atomic group
   senderAddress: string;
+  expiresIn?: number;
+  expiryUnit?: ExpiryUnit;
+  assetId?: number; // ASA to send; omit or 0 for ALGO
+  vesting?: VestingSchedule; // Release the amount in tranches instead of all at once
+  cancellable?: boolean; // Let the sender cancel the claim any time before it is claimed
   network: string;
 }
 
 interface CreateClaimResponse {
   claimCode: string;
+  claimWords?: string; // The same code as words, for reading aloud
   transactionIds?: {
     app: string;
+    minBalance: string;
     funding: string;
   };
   transactionId?: string; // Legacy single transaction ID
-  programHash: string;
+  applicationId?: number; // Shared escrow application holding the claim
+  claimKey?: string; // Base64 box name of the claim in the escrow
   deploymentTransaction?: string; // Legacy single transaction
   deploymentTransactions?: string[]; // Atomic group transactions
   isAtomic?: boolean;
+  expirySeconds?: number;
+  estimatedExpiresAt?: string;
+  asset?: ClaimAsset | null;
+  claims?: CreatedClaim[]; // One entry per recipient; the top-level fields describe the first
   claimDetails: {
     recipient: string;
     amount: number;
     message: string;
     network: string;
+    assetId: number;
+    decimals: number;
+    unitName: string;
   };
 }
 
@@ -32,10 +92,19 @@ interface SubmitTransactionRequest {
   signedTransactions?: string[]; // Atomic group transactions
   network: string;
   claimDetails?: {
-    recipient: string;
-    amount: number;
-    message: string;
-    claimCode: string;
+    recipient?: string;
+    amount?: number;
+    message?: string;
+    claimCode?: string;
+    claims?: Array<{
+      recipient?: string;
+      amount: number;
+      message?: string;
+      claimCode: string;
+    }>; // Split send: each recipient is emailed their own code
+    assetId?: number;
+    decimals?: number;
+    unitName?: string;
   };
 }
 
@@ -47,23 +116,35 @@ interface SubmitTransactionResponse {
   confirmedRound: number;
   notificationSent?: boolean;
   notificationMethod?: string;
+  notifications?: ClaimNotification[];
 }
 
-interface ClaimWithCodeRequest {
+// Signature-mode claims send only the proof computed in the browser (see claimProofService);
+// the code is sent when the response asks for it, for hash-mode claims
+interface ClaimWithCodeRequest extends ClaimProof {
   applicationId: number;
-  claimCode: string;
+  claimCode?: string;
   walletAddress: string;
   network: string;
 }
 
 interface ClaimWithCodeResponse {
-  transactionToSign: string;
+  codeRequired?: boolean; // Hash-mode claim: repeat the request with claimCode
+  transactionToSign?: string; // Legacy hash-mode claim
+  transactionsToSign?: string[]; // Claim group (fee sponsor, asset opt-in, claim, budget calls)
+  sponsorTransaction?: {
+    index: number;
+    signedTransaction: string; // Seed wallet payment covering the claimer's fees, already signed
+  };
   transactionId: string;
   applicationId: number;
+  claimMode: 'signature' | 'hash';
+  assetId: number;
 }
 
 interface RefundFundsRequest {
   applicationId: number;
+  claimKey?: string; // Required for claims held in the shared escrow
   walletAddress: string;
   network: string;
 }
@@ -217,6 +298,7 @@ interface FundContractRequest {
   applicationId: number;
   amount: number;
   senderAddress: string;
+  assetId?: number; // ASA to fund with; omit or 0 for ALGO
   network: string;
 }
 
@@ -334,12 +416,25 @@ interface CheckClaimStatusRequest {
   network: string;
 }
 
-interface CheckClaimStatusResponse {
-  status: 'available' | 'already_claimed' | 'invalid_code' | 'not_found' | 'unfunded';
+export interface CheckClaimStatusResponse {
+  status: 'available' | 'vesting' | 'already_claimed' | 'invalid_code' | 'not_found' | 'unfunded';
   message: string;
-  amount?: number;
+  amount?: number; // For vesting claims, the amount claimable now
+  assetId?: number;
+  unitName?: string;
   created?: number;
+  expiresAt?: string | null;
   refundAvailable?: boolean;
+  recipientAddress?: string | null; // Only address allowed to claim; null when anyone with the code can
+  vesting?: {
+    total: number;
+    vested: number;
+    claimed: number;
+    remaining: number; // Not yet claimed, vested or not
+    periods: number;
+    periodsVested: number;
+    nextUnlockAt: string | null;
+  };
 }
 
 export const checkClaimStatus = async (request: Omit<CheckClaimStatusRequest, 'network'>): Promise<CheckClaimStatusResponse> => {
@@ -385,15 +480,21 @@ export const checkClaimStatus = async (request: Omit<CheckClaimStatusRequest, 'n
 
 interface WalletContract {
   applicationId: number;
+  claimKey?: string; // Set for claims held in the shared escrow
   contractAddress: string;
   status: string;
   amount: number;
   balance: number;
+  assetId: number;
+  unitName: string;
   claimed: boolean;
   canRefund: boolean;
+  canCancel: boolean; // Escrow claims created cancellable
   canDelete: boolean;
   createdTimestamp: number;
   createdDate: string | null;
+  expiresTimestamp: number;
+  expiresAt: string | null;
 }
 
 interface GetWalletContractsResponse {
@@ -426,6 +527,97 @@ export const getWalletContracts = async (walletAddress: string): Promise<GetWall
   }
 };
 
+export type ClaimHistoryEventType = 'created' | 'funded' | 'claimed' | 'refunded' | 'cancelled' | 'extended';
+
+export interface ClaimHistoryEvent {
+  type: ClaimHistoryEventType;
+  role: 'sender' | 'recipient';
+  timestamp: string | null;
+  round: number;
+  transactionId: string;
+  groupId: string | null;
+  applicationId: number | null;
+  assetId: number;
+  amount: number | null; // base units
+  extensionSeconds?: number | null; // extended events only
+  decimals: number;
+  unitName: string;
+  counterpart: string | null;
+}
+
+interface GetClaimHistoryResponse {
+  walletAddress: string;
+  network: string;
+  events: ClaimHistoryEvent[];
+  nextToken: string | null;
+}
+
+export const getClaimHistory = async (walletAddress: string, nextToken?: string | null): Promise<GetClaimHistoryResponse> => {
+  try {
+    const network = getCurrentNetwork();
+    const params = new URLSearchParams({ walletAddress, network });
+    if (nextToken) {
+      params.set('next', nextToken);
+    }
+    const response = await fetch(`/api/claim-history?${params}`);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to get claim history');
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof Error) {
+      throw error;
+    }
+    throw new Error('Network error occurred while getting claim history');
+  }
+};
+
+export interface ReceivedClaim {
+  applicationId: number;
+  claimKey: string | null;
+  transactionId: string;
+  claimedAt: string | null;
+  round: number;
+  sender: string | null;
+  amount: number | null;
+  assetId: number;
+  unitName: string;
+  message: string | null;
+}
+
+interface GetReceivedClaimsResponse {
+  walletAddress: string;
+  network: string;
+  claims: ReceivedClaim[];
+  nextToken: string | null;
+}
+
+export const getReceivedClaims = async (walletAddress: string, nextToken?: string | null): Promise<GetReceivedClaimsResponse> => {
+  try {
+    const network = getCurrentNetwork();
+    const params = new URLSearchParams({ walletAddress, network });
+    if (nextToken) {
+      params.set('next', nextToken);
+    }
+    const response = await fetch(`/api/received-claims?${params}`);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to get received claims');
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof Error) {
+      throw error;
+    }
+    throw new Error('Network error occurred while getting received claims');
+  }
+};
+
 interface DeleteContractRequest {
   applicationId: number;
   walletAddress: string;
@@ -501,4 +693,164 @@ export const submitDelete = async (request: Omit<SubmitDeleteRequest, 'network'>
     }
     throw new Error('Network error occurred while submitting delete transaction');
   }
-};
\ No newline at end of file
+};
+
+interface CancelClaimRequest {
+  applicationId: number;
+  claimKey: string;
+  walletAddress: string;
+  network: string;
+}
+
+interface CancelClaimResponse {
+  transactionToSign: string;
+  transactionId: string;
+  applicationId: number;
+}
+
+export const cancelClaim = async (request: Omit<CancelClaimRequest, 'network'>): Promise<CancelClaimResponse> => {
+  try {
+    const network = getCurrentNetwork();
+    const response = await fetch('/api/cancel-claim', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...request, network }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to create cancel transaction');
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof Error) {
+      throw error;
+    }
+    throw new Error('Network error occurred while creating cancel transaction');
+  }
+};
+
+interface SubmitCancelRequest {
+  signedTransaction: string;
+  network: string;
+}
+
+interface SubmitCancelResponse {
+  success: boolean;
+  transactionId: string;
+  applicationId: number;
+  confirmedRound: number;
+  notificationSent: boolean;
+  notificationMethod: string;
+}
+
+export const submitCancel = async (request: Omit<SubmitCancelRequest, 'network'>): Promise<SubmitCancelResponse> => {
+  try {
+    const network = getCurrentNetwork();
+    const response = await fetch('/api/submit-cancel', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...request, network }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to submit cancel transaction');
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof Error) {
+      throw error;
+    }
+    throw new Error('Network error occurred while submitting cancel transaction');
+  }
+};
+
+interface ExtendClaimRequest {
+  applicationId: number;
+  claimKey: string;
+  walletAddress: string;
+  extendBy: number;
+  extendUnit: ExpiryUnit;
+  network: string;
+}
+
+interface ExtendClaimResponse {
+  transactionToSign: string;
+  transactionId: string;
+  applicationId: number;
+  expiresTimestamp: number;
+  expiresAt: string;
+}
+
+export const extendClaim = async (request: Omit<ExtendClaimRequest, 'network'>): Promise<ExtendClaimResponse> => {
+  try {
+    const network = getCurrentNetwork();
+    const response = await fetch('/api/extend-claim', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...request, network }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to create extend transaction');
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof Error) {
+      throw error;
+    }
+    throw new Error('Network error occurred while creating extend transaction');
+  }
+};
+
+interface TopUpClaimRequest {
+  applicationId: number;
+  claimKey: string;
+  walletAddress: string;
+  amount: number; // In the claim's asset units (ALGO or the ASA)
+  network: string;
+}
+
+interface TopUpClaimResponse {
+  transactionsToSign: string[]; // [funding, topUp call]
+  transactionId: string;
+  applicationId: number;
+  amount: number; // Claim amount after the top-up
+  unitName: string;
+}
+
+export const topUpClaim = async (request: Omit<TopUpClaimRequest, 'network'>): Promise<TopUpClaimResponse> => {
+  try {
+    const network = getCurrentNetwork();
+    const response = await fetch('/api/top-up-claim', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...request, network }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to create top-up transaction');
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof Error) {
+      throw error;
+    }
+    throw new Error('Network error occurred while creating top-up transaction');
+  }
+};
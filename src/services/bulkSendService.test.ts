@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { chunkBulkRows, parseBulkCsv } from './bulkSendService';
+
+describe('parseBulkCsv', () => {
+  it('flags a row whose message is over the limit', () => {
+    const rows = parseBulkCsv([
+      'email,amount,message',
+      'a@example.com,1,Thanks!',
+      `b@example.com,2,${'x'.repeat(281)}`,
+      `c@example.com,3,"${'y'.repeat(280)}"`
+    ].join('\n'));
+
+    expect(rows.map(row => row.error)).toEqual([undefined, 'Message must be at most 280 characters', undefined]);
+  });
+
+  it('keeps earlier errors for a row', () => {
+    const [row] = parseBulkCsv(`not-an-email,1,${'x'.repeat(281)}`);
+    expect(row.error).toBe('Invalid email address');
+  });
+});
+
+describe('chunkBulkRows', () => {
+  it('splits rows into groups of at most five claims', () => {
+    const rows = parseBulkCsv(Array.from({ length: 7 }, (_, i) => `r${i}@example.com,1,`).join('\n'));
+    expect(chunkBulkRows(rows).map(chunk => chunk.rows.length)).toEqual([5, 2]);
+  });
+});
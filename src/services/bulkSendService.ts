@@ -0,0 +1,141 @@
+import { SplitRecipient } from './apiService';
+import { validateMessage } from '../../utils/emailTemplates.js';
+
+// Each claim takes a [min-balance, funding, create] triple, so one atomic group of up to
+// 16 transactions holds at most 5 claims
+export const MAX_CLAIMS_PER_GROUP = 5;
+
+// Same rules as create-claim.js
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export interface BulkRow extends SplitRecipient {
+  line: number; // 1-based record number in the uploaded file
+  error?: string;
+}
+
+export type BulkChunkStatus = 'pending' | 'signing' | 'submitting' | 'complete' | 'failed';
+
+export interface BulkRowResult {
+  claimCode: string;
+  notificationSent: boolean;
+}
+
+export interface BulkChunk {
+  index: number;
+  rows: BulkRow[];
+  status: BulkChunkStatus;
+  error?: string;
+  transactionId?: string;
+  applicationId?: number;
+  results: BulkRowResult[];
+}
+
+// Split CSV text into records, honouring quoted fields with embedded commas, quotes and newlines
+export const parseCsv = (text: string): string[][] => {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+// Parse an `email,amount,message` CSV into rows, flagging any that create-claim would reject.
+// A leading header row and blank lines are skipped.
+export const parseBulkCsv = (text: string): BulkRow[] => {
+  const rows: BulkRow[] = [];
+  parseCsv(text).forEach((record, index) => {
+    const [email = '', amount = '', message = ''] = record.map(value => value.trim());
+    if (!email && !amount && !message) {
+      return;
+    }
+    if (index === 0 && email.toLowerCase() === 'email') {
+      return;
+    }
+
+    const row: BulkRow = { line: index + 1, email, amount: parseFloat(amount), message };
+    if (!EMAIL_REGEX.test(email)) {
+      row.error = 'Invalid email address';
+    } else if (isNaN(row.amount) || row.amount <= 0) {
+      row.error = 'Invalid amount';
+    } else {
+      // Checked per row, as create-claim rejects the whole group for one long message
+      const messageError = validateMessage(message);
+      if (messageError) {
+        row.error = messageError;
+      }
+    }
+    rows.push(row);
+  });
+  return rows;
+};
+
+export const chunkBulkRows = (rows: BulkRow[]): BulkChunk[] => {
+  const chunks: BulkChunk[] = [];
+  for (let i = 0; i < rows.length; i += MAX_CLAIMS_PER_GROUP) {
+    chunks.push({
+      index: chunks.length,
+      rows: rows.slice(i, i + MAX_CLAIMS_PER_GROUP),
+      status: 'pending',
+      results: []
+    });
+  }
+  return chunks;
+};
+
+const escapeCsvField = (value: string): string =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+// Results CSV with one line per row: its chunk's status, application ID, claim code and
+// whether the recipient's email went out
+export const buildResultsCsv = (chunks: BulkChunk[]): string => {
+  const lines = [['email', 'amount', 'message', 'status', 'application_id', 'claim_code', 'transaction_id', 'notification_sent']];
+  for (const chunk of chunks) {
+    chunk.rows.forEach((row, index) => {
+      const result = chunk.results[index];
+      lines.push([
+        row.email,
+        String(row.amount),
+        row.message || '',
+        chunk.status,
+        chunk.applicationId ? String(chunk.applicationId) : '',
+        result ? (chunk.applicationId ? `${chunk.applicationId}-${result.claimCode}` : result.claimCode) : '',
+        chunk.transactionId || '',
+        result ? String(result.notificationSent) : ''
+      ]);
+    });
+  }
+  return lines.map(line => line.map(escapeCsvField).join(',')).join('\n') + '\n';
+};
@@ -0,0 +1,69 @@
+import { NetworkType, AVAILABLE_NETWORKS } from '../types/network';
+import { CLAIM_WORD_COUNT, isClaimWords, parseClaimWords } from '../../utils/claimWords.js';
+
+// Claim links look like /claim/<appId>?network=testnet#<code>. The code travels in the URL
+// fragment, which browsers never send to the server, so it stays out of request logs.
+
+export interface ClaimLink {
+  applicationId: number;
+  claimCode: string;
+  network: NetworkType | null;
+}
+
+const CLAIM_PATH_REGEX = /^\/claim\/(\d+)\/?$/;
+
+export const parseClaimLink = (location: { pathname: string; search: string; hash: string }): ClaimLink | null => {
+  const match = location.pathname.match(CLAIM_PATH_REGEX);
+  const claimCode = decodeURIComponent(location.hash.replace(/^#/, '')).trim();
+  if (!match || !claimCode) {
+    return null;
+  }
+
+  const network = new URLSearchParams(location.search).get('network') as NetworkType | null;
+  return {
+    applicationId: parseInt(match[1], 10),
+    claimCode,
+    network: network && AVAILABLE_NETWORKS.includes(network) ? network : null
+  };
+};
+
+// The claim tab's "appId-CODE" form of a link
+export const toClaimCodeInput = (link: ClaimLink): string => `${link.applicationId}-${link.claimCode}`;
+
+// Read the claim tab's input: "appId-CODE", or the app ID followed by the code's words.
+// Word codes are checked here so a typo is reported before anything is signed.
+export const parseClaimCodeInput = (input: string): { applicationId: number; claimCode: string } | { error: string } => {
+  const text = input.trim();
+  const hexCode = text.match(/^(\d+)-([A-Za-z0-9]+)$/);
+  if (hexCode && !isClaimWords(hexCode[2])) {
+    return { applicationId: parseInt(hexCode[1], 10), claimCode: hexCode[2] };
+  }
+
+  const wordCode = text.match(/^(\d+)[\s-]+(.+)$/);
+  if (wordCode && isClaimWords(wordCode[2])) {
+    const parsed = parseClaimWords(wordCode[2]);
+    return parsed.error !== undefined
+      ? { error: parsed.error }
+      : { applicationId: parseInt(wordCode[1], 10), claimCode: parsed.claimCode };
+  }
+
+  return { error: `Please use the full claim code: 12345678-ABCD1234, or the application ID followed by the ${CLAIM_WORD_COUNT} words` };
+};
+
+// Full claim link for the current site, as sent in claim emails
+export const buildClaimLink = (applicationId: number, claimCode: string, network: NetworkType): string =>
+  `${window.location.origin}/claim/${applicationId}?network=${network}#${encodeURIComponent(claimCode)}`;
+
+// Read a scanned QR payload: a claim link, or a bare "appId-CODE". Returns null if it is neither.
+export const parseScannedClaim = (payload: string): ClaimLink | null => {
+  const text = payload.trim();
+  const bareCode = text.match(/^(\d+)-([A-Za-z0-9_-]+)$/);
+  if (bareCode) {
+    return { applicationId: parseInt(bareCode[1], 10), claimCode: bareCode[2], network: null };
+  }
+  try {
+    return parseClaimLink(new URL(text));
+  } catch {
+    return null;
+  }
+};
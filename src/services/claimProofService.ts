@@ -0,0 +1,38 @@
+import algosdk from 'algosdk';
+import { getNetworkConfig } from './networkService';
+
+// Signature-mode claims are proven here in the browser: the code derives an ed25519 key
+// (the same derivation as deriveClaimKeypair in utils/claimCodes.js) that signs the
+// claimer's address, so only the public key and the signature are sent to the server.
+
+export interface ClaimProof {
+  claimKey: string; // base64 public key the escrow stores the claim under
+  hashKey: string; // base64 sha256 of the code, the key of hash-mode claims
+  signature: string; // base64 signature over the claimer's address
+}
+
+const sha256 = async (text: string): Promise<Uint8Array> =>
+  new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+// The key is derived from a 32-byte seed; an Algorand account built from the same seed has
+// that key as its address and the matching 64-byte secret key
+const deriveClaimAccount = async (claimCode: string): Promise<algosdk.Account> =>
+  algosdk.mnemonicToSecretKey(algosdk.mnemonicFromSeed(await sha256(`randcash-claim-key:${claimCode}`)));
+
+export const createClaimProof = async (applicationId: number, claimCode: string, claimerAddress: string): Promise<ClaimProof> => {
+  // Codes are uppercase hex; the words form is converted before it gets here
+  const code = claimCode.trim().toUpperCase();
+  const { addr, sk } = await deriveClaimAccount(code);
+
+  // The contract checks the signature against its own approval program
+  const { algodServer, algodPort, algodToken } = getNetworkConfig();
+  const algodClient = new algosdk.Algodv2(algodToken, algodServer, algodPort);
+  const app = await algodClient.getApplicationByID(applicationId).do();
+  const signature = algosdk.tealSignFromProgram(sk, algosdk.decodeAddress(claimerAddress).publicKey, app.params.approvalProgram);
+
+  return {
+    claimKey: algosdk.bytesToBase64(addr.publicKey),
+    hashKey: algosdk.bytesToBase64(await sha256(code)),
+    signature: algosdk.bytesToBase64(signature)
+  };
+};
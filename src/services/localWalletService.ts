@@ -0,0 +1,43 @@
+import algosdk from 'algosdk';
+
+// Accounts generated in the browser for recipients without a wallet app. The key is only
+// held in memory, so the mnemonic the user writes down is the only way back into the account.
+
+export interface LocalWallet {
+  address: string;
+  mnemonic: string;
+}
+
+export const generateLocalWallet = (): LocalWallet => {
+  const account = algosdk.generateAccount();
+  return {
+    address: account.addr.toString(),
+    mnemonic: algosdk.secretKeyToMnemonic(account.sk)
+  };
+};
+
+export const signWithLocalWallet = (wallet: LocalWallet, transactions: algosdk.Transaction[]): Uint8Array[] => {
+  const { sk } = algosdk.mnemonicToSecretKey(wallet.mnemonic);
+  return transactions.map(txn => txn.signTxn(sk));
+};
+
+// Pick distinct word positions (0-based, in order) the user re-enters to confirm their backup
+export const pickBackupCheckIndexes = (wordCount: number, count = 3): number[] => {
+  const indexes = new Set<number>();
+  const random = new Uint32Array(1);
+  while (indexes.size < Math.min(count, wordCount)) {
+    crypto.getRandomValues(random);
+    indexes.add(random[0] % wordCount);
+  }
+  return [...indexes].sort((a, b) => a - b);
+};
+
+export const downloadMnemonic = (wallet: LocalWallet) => {
+  const text = `RandCash wallet backup\n\nAddress: ${wallet.address}\n\nRecovery phrase (keep it secret):\n${wallet.mnemonic}\n\nImport this phrase into Pera Wallet or any Algorand wallet to access your funds.\n`;
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `randcash-wallet-${wallet.address.slice(0, 8)}.txt`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
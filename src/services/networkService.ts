@@ -1,4 +1,4 @@
-import { NetworkType, NETWORK_CONFIGS } from '../types/network';
+import { NetworkType, NETWORK_CONFIGS, AVAILABLE_NETWORKS } from '../types/network';
 
 class NetworkService {
   private currentNetwork: NetworkType = 'mainnet';
@@ -9,7 +9,7 @@ class NetworkService {
 
   private initializeFromStorage() {
     const stored = localStorage.getItem('selected_network') as NetworkType;
-    if (stored && (stored === 'testnet' || stored === 'mainnet')) {
+    if (stored && AVAILABLE_NETWORKS.includes(stored)) {
       this.currentNetwork = stored;
     }
   }
@@ -23,6 +23,9 @@ class NetworkService {
   }
 
   switchNetwork(network: NetworkType) {
+    if (!AVAILABLE_NETWORKS.includes(network)) {
+      throw new Error(`Network ${network} is not available in this build`);
+    }
     this.currentNetwork = network;
     localStorage.setItem('selected_network', network);
     
@@ -39,6 +42,10 @@ class NetworkService {
   isMainNet(): boolean {
     return this.currentNetwork === 'mainnet';
   }
+
+  isLocalNet(): boolean {
+    return this.currentNetwork === 'localnet';
+  }
 }
 
 const networkService = new NetworkService();
@@ -48,5 +55,6 @@ export const getNetworkConfig = (network?: NetworkType) => networkService.getNet
 export const switchNetwork = (network: NetworkType) => networkService.switchNetwork(network);
 export const isTestNet = () => networkService.isTestNet();
 export const isMainNet = () => networkService.isMainNet();
+export const isLocalNet = () => networkService.isLocalNet();
 
 export default networkService;
\ No newline at end of file
@@ -261,7 +261,9 @@ class WalletService {
     return this.account;
   }
 
-  async signTransaction(transaction: algosdk.Transaction | algosdk.Transaction[] | string): Promise<Uint8Array | Uint8Array[]> {
+  // For groups, transactions at skipIndexes (e.g. one already signed by the server) are passed
+  // to the wallet for context but not signed, and are left out of the returned array
+  async signTransaction(transaction: algosdk.Transaction | algosdk.Transaction[] | string, skipIndexes: number[] = []): Promise<Uint8Array | Uint8Array[]> {
     if (!this.connected) {
       throw new Error('Wallet not connected');
     }
@@ -288,7 +290,7 @@ class WalletService {
             console.log(`🔍 [Wallet] Transaction ${index} type:`, typeof txn, txn.constructor?.name);
             return {
               txn: txn,
-              signers: [this.account]
+              signers: skipIndexes.includes(index) ? [] : [this.account]
             };
           });
           
@@ -317,6 +319,9 @@ class WalletService {
             const signedTxns = [];
             
             for (let i = 0; i < transaction.length; i++) {
+              if (skipIndexes.includes(i)) {
+                continue;
+              }
               console.log(`🔍 [Wallet] Fallback: Signing transaction ${i} individually`);
               const txnToSign = [{
                 txn: transaction[i],
@@ -382,7 +387,7 @@ export const connectWallet = () => walletService.connectWallet();
 export const disconnectWallet = () => walletService.disconnectWallet();
 export const isWalletConnected = () => walletService.isWalletConnected();
 export const getConnectedAccount = () => walletService.getConnectedAccount();
-export const signTransaction = (transaction: algosdk.Transaction | algosdk.Transaction[] | string) => walletService.signTransaction(transaction);
+export const signTransaction = (transaction: algosdk.Transaction | algosdk.Transaction[] | string, skipIndexes?: number[]) => walletService.signTransaction(transaction, skipIndexes);
 export const getWalletType = () => walletService.getWalletType();
 export const setWalletTimeoutCallbacks = (onWarning?: (timeRemaining: number) => void, onDisconnect?: () => void) => 
   walletService.setTimeoutCallbacks(onWarning, onDisconnect);
\ No newline at end of file
@@ -1,4 +1,4 @@
-export type NetworkType = 'testnet' | 'mainnet';
+export type NetworkType = 'testnet' | 'mainnet' | 'localnet';
 
 export interface NetworkConfig {
   name: string;
@@ -7,6 +7,7 @@ export interface NetworkConfig {
   algodPort: number;
   algodToken: string;
   explorerUrl: string;
+  explorerTxPath?: string; // defaults to 'tx'
   dispenserUrl?: string;
 }
 
@@ -27,5 +28,20 @@ export const NETWORK_CONFIGS: Record<NetworkType, NetworkConfig> = {
     algodPort: 443,
     algodToken: '',
     explorerUrl: 'https://explorer.perawallet.app'
+  },
+  // Local algod such as AlgoKit LocalNet; the defaults can be overridden with VITE_LOCALNET_* variables
+  localnet: {
+    name: 'LocalNet',
+    chainId: 4160,
+    algodServer: import.meta.env.VITE_LOCALNET_ALGOD_SERVER || 'http://localhost',
+    algodPort: Number(import.meta.env.VITE_LOCALNET_ALGOD_PORT || 4001),
+    algodToken: import.meta.env.VITE_LOCALNET_ALGOD_TOKEN || 'a'.repeat(64),
+    explorerUrl: 'https://lora.algokit.io/localnet',
+    explorerTxPath: 'transaction'
   }
-};
\ No newline at end of file
+};
+
+// LocalNet is offered in development builds, or in any build with VITE_ENABLE_LOCALNET=true
+export const AVAILABLE_NETWORKS: NetworkType[] = import.meta.env.DEV || import.meta.env.VITE_ENABLE_LOCALNET === 'true'
+  ? ['testnet', 'mainnet', 'localnet']
+  : ['testnet', 'mainnet'];
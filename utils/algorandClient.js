@@ -1,31 +1,70 @@
 import algosdk from 'algosdk';
+import { logger } from './logger.js';
+
+// Algod and indexer endpoints for a network. Each can be overridden with ALGOD_SERVER_<NETWORK>,
+// ALGOD_PORT_<NETWORK> and ALGOD_TOKEN_<NETWORK> (or INDEXER_*), e.g. ALGOD_SERVER_LOCALNET.
+function networkConfig(network, name, defaults) {
+  const prefix = network.toUpperCase();
+  return {
+    name,
+    algodToken: process.env[`ALGOD_TOKEN_${prefix}`] ?? defaults.algodToken,
+    algodServer: process.env[`ALGOD_SERVER_${prefix}`] || defaults.algodServer,
+    algodPort: Number(process.env[`ALGOD_PORT_${prefix}`] || defaults.algodPort),
+    indexerToken: process.env[`INDEXER_TOKEN_${prefix}`] ?? defaults.indexerToken,
+    indexerServer: process.env[`INDEXER_SERVER_${prefix}`] || defaults.indexerServer,
+    indexerPort: Number(process.env[`INDEXER_PORT_${prefix}`] || defaults.indexerPort)
+  };
+}
 
 // Network configurations
 export const NETWORK_CONFIGS = {
-  testnet: {
-    name: 'TestNet',
+  testnet: networkConfig('testnet', 'TestNet', {
     algodToken: '',
     algodServer: 'https://testnet-api.4160.nodely.dev',
-    algodPort: 443
-  },
-  mainnet: {
-    name: 'MainNet',
+    algodPort: 443,
+    indexerToken: '',
+    indexerServer: 'https://testnet-idx.4160.nodely.dev',
+    indexerPort: 443
+  }),
+  mainnet: networkConfig('mainnet', 'MainNet', {
     algodToken: '',
     algodServer: 'https://mainnet-api.4160.nodely.dev',
-    algodPort: 443
-  }
+    algodPort: 443,
+    indexerToken: '',
+    indexerServer: 'https://mainnet-idx.4160.nodely.dev',
+    indexerPort: 443
+  }),
+  // Defaults match AlgoKit LocalNet (algokit localnet start)
+  localnet: networkConfig('localnet', 'LocalNet', {
+    algodToken: 'a'.repeat(64),
+    algodServer: 'http://localhost',
+    algodPort: 4001,
+    indexerToken: 'a'.repeat(64),
+    indexerServer: 'http://localhost',
+    indexerPort: 8980
+  })
 };
 
-// Create Algorand client for specific network
-export function createAlgodClient(network = 'mainnet') {
+function getNetworkConfig(network) {
   const config = NETWORK_CONFIGS[network];
   if (!config) {
     throw new Error(`Unsupported network: ${network}`);
   }
-  
+  return config;
+}
+
+// Create Algorand client for specific network
+export function createAlgodClient(network = 'mainnet') {
+  const config = getNetworkConfig(network);
   return new algosdk.Algodv2(config.algodToken, config.algodServer, config.algodPort);
 }
 
+// Create indexer client for transaction history on a specific network
+export function createIndexerClient(network = 'mainnet') {
+  const config = getNetworkConfig(network);
+  return new algosdk.Indexer(config.indexerToken, config.indexerServer, config.indexerPort);
+}
+
 // Validate Algorand address format
 export function validateAlgorandAddress(address) {
   if (!address || typeof address !== 'string') {
@@ -50,4 +89,108 @@ export function validateAlgorandAddress(address) {
   }
   
   return trimmedAddress;
-}
\ No newline at end of file
+}
+
+
+// Look up an ASA's decimals and unit name for amount conversion and display
+export async function getAssetDetails(algodClient, assetId) {
+  const assetInfo = await algodClient.getAssetByID(assetId).do();
+  return {
+    id: assetId,
+    decimals: Number(assetInfo.params.decimals),
+    unitName: assetInfo.params.unitName || `ASA ${assetId}`
+  };
+}
+
+// Decimals and unit name for displaying amounts of ALGO (asset 0) or an ASA
+export async function getAssetUnits(algodClient, assetId) {
+  if (!assetId) {
+    return { decimals: 6, unitName: 'ALGO' };
+  }
+  const { decimals, unitName } = await getAssetDetails(algodClient, assetId);
+  return { decimals, unitName };
+}
+
+// Check whether an account has opted into an asset
+export async function isOptedIntoAsset(algodClient, address, assetId) {
+  try {
+    await algodClient.accountAssetInformation(address, assetId).do();
+    return true;
+  } catch (error) {
+    if (error.status === 404 || error.response?.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Helper function to safely extract and convert application ID to number
+export function extractApplicationId(confirmedTxn) {
+  // Try multiple possible locations for the app ID
+  let rawAppId = confirmedTxn['application-index'] || 
+                 confirmedTxn['applicationIndex'] || 
+                 confirmedTxn.applicationIndex ||
+                 confirmedTxn['app-id'] ||
+                 confirmedTxn.appId;
+  
+  // Check if it's nested in txn or other objects
+  if (!rawAppId && confirmedTxn.txn) {
+    rawAppId = confirmedTxn.txn['application-index'] || 
+               confirmedTxn.txn.applicationIndex ||
+               confirmedTxn.txn['app-id'] ||
+               confirmedTxn.txn.appId;
+  }
+  
+  logger.debug('📝 Raw application index:', rawAppId, 'type:', typeof rawAppId);
+  
+  // Ensure appId is a proper number - handle all possible types
+  let appId = null;
+  
+  if (rawAppId !== null && rawAppId !== undefined) {
+    if (typeof rawAppId === 'string') {
+      const parsed = parseInt(rawAppId, 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        appId = parsed;
+      }
+    } else if (typeof rawAppId === 'bigint') {
+      const converted = Number(rawAppId);
+      if (Number.isSafeInteger(converted) && converted > 0) {
+        appId = converted;
+      }
+    } else if (typeof rawAppId === 'number') {
+      if (Number.isInteger(rawAppId) && rawAppId > 0) {
+        appId = rawAppId;
+      }
+    } else if (typeof rawAppId === 'object' && rawAppId !== null) {
+      logger.info('⚠️ Application ID is an object, attempting to extract numeric value:', rawAppId);
+      
+      // Try to find a numeric property that could be the app ID
+      const possibleKeys = ['value', 'id', 'appId', 'applicationId', 'index'];
+      for (const key of possibleKeys) {
+        if (rawAppId[key] !== undefined) {
+          const candidate = rawAppId[key];
+          if (typeof candidate === 'number' && Number.isInteger(candidate) && candidate > 0) {
+            appId = candidate;
+            logger.info(`✅ Extracted app ID from object.${key}: ${appId}`);
+            break;
+          } else if (typeof candidate === 'string') {
+            const parsed = parseInt(candidate, 10);
+            if (!isNaN(parsed) && parsed > 0) {
+              appId = parsed;
+              logger.info(`✅ Extracted and parsed app ID from object.${key}: ${appId}`);
+              break;
+            }
+          }
+        }
+      }
+      
+      if (appId === null) {
+        logger.error('❌ Could not extract valid app ID from object:', rawAppId);
+      }
+    }
+  }
+  
+  logger.debug('📝 Parsed application ID:', appId, 'type:', typeof appId);
+  
+  return appId;
+}
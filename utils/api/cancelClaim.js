@@ -0,0 +1,77 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, validateAlgorandAddress, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, getEscrowClaim, getEscrowMethod, releaseBoxRefs } from '../escrowContract.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function cancelClaim({ body }) {
+  try {
+    const { applicationId, claimKey, walletAddress, network = 'testnet' } = body;
+    
+    logger.info(`📥 Received cancel-claim request for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    // Only claims in the shared escrow can be created cancellable
+    if (!applicationId || Number(applicationId) !== getEscrowAppId(network)) {
+      return jsonResponse(400, { error: 'Only claims held in the escrow application can be cancelled' });
+    }
+    
+    if (!claimKey) {
+      return jsonResponse(400, { error: 'Claim key is required to cancel a claim' });
+    }
+    
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+    
+    const algodClient = createAlgodClient(network);
+    
+    const claimKeyBytes = new Uint8Array(Buffer.from(claimKey, 'base64'));
+    const claim = await getEscrowClaim(algodClient, applicationId, claimKeyBytes);
+    if (!claim || claim.sender !== validatedWalletAddress) {
+      return jsonResponse(404, { error: 'No pending claim from this wallet found for the claim key' });
+    }
+    if (!claim.cancellable) {
+      return jsonResponse(400, { error: 'This claim was not created as cancellable. It can be refunded once it expires.' });
+    }
+    
+    const suggestedParams = await algodClient.getTransactionParams().do();
+    
+    // Call cancel(byte[32])void through the escrow's ARC-4 interface
+    const atc = new algosdk.AtomicTransactionComposer();
+    atc.addMethodCall({
+      appID: Number(applicationId),
+      method: getEscrowMethod('cancel'),
+      methodArgs: [claimKeyBytes],
+      sender: validatedWalletAddress,
+      suggestedParams: suggestedParams,
+      boxes: releaseBoxRefs(Number(applicationId), claimKeyBytes),
+      appForeignAssets: claim.assetId ? [claim.assetId] : undefined,
+      signer: algosdk.makeEmptyTransactionSigner()
+    });
+    const cancelTxn = atc.buildGroup()[0].txn;
+    
+    const txId = cancelTxn.txID();
+    logger.info(`✅ Cancel transaction created: ${txId}`);
+    
+    return jsonResponse(200, {
+      transactionToSign: Buffer.from(algosdk.encodeUnsignedTransaction(cancelTxn)).toString('base64'),
+      transactionId: txId,
+      applicationId: applicationId
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error creating cancel transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Internal server error occurred while creating cancel transaction' 
+    });
+  }
+}
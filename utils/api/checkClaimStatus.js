@@ -0,0 +1,193 @@
+import { createAlgodClient, getAssetUnits, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, getEscrowClaim, getVestingStatus } from '../escrowContract.js';
+import { hashClaimCode, deriveClaimKeypair, normalizeClaimCode, LEGACY_REFUND_DELAY_SECONDS } from '../claimCodes.js';
+import { getRetryAfterSeconds, recordFailure, claimGuessScopes } from '../attemptLimits.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+// Every failed lookup gets the same response, whether the application does not exist, is not
+// a RandCash claim or the code is wrong, so callers without the code cannot probe app IDs
+const NOT_FOUND_RESPONSE = {
+  status: 'not_found',
+  message: 'No pending claim found for this code. It may have already been claimed or refunded.'
+};
+
+// Global state of a legacy per-claim application, or null if it does not exist
+async function getLegacyClaimState(algodClient, applicationId) {
+  let appInfo;
+  try {
+    appInfo = await algodClient.getApplicationByID(applicationId).do();
+  } catch (error) {
+    if (error.status === 404 || error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+  const state = {};
+  for (const item of appInfo.params.globalState || []) {
+    state[Buffer.from(item.key).toString()] = item.value.type === 1
+      ? Buffer.from(item.value.bytes)
+      : Number(item.value.uint);
+  }
+  return state;
+}
+
+export async function checkClaimStatus({ body, clientIp }) {
+  try {
+    const { applicationId, claimCode, network = 'testnet' } = body;
+    
+    logger.info(`📋 Checking claim status for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    // Validate inputs
+    if (!applicationId || applicationId <= 0) {
+      return jsonResponse(400, { error: 'Valid application ID is required' });
+    }
+    
+    if (!claimCode || !claimCode.trim()) {
+      return jsonResponse(400, { error: 'Claim code is required' });
+    }
+    
+    // Codes arrive as hex or in word form; a mistyped word code names the word to check.
+    // This is checked before any lookup, so it is not counted as a guess.
+    const { claimCode: normalizedClaimCode, error: codeError } = normalizeClaimCode(claimCode);
+    if (codeError) {
+      return jsonResponse(200, {
+        status: 'invalid_code',
+        message: codeError
+      });
+    }
+    
+    // Guesses are limited per caller and per application, backing off exponentially
+    const limitScopes = claimGuessScopes(clientIp, network, applicationId);
+    const retryAfter = await getRetryAfterSeconds(limitScopes);
+    if (retryAfter > 0) {
+      return jsonResponse(429, {
+        error: `Too many attempts. Please try again in ${retryAfter} seconds.`,
+        retryAfter
+      }, { 'Retry-After': String(retryAfter) });
+    }
+    
+    const notFound = async (reason) => {
+      await recordFailure(limitScopes, {
+        endpoint: 'check-claim-status',
+        ip: clientIp || null,
+        applicationId: Number(applicationId),
+        network,
+        reason
+      });
+      return jsonResponse(200, NOT_FOUND_RESPONSE);
+    };
+    
+    // Create Algorand client
+    const algodClient = createAlgodClient(network);
+    
+    // Escrow claims live in a box keyed by the claim key; the box is deleted once released
+    const signatureKey = deriveClaimKeypair(normalizedClaimCode).publicKey;
+    if (Number(applicationId) === getEscrowAppId(network)) {
+      const claim = await getEscrowClaim(algodClient, applicationId, signatureKey)
+        || await getEscrowClaim(algodClient, applicationId, hashClaimCode(normalizedClaimCode));
+      
+      if (!claim) {
+        return notFound('no_escrow_claim');
+      }
+      
+      const { decimals, unitName } = await getAssetUnits(algodClient, claim.assetId);
+      const currentTime = Math.floor(Date.now() / 1000);
+      
+      // Vesting claims report their progress; the claimable amount is what has vested and
+      // not been claimed yet
+      if (claim.vesting) {
+        const vesting = getVestingStatus(claim, currentTime);
+        const nextUnlockAt = vesting.nextUnlock ? new Date(vesting.nextUnlock * 1000).toISOString() : null;
+        return jsonResponse(200, {
+          status: vesting.claimable > 0 ? 'available' : 'vesting',
+          message: vesting.claimable > 0
+            ? 'Vested funds are available to claim'
+            : `Nothing has vested since the last claim. The next tranche unlocks at ${nextUnlockAt}.`,
+          amount: vesting.claimable / 10 ** decimals,
+          assetId: claim.assetId,
+          unitName,
+          created: claim.created,
+          expiresAt: new Date(claim.expires * 1000).toISOString(),
+          refundAvailable: currentTime >= claim.expires,
+          recipientAddress: claim.recipient,
+          vesting: {
+            total: claim.amount / 10 ** decimals,
+            vested: vesting.vested / 10 ** decimals,
+            claimed: vesting.claimed / 10 ** decimals,
+            remaining: vesting.remaining / 10 ** decimals,
+            periods: claim.vesting.periods,
+            periodsVested: vesting.elapsedPeriods,
+            nextUnlockAt
+          }
+        });
+      }
+      
+      return jsonResponse(200, {
+        status: 'available',
+        message: 'Funds are available to claim',
+        amount: claim.amount / 10 ** decimals,
+        assetId: claim.assetId,
+        unitName,
+        created: claim.created,
+        expiresAt: new Date(claim.expires * 1000).toISOString(),
+        refundAvailable: currentTime >= claim.expires,
+        // Only this address may claim; null when anyone holding the code can
+        recipientAddress: claim.recipient
+      });
+    }
+    
+    // Legacy per-claim application. Only a code matching its stored public key (signature
+    // mode) or hash (hash mode) reveals anything about it.
+    const state = await getLegacyClaimState(algodClient, applicationId);
+    const codeMatches = state && state.pubkey
+      ? Buffer.from(signatureKey).equals(state.pubkey)
+      : !!(state && state.hash) && hashClaimCode(normalizedClaimCode).equals(state.hash);
+    
+    if (!codeMatches) {
+      return notFound(state ? 'code_mismatch' : 'no_application');
+    }
+    
+    // ASA claims store the amount in the asset's base units, ALGO claims in microAlgos
+    const assetId = state.asset || 0;
+    const { decimals, unitName } = await getAssetUnits(algodClient, assetId);
+    const displayAmount = state.amount ? state.amount / 10 ** decimals : 0;
+    
+    if (state.claimed === 1) {
+      return jsonResponse(200, {
+        status: 'already_claimed',
+        message: 'These funds have already been claimed',
+        amount: displayAmount,
+        assetId,
+        unitName,
+        created: state.created
+      });
+    }
+    
+    // Check if the claim has expired and can be refunded by the sender
+    const currentTime = Math.floor(Date.now() / 1000);
+    const expires = state.expires || (state.created ? state.created + LEGACY_REFUND_DELAY_SECONDS : 0);
+    
+    return jsonResponse(200, {
+      status: 'available',
+      message: 'Funds are available to claim',
+      amount: displayAmount,
+      assetId,
+      unitName,
+      created: state.created,
+      expiresAt: expires ? new Date(expires * 1000).toISOString() : null,
+      refundAvailable: expires > 0 && currentTime >= expires
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error checking claim status:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Internal server error occurred while checking claim status' 
+    });
+  }
+}
@@ -0,0 +1,62 @@
+import { createAlgodClient, createIndexerClient, validateAlgorandAddress, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getClaimHistory } from '../claimHistory.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+export async function claimHistory({ query }) {
+  try {
+    const walletAddress = query.walletAddress;
+    const network = query.network || 'testnet';
+    const nextToken = query.next || null;
+
+    if (!walletAddress) {
+      return jsonResponse(400, { error: 'Wallet address is required' });
+    }
+
+    logger.info(`📥 Received claim-history request for ${walletAddress.substring(0, 8)}... on ${network}`);
+
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+
+    // Validate page size
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return jsonResponse(400, { error: `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+
+    const history = await getClaimHistory(
+      createIndexerClient(network),
+      createAlgodClient(network),
+      validatedWalletAddress,
+      { network, limit, nextToken }
+    );
+
+    logger.info(`✅ Found ${history.events.length} claim history events${history.nextToken ? ' (more available)' : ''}`);
+
+    return jsonResponse(200, {
+      walletAddress: validatedWalletAddress,
+      network: network,
+      events: history.events,
+      nextToken: history.nextToken
+    });
+
+  } catch (error) {
+    logger.error('❌ Error getting claim history:', error);
+    return jsonResponse(500, {
+      error: error.message || 'Failed to get claim history'
+    });
+  }
+}
@@ -0,0 +1,319 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, validateAlgorandAddress, isOptedIntoAsset, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, getEscrowClaim, getEscrowMethod, getVestingStatus, releaseBoxRefs, ASSET_MIN_BALANCE } from '../escrowContract.js';
+import { hashClaimCode, normalizeClaimCode, SIGNATURE_BUDGET_CALLS } from '../claimCodes.js';
+import seedWalletService from '../seedWalletService.js';
+import { getRetryAfterSeconds, recordFailure, claimGuessScopes } from '../attemptLimits.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+const ACCOUNT_MIN_BALANCE = 100000n;
+
+// Amount the claimer is short of its minimum balance once the claim group completes: the base
+// of an empty account (e.g. a wallet just generated in the browser) plus an asset opt-in, less
+// any ALGO payout the claim itself brings in. `isEmpty` marks a wallet that holds nothing yet.
+async function getMinBalanceShortfall(algodClient, claimerAddress, hasOptIn, algoPayout) {
+  const accountInfo = await algodClient.accountInformation(claimerAddress).do();
+  const balance = BigInt(accountInfo.amount);
+  const minBalance = BigInt(accountInfo.minBalance);
+  const required = (minBalance > ACCOUNT_MIN_BALANCE ? minBalance : ACCOUNT_MIN_BALANCE)
+    + (hasOptIn ? BigInt(ASSET_MIN_BALANCE) : 0n);
+  const available = balance + algoPayout;
+  return {
+    shortfall: available >= required ? 0 : Number(required - available),
+    isEmpty: balance === 0n
+  };
+}
+
+// A base64 field of the request as bytes, or null unless it decodes to exactly `length` bytes
+function decodeKey(value, length) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const bytes = Buffer.from(value, 'base64');
+  return bytes.length === length ? new Uint8Array(bytes) : null;
+}
+
+export async function claimWithCode({ body, clientIp }) {
+  try {
+    // Signature-mode claims are proven in the browser (src/services/claimProofService.ts):
+    // claimKey and signature come from the code-derived key, which never leaves the browser.
+    // The code itself is only sent for hash-mode claims, which reveal it on-chain anyway.
+    const { applicationId, claimKey: claimKeyB64, hashKey: hashKeyB64, signature: signatureB64, claimCode, walletAddress, network = 'testnet' } = body;
+    
+    logger.info(`📥 Received claim-with-code request for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    // Validate inputs
+    if (!applicationId || applicationId <= 0) {
+      return jsonResponse(400, { error: 'Valid application ID is required' });
+    }
+    
+    const signatureKey = decodeKey(claimKeyB64, 32);
+    const signature = decodeKey(signatureB64, 64);
+    if (!signatureKey || !signature) {
+      return jsonResponse(400, { error: 'Claim key and signature are required' });
+    }
+    
+    // With the code the hash key is computed here, so it can't disagree with the code
+    let normalizedClaimCode = null;
+    if (claimCode) {
+      const { claimCode: normalized, error: codeError } = normalizeClaimCode(claimCode);
+      if (codeError) {
+        return jsonResponse(400, { error: codeError });
+      }
+      normalizedClaimCode = normalized;
+    }
+    const hashKey = normalizedClaimCode ? new Uint8Array(hashClaimCode(normalizedClaimCode)) : decodeKey(hashKeyB64, 32);
+    
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+    
+    // A claim key that names no claim is a guess at a code, limited like check-claim-status
+    const limitScopes = claimGuessScopes(clientIp, network, applicationId);
+    const retryAfter = await getRetryAfterSeconds(limitScopes);
+    if (retryAfter > 0) {
+      return jsonResponse(429, {
+        error: `Too many attempts. Please try again in ${retryAfter} seconds.`,
+        retryAfter
+      }, { 'Retry-After': String(retryAfter) });
+    }
+    
+    // Create Algorand client
+    const algodClient = createAlgodClient(network);
+    
+    // Get suggested parameters
+    const suggestedParams = await algodClient.getTransactionParams().do();
+    
+    // Read the application (legacy claims keep their mode and asset in global state)
+    const appInfo = await algodClient.getApplicationByID(applicationId).do();
+    
+    let claimMode;
+    let assetId;
+    let claimKey = null;
+    let escrowClaim = null;
+    let algoPayout = 0n;
+    let trancheInnerFees = 0;
+    if (Number(applicationId) === getEscrowAppId(network)) {
+      // Escrow claims live in a box keyed by the claim key: try the signature key, then the hash
+      claimKey = signatureKey;
+      escrowClaim = await getEscrowClaim(algodClient, applicationId, claimKey);
+      if (!escrowClaim && hashKey) {
+        claimKey = hashKey;
+        escrowClaim = await getEscrowClaim(algodClient, applicationId, claimKey);
+      }
+      if (!escrowClaim) {
+        await recordFailure(limitScopes, {
+          endpoint: 'claim-with-code',
+          ip: clientIp || null,
+          applicationId: Number(applicationId),
+          network,
+          reason: 'no_escrow_claim'
+        });
+        return jsonResponse(404, { error: 'No pending claim found for this code. It may have already been claimed or refunded.' });
+      }
+      // The contract would reject the claim anyway; say why before the claimer signs anything
+      if (escrowClaim.recipient && escrowClaim.recipient !== validatedWalletAddress) {
+        return jsonResponse(403, { error: `This claim can only be claimed by ${escrowClaim.recipient}. Connect that wallet to claim it.` });
+      }
+      claimMode = escrowClaim.claimMode;
+      assetId = escrowClaim.assetId;
+      let payout = escrowClaim.amount;
+      if (escrowClaim.vesting) {
+        // Vesting claims pay out what has vested since the last claim
+        const vesting = getVestingStatus(escrowClaim);
+        if (vesting.claimable <= 0) {
+          const nextUnlock = vesting.nextUnlock ? ` The next tranche unlocks at ${new Date(vesting.nextUnlock * 1000).toISOString()}.` : '';
+          return jsonResponse(400, { error: `Nothing has vested since your last claim.${nextUnlock}` });
+        }
+        payout = vesting.claimable;
+        // Tranches before the last are paid by an inner transaction the claimer's fee covers
+        trancheInnerFees = vesting.claimable < vesting.remaining ? 1 : 0;
+      }
+      algoPayout = assetId ? 0n : BigInt(payout);
+    } else {
+      // Legacy per-claim application: the claim mode and asset are in global state
+      const globalState = appInfo.params.globalState || [];
+      const state = {};
+      for (const item of globalState) {
+        state[Buffer.from(item.key, 'base64').toString()] = item.value;
+      }
+      claimMode = state.pubkey ? 'signature' : 'hash';
+      assetId = state.asset ? Number(state.asset.uint) : 0;
+      algoPayout = !assetId && state.amount ? BigInt(state.amount.uint) : 0n;
+    }
+    
+    logger.debug('🔑 Claim attempt details', { claimMode, applicationId, assetId });
+    
+    // Hash-mode claims need the code itself as the proof; ask the client for it
+    if (claimMode === 'hash' && !normalizedClaimCode) {
+      return jsonResponse(200, { codeRequired: true, applicationId, claimMode, assetId });
+    }
+    
+    // ASA claims pay out via axfer, which needs the claimer opted into the asset first
+    const needsOptIn = !!assetId && !(await isOptedIntoAsset(algodClient, validatedWalletAddress, assetId));
+    const budgetCalls = claimMode === 'signature' ? SIGNATURE_BUDGET_CALLS : 0;
+    
+    // Only an empty wallet claiming from the escrow, such as one just generated in the
+    // browser, gets what it is missing of its minimum balance from the seed wallet; any other
+    // wallet must already hold it
+    const { shortfall, isEmpty } = await getMinBalanceShortfall(algodClient, validatedWalletAddress, needsOptIn, algoPayout);
+    const topUp = escrowClaim && isEmpty ? shortfall : 0;
+    if (shortfall > 0 && !topUp) {
+      return jsonResponse(400, {
+        error: `This wallet needs ${shortfall} more microAlgos to receive the claim. Fund it and try again.`
+      });
+    }
+    
+    // For claims held in the configured escrow, the seed wallet pays the claimer's fees, and
+    // any top-up, from the same atomic group (fee pooling), so the claim either fully succeeds
+    // or costs nobody anything. Legacy claims, and escrow claims it won't sponsor, are paid by
+    // the claimer.
+    const claimerTxnCount = (needsOptIn ? 1 : 0) + 1 + budgetCalls;
+    const sponsorTxn = escrowClaim
+      ? await seedWalletService.createSponsorTransaction(
+        validatedWalletAddress, claimerTxnCount + trancheInnerFees, suggestedParams, network, clientIp, topUp
+      )
+      : null;
+    if (topUp && !sponsorTxn) {
+      return jsonResponse(400, {
+        error: `This new wallet needs ${topUp} microAlgos to receive the claim and the seed wallet can't cover it right now. Fund it and try again.`
+      });
+    }
+    const claimerParams = sponsorTxn ? { ...suggestedParams, fee: 0n, flatFee: true } : suggestedParams;
+    if (sponsorTxn) {
+      logger.info(`💰 Seed wallet sponsoring ${claimerTxnCount + trancheInnerFees} claimer transaction fee(s)${topUp ? ` and ${topUp} microAlgos of minimum balance` : ''}`);
+    }
+    
+    const optInTxns = [];
+    if (needsOptIn) {
+      logger.debug(`📝 Claimer is not opted into asset ${assetId}, prepending opt-in transaction`);
+      optInTxns.push(algosdk.makeAssetTransferTxnWithSuggestedParamsFromObject({
+        sender: validatedWalletAddress,
+        receiver: validatedWalletAddress,
+        assetIndex: assetId,
+        amount: 0,
+        suggestedParams: claimerParams
+      }));
+    }
+    const foreignAssets = assetId ? [assetId] : undefined;
+    
+    // The browser's signature over the claimer's address, checked by the contract; only the
+    // signature goes on-chain
+    const proof = claimMode === 'signature' ? signature : new TextEncoder().encode(normalizedClaimCode);
+    
+    let groupTxns;
+    if (escrowClaim) {
+      // Escrow claims call claim(byte[32],byte[])void through the ARC-4 interface, naming the
+      // box and passing the sender, who gets the box minimum balance back
+      const signer = algosdk.makeEmptyTransactionSigner();
+      const atc = new algosdk.AtomicTransactionComposer();
+      if (sponsorTxn) {
+        atc.addTransaction({ txn: sponsorTxn, signer });
+      }
+      optInTxns.forEach(txn => atc.addTransaction({ txn, signer }));
+      atc.addMethodCall({
+        appID: Number(applicationId),
+        method: getEscrowMethod('claim'),
+        methodArgs: [claimKey, proof],
+        sender: validatedWalletAddress,
+        suggestedParams: sponsorTxn || !trancheInnerFees
+          ? claimerParams
+          : { ...suggestedParams, fee: BigInt(suggestedParams.minFee) * BigInt(1 + trancheInnerFees), flatFee: true },
+        boxes: releaseBoxRefs(Number(applicationId), claimKey),
+        appAccounts: [escrowClaim.sender],
+        appForeignAssets: foreignAssets,
+        signer
+      });
+      for (let i = 0; i < budgetCalls; i++) {
+        atc.addMethodCall({
+          appID: Number(applicationId),
+          method: getEscrowMethod('budget'),
+          sender: validatedWalletAddress,
+          suggestedParams: claimerParams,
+          note: new TextEncoder().encode(`RandCash claim budget ${i}`),
+          signer
+        });
+      }
+      groupTxns = atc.buildGroup().map(({ txn }) => txn);
+    } else {
+      // Legacy per-claim application with raw string arguments; never sponsored
+      const claimTxn = algosdk.makeApplicationCallTxnFromObject({
+        sender: validatedWalletAddress,
+        suggestedParams: claimerParams,
+        appIndex: applicationId,
+        onComplete: algosdk.OnApplicationComplete.NoOpOC,
+        appArgs: [new TextEncoder().encode('claim'), proof],
+        foreignAssets
+      });
+      
+      const budgetTxns = [];
+      for (let i = 0; i < budgetCalls; i++) {
+        budgetTxns.push(algosdk.makeApplicationCallTxnFromObject({
+          sender: validatedWalletAddress,
+          suggestedParams: claimerParams,
+          appIndex: applicationId,
+          onComplete: algosdk.OnApplicationComplete.NoOpOC,
+          appArgs: [new TextEncoder().encode('budget')],
+          note: new TextEncoder().encode(`RandCash claim budget ${i}`)
+        }));
+      }
+      
+      groupTxns = [...optInTxns, claimTxn, ...budgetTxns];
+      if (groupTxns.length > 1) {
+        algosdk.assignGroupID(groupTxns);
+      }
+    }
+    
+    const claimTxn = groupTxns[(sponsorTxn ? 1 : 0) + optInTxns.length];
+    const txId = claimTxn.txID();
+    
+    if (groupTxns.length > 1) {
+      logger.info(`✅ Claim group created: ${txId} (${groupTxns.length} transactions)`);
+      
+      // The sponsor transaction is returned already signed; the client signs the rest of the
+      // group and slots it back in at its index before submitting
+      return jsonResponse(200, {
+        transactionsToSign: groupTxns.map(txn =>
+          Buffer.from(algosdk.encodeUnsignedTransaction(txn)).toString('base64')
+        ),
+        sponsorTransaction: sponsorTxn ? {
+          index: 0,
+          signedTransaction: Buffer.from(seedWalletService.signSponsorTransaction(groupTxns[0])).toString('base64')
+        } : undefined,
+        transactionId: txId,
+        applicationId: applicationId,
+        claimMode,
+        assetId
+      });
+    }
+    
+    // Encode transaction for signing
+    const txnToSign = Buffer.from(algosdk.encodeUnsignedTransaction(claimTxn)).toString('base64');
+    
+    logger.info(`✅ Claim transaction created: ${txId}`);
+    
+    return jsonResponse(200, {
+      transactionToSign: txnToSign,
+      transactionId: txId,
+      applicationId: applicationId,
+      claimMode,
+      assetId
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error creating claim transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Internal server error occurred while creating claim transaction' 
+    });
+  }
+}
@@ -0,0 +1,271 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, validateAlgorandAddress, getAssetDetails, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, createEscrowClaimTxns, CLAIM_GROUP_SIZE, MAX_CLAIMS_PER_GROUP } from '../escrowContract.js';
+import {
+  generateClaimCode,
+  hashClaimCode,
+  deriveClaimKeypair,
+  getExpirySeconds,
+  getVestingSchedule,
+  getVestingEnd,
+  CLAIM_MODES,
+  DEFAULT_EXPIRY,
+  EXPIRY_UNIT_SECONDS
+} from '../claimCodes.js';
+import { claimCodeToWords } from '../claimWords.js';
+import { validateMessage } from '../emailTemplates.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+// Claim amount in base units (microAlgos, or the asset's smallest unit)
+function toBaseUnits(amount, decimals) {
+  return Math.round(Number(amount) * 10 ** decimals);
+}
+
+// Validate the recipients of a send, returning an error message or null.
+// Split sends are limited to the claims that fit in one atomic group.
+function validateClaimEntries(entries, isSplit) {
+  if (entries.length === 0 || entries.length > MAX_CLAIMS_PER_GROUP) {
+    return `Split sends support between 1 and ${MAX_CLAIMS_PER_GROUP} recipients`;
+  }
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  for (const [index, entry] of entries.entries()) {
+    const prefix = isSplit ? `Recipient ${index + 1}: ` : '';
+    if (!entry || !Number.isFinite(Number(entry.amount)) || Number(entry.amount) <= 0) {
+      return `${prefix}Invalid amount`;
+    }
+    // Email is optional - only validate format if provided
+    if (entry.email && entry.email.trim() && !emailRegex.test(entry.email.trim())) {
+      return `${prefix}Please provide a valid email address`;
+    }
+    if (entry.recipientAddress && !algosdk.isValidAddress(entry.recipientAddress)) {
+      return `${prefix}Invalid recipient address`;
+    }
+    const messageError = validateMessage(entry.message);
+    if (messageError) {
+      return `${prefix}${messageError}`;
+    }
+  }
+  return null;
+}
+
+export async function createClaim({ body }) {
+  try {
+    const {
+      amount,
+      recipient,
+      recipientAddress,
+      message,
+      recipients,
+      senderAddress,
+      network = 'testnet',
+      claimMode = 'signature',
+      expiresIn = DEFAULT_EXPIRY.expiresIn,
+      expiryUnit = DEFAULT_EXPIRY.expiryUnit,
+      assetId = 0,
+      cancellable = false,
+      vesting = null
+    } = body;
+
+    logger.info(`📥 Received create-claim request:`, {
+      amount,
+      hasRecipient: !!recipient,
+      senderAddress: senderAddress ? `${senderAddress.substring(0, 8)}...` : 'undefined',
+      network,
+      assetId,
+      cancellable: !!cancellable,
+      vesting: !!vesting,
+      recipientLocked: !!recipientAddress,
+      hasMessage: !!message,
+      splitRecipients: Array.isArray(recipients) ? recipients.length : 0
+    });
+
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+
+    // New claims are stored in the network's shared escrow application
+    const escrowAppId = getEscrowAppId(network);
+    if (!escrowAppId) {
+      return jsonResponse(500, { error: `Escrow application is not configured for ${NETWORK_CONFIGS[network].name}. Deploy it with npm run deploy:escrow and set ESCROW_APP_ID_${network.toUpperCase()}.` });
+    }
+
+    // Validate claim mode
+    if (!CLAIM_MODES.includes(claimMode)) {
+      return jsonResponse(400, { error: `Invalid claim mode. Expected one of: ${CLAIM_MODES.join(', ')}` });
+    }
+
+    // Validate expiry
+    let expirySeconds = getExpirySeconds(expiresIn, expiryUnit);
+    if (!expirySeconds) {
+      return jsonResponse(400, { error: `Invalid expiry. Choose between 1 hour and 52 weeks using one of: ${Object.keys(EXPIRY_UNIT_SECONDS).join(', ')}` });
+    }
+    
+    // Vesting claims are claimed once per tranche, which only signature mode keeps private.
+    // Their expiry counts from when the last tranche unlocks.
+    let vestingSchedule = null;
+    if (vesting) {
+      vestingSchedule = getVestingSchedule(vesting);
+      if (!vestingSchedule) {
+        return jsonResponse(400, { error: 'Invalid vesting schedule. Use an interval of at least 1 hour, 1 to 120 periods and a cliff no longer than the schedule.' });
+      }
+      if (claimMode !== 'signature') {
+        return jsonResponse(400, { error: 'Vesting claims require signature claim mode' });
+      }
+      expirySeconds += Math.max(0, getVestingEnd(vestingSchedule) - Math.floor(Date.now() / 1000));
+    }
+
+    // Validate asset ID (0 means native ALGO)
+    if (!Number.isSafeInteger(Number(assetId)) || Number(assetId) < 0) {
+      return jsonResponse(400, { error: 'Invalid asset ID' });
+    }
+    
+    // Split sends pass a list of recipients; a single send is a list of one. Each may be
+    // locked to a recipient address, in which case the email is only a notification.
+    const isSplit = Array.isArray(recipients);
+    const entries = isSplit ? recipients : [{ email: recipient, amount, message, recipientAddress }];
+    const entriesError = validateClaimEntries(entries, isSplit);
+    if (entriesError) {
+      return jsonResponse(400, { error: entriesError });
+    }
+    
+    // Validate sender address
+    let validatedSenderAddress;
+    try {
+      validatedSenderAddress = validateAlgorandAddress(senderAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid sender address: ${addressError.message}` });
+    }
+
+
+    const algodClient = createAlgodClient(network);
+
+    // Resolve the asset being sent
+    let asset = null;
+    if (Number(assetId) > 0) {
+      try {
+        asset = await getAssetDetails(algodClient, Number(assetId));
+      } catch (assetError) {
+        return jsonResponse(400, { error: `Asset ${assetId} not found on ${NETWORK_CONFIGS[network].name}` });
+      }
+    }
+    const unitName = asset ? asset.unitName : 'ALGO';
+    const decimals = asset ? asset.decimals : 6;
+
+    // Amounts that round to nothing in base units would create empty claims
+    const tinyIndex = entries.findIndex(entry => toBaseUnits(entry.amount, decimals) <= 0);
+    if (tinyIndex !== -1) {
+      return jsonResponse(400, { error: `${isSplit ? `Recipient ${tinyIndex + 1}: ` : ''}Amount is smaller than 1 base unit of ${unitName}` });
+    }
+
+    const totalAmount = entries.reduce((sum, entry) => sum + Number(entry.amount), 0);
+    logger.info(`✅ Creating ${entries.length} claim(s) for ${totalAmount} ${unitName} from ${validatedSenderAddress} on ${NETWORK_CONFIGS[network].name}`);
+
+    // Generate a claim code per recipient and derive the key stored on-chain
+    const claims = entries.map(entry => {
+      const claimCode = generateClaimCode();
+      return {
+        recipient: entry.email,
+        amount: Number(entry.amount),
+        message: entry.message,
+        recipientAddress: entry.recipientAddress || null,
+        claimCode,
+        claimKey: claimMode === 'signature'
+          ? deriveClaimKeypair(claimCode).publicKey
+          : hashClaimCode(claimCode)
+      };
+    });
+    
+    // Codes are secrets; only the public claim keys are logged
+    logger.debug('🔑 Claim details', {
+      claimMode,
+      expirySeconds,
+      claimKeys: claims.map(claim => Buffer.from(claim.claimKey).toString('base64'))
+    });
+    
+    // Build the atomic group of [min-balance payment, funding, create call] triples
+    logger.info(`📋 Creating escrow claim group for app ${escrowAppId}...`);
+    const suggestedParams = await algodClient.getTransactionParams().do();
+    const transactions = await createEscrowClaimTxns(algodClient, escrowAppId, {
+      senderAddress: validatedSenderAddress,
+      claims: claims.map(claim => ({
+        claimKey: claim.claimKey,
+        claimMode,
+        amount: toBaseUnits(claim.amount, decimals),
+        expirySeconds,
+        cancellable: !!cancellable,
+        recipientAddress: claim.recipientAddress,
+        vesting: vestingSchedule
+      })),
+      assetId: asset ? asset.id : 0,
+      suggestedParams
+    });
+    const claimTxIds = claims.map((claim, index) => {
+      const [minBalanceTxn, fundingTxn, createTxn] = transactions.slice(index * CLAIM_GROUP_SIZE, (index + 1) * CLAIM_GROUP_SIZE);
+      return {
+        minBalance: minBalanceTxn.txID(),
+        app: createTxn.txID(),
+        funding: fundingTxn.txID()
+      };
+    });
+    const txIds = claimTxIds[0];
+    logger.info('✅ Created escrow claim group');
+
+    // Claims are recorded in storage by submit-transaction once the group is confirmed
+
+    logger.info(`🎉 Escrow claim group created successfully on ${NETWORK_CONFIGS[network].name}:`);
+    logger.info(`- Claims: ${claims.length}`);
+    logger.info(`- Escrow app call transaction ID: ${txIds.app}`);
+    logger.info(`- Funding transaction ID: ${txIds.funding}`);
+
+    // Return response
+    return jsonResponse(200, {
+      claimCode: claims[0].claimCode,
+      // The same code as words, for reading aloud; either form can be claimed with
+      claimWords: claimCodeToWords(claims[0].claimCode),
+      transactionId: txIds.app,
+      transactionIds: txIds,
+      applicationId: escrowAppId,
+      claimKey: Buffer.from(claims[0].claimKey).toString('base64'),
+      isAtomic: true,
+      deploymentTransactions: transactions.map(txn =>
+        Buffer.from(algosdk.encodeUnsignedTransaction(txn)).toString('base64')
+      ),
+      claimMode,
+      cancellable: !!cancellable,
+      recipientAddress: claims[0].recipientAddress,
+      vesting: vestingSchedule,
+      expirySeconds,
+      estimatedExpiresAt: new Date(Date.now() + expirySeconds * 1000).toISOString(),
+      asset,
+      // One entry per recipient; the top-level claim fields describe the first claim
+      claims: claims.map((claim, index) => ({
+        recipient: claim.recipient,
+        amount: claim.amount,
+        message: claim.message,
+        claimCode: claim.claimCode,
+        claimWords: claimCodeToWords(claim.claimCode),
+        claimKey: Buffer.from(claim.claimKey).toString('base64'),
+        recipientAddress: claim.recipientAddress,
+        transactionId: claimTxIds[index].app
+      })),
+      claimDetails: {
+        recipient: claims[0].recipient,
+        amount: claims[0].amount,
+        message: claims[0].message,
+        network,
+        claimCode: claims[0].claimCode,
+        assetId: asset ? asset.id : 0,
+        decimals,
+        unitName
+      }
+    });
+
+  } catch (error) {
+    logger.error('❌ Error creating claim:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Internal server error occurred while creating claim' 
+    });
+  }
+}
@@ -0,0 +1,90 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, NETWORK_CONFIGS, validateAlgorandAddress } from '../algorandClient.js';
+import { getEscrowAppId } from '../escrowContract.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function deleteContract({ body }) {
+  try {
+    const { applicationId, walletAddress, network = 'testnet' } = body;
+    
+    logger.info(`📥 Received CloseOut request for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    // Validate inputs
+    if (!applicationId || applicationId <= 0) {
+      return jsonResponse(400, { error: 'Valid application ID is required' });
+    }
+    
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+    
+    // Escrow claim boxes are deleted when claimed or refunded; the escrow itself is permanent
+    if (Number(applicationId) === getEscrowAppId(network)) {
+      return jsonResponse(400, {
+        error: 'The shared escrow application cannot be deleted. Escrow claims are cleaned up automatically when claimed or refunded.'
+      });
+    }
+    
+    const algodClient = createAlgodClient(network);
+    
+    // Verify the caller is the creator of the application
+    const appInfo = await algodClient.getApplicationByID(applicationId).do();
+    const creator = appInfo.params.creator.toString();
+    
+    if (creator !== validatedWalletAddress) {
+      return jsonResponse(403, { 
+        error: 'Only the creator of the application can CloseOut it' 
+      });
+    }
+    
+    // Check if contract has minimal balance (allow up to 0.01 ALGO remaining)
+    const appAddress = algosdk.getApplicationAddress(applicationId);
+    const contractAccountInfo = await algodClient.accountInformation(appAddress).do();
+    const contractBalance = Number(contractAccountInfo.amount);
+    
+    if (contractBalance > 10000) { // 0.01 ALGO in microAlgos
+      return jsonResponse(400, {
+        error: `Cannot CloseOut contract with significant balance. Current balance: ${contractBalance / 1000000} ALGO. Please refund or claim first.`
+      });
+    }
+    
+    // Get suggested parameters
+    const suggestedParams = await algodClient.getTransactionParams().do();
+    
+    // Create application deletion transaction
+    const deleteTxn = algosdk.makeApplicationDeleteTxnFromObject({
+      sender: validatedWalletAddress,
+      suggestedParams: suggestedParams,
+      appIndex: applicationId
+    });
+    
+    // Encode transaction for signing
+    const txnToSign = Buffer.from(algosdk.encodeUnsignedTransaction(deleteTxn)).toString('base64');
+    const txId = deleteTxn.txID();
+    
+    logger.info(`✅ CloseOut transaction created for app ${applicationId}: ${txId}`);
+    
+    return jsonResponse(200, {
+      transactionToSign: txnToSign,
+      transactionId: txId,
+      applicationId: applicationId,
+      message: 'Transaction created successfully. Sign and submit to CloseOut the contract.'
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error creating CloseOut transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to create CloseOut transaction' 
+    });
+  }
+}
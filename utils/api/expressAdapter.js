@@ -0,0 +1,34 @@
+import { ROUTES } from './routes.js';
+import { logger, withRequestContext, getRequestId } from '../logger.js';
+
+// Wrap a core API handler as an Express route handler
+export function createExpressHandler(apiHandler, route) {
+  return (req, res) => withRequestContext({ requestId: req.get('x-request-id'), route }, async () => {
+    res.set('X-Request-Id', getRequestId());
+    try {
+      const { statusCode, body, headers } = await apiHandler({ body: req.body || {}, query: req.query, clientIp: req.ip });
+      if (headers) {
+        res.set(headers);
+      }
+      res.status(statusCode).json(body);
+    } catch (error) {
+      logger.error('❌ Unhandled API error', error);
+      res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+  });
+}
+
+// Register every API route on an Express app, matching the Netlify function paths
+export function registerApiRoutes(app) {
+  for (const { name, method, handler } of ROUTES) {
+    app[method.toLowerCase()](`/api/${name}`, createExpressHandler(handler, name));
+  }
+}
+
+// Match the Netlify adapter's response for unparseable request bodies
+export function jsonParseErrorHandler(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON in request body', details: error.message });
+  }
+  next(error);
+}
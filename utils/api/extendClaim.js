@@ -0,0 +1,82 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, validateAlgorandAddress, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, getEscrowClaim, getEscrowMethod } from '../escrowContract.js';
+import { getExpirySeconds, EXPIRY_UNIT_SECONDS } from '../claimCodes.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function extendClaim({ body }) {
+  try {
+    const { applicationId, claimKey, walletAddress, extendBy, extendUnit, network = 'testnet' } = body;
+    
+    logger.info(`📥 Received extend-claim request for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    if (!applicationId || Number(applicationId) !== getEscrowAppId(network)) {
+      return jsonResponse(400, { error: 'Only claims held in the escrow application can be extended' });
+    }
+    
+    if (!claimKey) {
+      return jsonResponse(400, { error: 'Claim key is required to extend a claim' });
+    }
+    
+    // Extensions follow the same limits as the expiry chosen at creation
+    const extensionSeconds = getExpirySeconds(extendBy, extendUnit);
+    if (!extensionSeconds) {
+      return jsonResponse(400, { error: `Invalid extension. Choose between 1 hour and 52 weeks using one of: ${Object.keys(EXPIRY_UNIT_SECONDS).join(', ')}` });
+    }
+    
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+    
+    const algodClient = createAlgodClient(network);
+    
+    const claimKeyBytes = new Uint8Array(Buffer.from(claimKey, 'base64'));
+    const claim = await getEscrowClaim(algodClient, applicationId, claimKeyBytes);
+    if (!claim || claim.sender !== validatedWalletAddress) {
+      return jsonResponse(404, { error: 'No pending claim from this wallet found for the claim key' });
+    }
+    
+    const suggestedParams = await algodClient.getTransactionParams().do();
+    
+    // Call extend(byte[32],uint64)void through the escrow's ARC-4 interface
+    const atc = new algosdk.AtomicTransactionComposer();
+    atc.addMethodCall({
+      appID: Number(applicationId),
+      method: getEscrowMethod('extend'),
+      methodArgs: [claimKeyBytes, extensionSeconds],
+      sender: validatedWalletAddress,
+      suggestedParams: suggestedParams,
+      boxes: [{ appIndex: Number(applicationId), name: claimKeyBytes }],
+      signer: algosdk.makeEmptyTransactionSigner()
+    });
+    const extendTxn = atc.buildGroup()[0].txn;
+    
+    const txId = extendTxn.txID();
+    const expiresTimestamp = claim.expires + extensionSeconds;
+    logger.info(`✅ Extend transaction created: ${txId}`);
+    
+    return jsonResponse(200, {
+      transactionToSign: Buffer.from(algosdk.encodeUnsignedTransaction(extendTxn)).toString('base64'),
+      transactionId: txId,
+      applicationId: applicationId,
+      expiresTimestamp,
+      expiresAt: new Date(expiresTimestamp * 1000).toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error creating extend transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Internal server error occurred while creating extend transaction' 
+    });
+  }
+}
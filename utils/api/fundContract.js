@@ -0,0 +1,90 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, validateAlgorandAddress, NETWORK_CONFIGS } from '../algorandClient.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function fundContract({ body }) {
+  try {
+    const { applicationId, amount, senderAddress, network = 'testnet', assetId = 0 } = body;
+    
+    logger.info(`📥 Received fund-contract request for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    // Validate inputs
+    if (!applicationId || applicationId <= 0) {
+      return jsonResponse(400, { error: 'Valid application ID is required' });
+    }
+    
+    if (!amount || amount <= 0) {
+      return jsonResponse(400, { error: 'Amount must be greater than 0' });
+    }
+    
+    // Validate sender address
+    let validatedSenderAddress;
+    try {
+      validatedSenderAddress = validateAlgorandAddress(senderAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid sender address: ${addressError.message}` });
+    }
+    
+    // Create Algorand client
+    const algodClient = createAlgodClient(network);
+    
+    // Get suggested parameters
+    const suggestedParams = await algodClient.getTransactionParams().do();
+    
+    // Get the application address
+    const appAddress = algosdk.getApplicationAddress(applicationId);
+    logger.debug(`📝 Contract address: ${appAddress}`);
+    
+    // Create payment (ALGO) or asset transfer (ASA) transaction to fund the contract
+    let fundingTxn;
+    let unitName = 'ALGO';
+    if (Number(assetId) > 0) {
+      const assetInfo = await algodClient.getAssetByID(Number(assetId)).do();
+      const decimals = Number(assetInfo.params.decimals);
+      unitName = assetInfo.params.unitName || `ASA ${assetId}`;
+      fundingTxn = algosdk.makeAssetTransferTxnWithSuggestedParamsFromObject({
+        sender: validatedSenderAddress,
+        receiver: appAddress,
+        assetIndex: Number(assetId),
+        amount: Math.round(amount * 10 ** decimals), // Convert to the asset's base units
+        suggestedParams: suggestedParams,
+        note: new TextEncoder().encode('RandCash contract funding')
+      });
+    } else {
+      fundingTxn = algosdk.makePaymentTxnWithSuggestedParamsFromObject({
+        sender: validatedSenderAddress,
+        receiver: appAddress,
+        amount: Math.round(amount * 1000000), // Convert ALGO to microAlgos
+        suggestedParams: suggestedParams,
+        note: new TextEncoder().encode('RandCash contract funding')
+      });
+    }
+    
+    // Encode transaction for signing
+    const txnToSign = Buffer.from(algosdk.encodeUnsignedTransaction(fundingTxn)).toString('base64');
+    const txId = fundingTxn.txID();
+    
+    logger.info(`✅ Funding transaction created:`);
+    logger.info(`- Amount: ${amount} ${unitName}`);
+    logger.info(`- To contract: ${appAddress}`);
+    logger.info(`- Transaction ID: ${txId}`);
+    
+    return jsonResponse(200, {
+      transactionToSign: txnToSign,
+      transactionId: txId,
+      contractAddress: appAddress.toString()
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error creating funding transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to create funding transaction' 
+    });
+  }
+}
@@ -0,0 +1,48 @@
+import { createAlgodClient, NETWORK_CONFIGS } from '../algorandClient.js';
+import { isValidPicaConfig } from '../emailService.js';
+import seedWalletService from '../seedWalletService.js';
+import { jsonResponse } from './http.js';
+
+export async function health({ query }) {
+  try {
+    const network = query.network || 'testnet';
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+
+    // Test Algorand connection
+    const algodClient = createAlgodClient(network);
+    const status = await algodClient.status().do();
+    
+    // Check seed wallet status
+    const seedWalletStatus = await seedWalletService.checkSeedWalletBalance(network);
+    
+    return jsonResponse(200, { 
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      algorand: {
+        network: NETWORK_CONFIGS[network].name,
+        node: NETWORK_CONFIGS[network].algodServer,
+        lastRound: status['last-round']
+      },
+      services: {
+        email: isValidPicaConfig ? 'connected' : 'simulated',
+        seedWallet: seedWalletStatus.configured ? {
+          status: 'configured',
+          address: seedWalletStatus.address,
+          balance: `${seedWalletStatus.balance} ALGO`
+        } : {
+          status: 'not_configured'
+        }
+      }
+    });
+  } catch (error) {
+    return jsonResponse(500, { 
+      status: 'ERROR', 
+      timestamp: new Date().toISOString(),
+      error: error.message 
+    });
+  }
+}
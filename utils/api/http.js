@@ -0,0 +1,7 @@
+// API handlers are transport-agnostic: they take { body, query, clientIp } and return
+// { statusCode, body, headers? }, which the Express and Netlify adapters turn into HTTP
+// responses. clientIp may be undefined when the transport does not report it.
+
+export function jsonResponse(statusCode, body, headers = null) {
+  return headers ? { statusCode, body, headers } : { statusCode, body };
+}
@@ -0,0 +1,70 @@
+import { logger, withRequestContext, getRequestId } from '../logger.js';
+
+// Wrap a core API handler as a Netlify function
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Content-Type': 'application/json'
+};
+
+function toNetlifyResponse({ statusCode, body, headers }) {
+  return {
+    statusCode,
+    headers: { ...corsHeaders, 'X-Request-Id': getRequestId(), ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+// Netlify reports the caller's address in its own header; client-ip is the older name
+function getClientIp(event) {
+  const headers = event.headers || {};
+  return headers['x-nf-client-connection-ip'] || headers['client-ip'];
+}
+
+export function createNetlifyHandler(method, apiHandler) {
+  return (event) => withRequestContext({
+    requestId: event.headers?.['x-nf-request-id'],
+    route: event.path
+  }, async () => {
+    // Handle CORS
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Methods': `${method}, OPTIONS`
+        },
+        body: ''
+      };
+    }
+
+    if (event.httpMethod !== method) {
+      return toNetlifyResponse({ statusCode: 405, body: { error: 'Method not allowed' } });
+    }
+
+    let body = {};
+    if (event.body) {
+      try {
+        body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body);
+      } catch (parseError) {
+        logger.warn('❌ Invalid JSON in request body', { reason: parseError.message });
+        return toNetlifyResponse({
+          statusCode: 400,
+          body: { error: 'Invalid JSON in request body', details: parseError.message }
+        });
+      }
+    }
+
+    try {
+      return toNetlifyResponse(await apiHandler({
+        body,
+        query: event.queryStringParameters || {},
+        clientIp: getClientIp(event)
+      }));
+    } catch (error) {
+      logger.error('❌ Unhandled API error', error);
+      return toNetlifyResponse({ statusCode: 500, body: { error: error.message || 'Internal server error' } });
+    }
+  });
+}
@@ -0,0 +1,91 @@
+import { createAlgodClient, createIndexerClient, validateAlgorandAddress, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getReceivedClaims } from '../claimHistory.js';
+import { findClaimsByApplicationId, findClaimsByClaimKey } from '../storage.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Find the stored record of a redeemed claim: by claim key in the shared escrow, or the
+// only record of a legacy per-claim application
+async function findStoredClaim(event, network) {
+  const storedClaims = (event.claimKey
+    ? await findClaimsByClaimKey(event.claimKey)
+    : await findClaimsByApplicationId(event.applicationId)
+  ).filter(claim => Number(claim.applicationId) === event.applicationId && (!claim.network || claim.network === network));
+  return storedClaims.length === 1 ? storedClaims[0] : null;
+}
+
+export async function receivedClaims({ query }) {
+  try {
+    const walletAddress = query.walletAddress;
+    const network = query.network || 'testnet';
+    const nextToken = query.next || null;
+
+    if (!walletAddress) {
+      return jsonResponse(400, { error: 'Wallet address is required' });
+    }
+
+    logger.info(`📥 Received received-claims request for ${walletAddress.substring(0, 8)}... on ${network}`);
+
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+
+    // Validate page size
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return jsonResponse(400, { error: `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+
+    const received = await getReceivedClaims(
+      createIndexerClient(network),
+      createAlgodClient(network),
+      validatedWalletAddress,
+      { network, limit, nextToken }
+    );
+
+    // Add the sender and message from claim storage where the claim was recorded
+    const claims = [];
+    for (const event of received.events) {
+      const storedClaim = await findStoredClaim(event, network);
+      claims.push({
+        applicationId: event.applicationId,
+        claimKey: event.claimKey,
+        transactionId: event.transactionId,
+        claimedAt: event.timestamp,
+        round: event.round,
+        sender: event.counterpart || storedClaim?.sender || null,
+        amount: event.amount === null ? null : event.amount / 10 ** event.decimals,
+        assetId: event.assetId,
+        unitName: event.unitName,
+        message: storedClaim?.message || null
+      });
+    }
+
+    logger.info(`✅ Found ${claims.length} received claims${received.nextToken ? ' (more available)' : ''}`);
+
+    return jsonResponse(200, {
+      walletAddress: validatedWalletAddress,
+      network: network,
+      claims: claims,
+      nextToken: received.nextToken
+    });
+
+  } catch (error) {
+    logger.error('❌ Error getting received claims:', error);
+    return jsonResponse(500, {
+      error: error.message || 'Failed to get received claims'
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, validateAlgorandAddress, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, getEscrowClaim, getEscrowMethod, releaseBoxRefs } from '../escrowContract.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function refundFunds({ body }) {
+  try {
+    const { applicationId, claimKey, walletAddress, network = 'testnet' } = body;
+    
+    logger.info(`📥 Received refund-funds request for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    // Validate inputs
+    if (!applicationId || applicationId <= 0) {
+      return jsonResponse(400, { error: 'Valid application ID is required' });
+    }
+    
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+    
+    // Create Algorand client
+    const algodClient = createAlgodClient(network);
+    
+    // Get suggested parameters
+    const suggestedParams = await algodClient.getTransactionParams().do();
+    
+    let refundTxn;
+    if (Number(applicationId) === getEscrowAppId(network)) {
+      // Escrow claims are refunded by claim key (base64, as listed by wallet-contracts)
+      if (!claimKey) {
+        return jsonResponse(400, { error: 'Claim key is required to refund an escrow claim' });
+      }
+      const claimKeyBytes = new Uint8Array(Buffer.from(claimKey, 'base64'));
+      const claim = await getEscrowClaim(algodClient, applicationId, claimKeyBytes);
+      if (!claim || claim.sender !== validatedWalletAddress) {
+        return jsonResponse(404, { error: 'No pending claim from this wallet found for the claim key' });
+      }
+      
+      // Call refund(byte[32])void through the escrow's ARC-4 interface
+      const atc = new algosdk.AtomicTransactionComposer();
+      atc.addMethodCall({
+        appID: Number(applicationId),
+        method: getEscrowMethod('refund'),
+        methodArgs: [claimKeyBytes],
+        sender: validatedWalletAddress,
+        suggestedParams: suggestedParams,
+        boxes: releaseBoxRefs(Number(applicationId), claimKeyBytes),
+        appForeignAssets: claim.assetId ? [claim.assetId] : undefined,
+        signer: algosdk.makeEmptyTransactionSigner()
+      });
+      refundTxn = atc.buildGroup()[0].txn;
+    } else {
+      // Legacy per-claim application; ASA claims need the asset referenced for the payout
+      const appInfo = await algodClient.getApplicationByID(applicationId).do();
+      const assetState = (appInfo.params.globalState || [])
+        .find(item => Buffer.from(item.key, 'base64').toString() === 'asset');
+      
+      // Create application call transaction to refund funds
+      refundTxn = algosdk.makeApplicationCallTxnFromObject({
+        sender: validatedWalletAddress,
+        suggestedParams: suggestedParams,
+        appIndex: applicationId,
+        onComplete: algosdk.OnApplicationComplete.NoOpOC,
+        appArgs: [new TextEncoder().encode('refund')],
+        foreignAssets: assetState ? [Number(assetState.value.uint)] : undefined
+      });
+    }
+    
+    // Encode transaction for signing
+    const txnToSign = Buffer.from(algosdk.encodeUnsignedTransaction(refundTxn)).toString('base64');
+    const txId = refundTxn.txID();
+    
+    logger.info(`✅ Refund transaction created: ${txId}`);
+    
+    return jsonResponse(200, {
+      transactionToSign: txnToSign,
+      transactionId: txId,
+      applicationId: applicationId
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error creating refund transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Internal server error occurred while creating refund transaction' 
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import { cancelClaim } from './cancelClaim.js';
+import { checkClaimStatus } from './checkClaimStatus.js';
+import { claimHistory } from './claimHistory.js';
+import { claimWithCode } from './claimWithCode.js';
+import { createClaim } from './createClaim.js';
+import { deleteContract } from './deleteContract.js';
+import { extendClaim } from './extendClaim.js';
+import { fundContract } from './fundContract.js';
+import { health } from './health.js';
+import { receivedClaims } from './receivedClaims.js';
+import { refundFunds } from './refundFunds.js';
+import { seedWalletAddress } from './seedWalletAddress.js';
+import { submitCancel } from './submitCancel.js';
+import { submitClaim } from './submitClaim.js';
+import { submitDelete } from './submitDelete.js';
+import { submitFundingTransaction } from './submitFundingTransaction.js';
+import { submitTransaction } from './submitTransaction.js';
+import { topUpClaim } from './topUpClaim.js';
+import { walletContracts } from './walletContracts.js';
+
+// Every API route, served at /api/<name> by Express and by the Netlify function of the same
+// name (netlify.toml redirects /api/* to /.netlify/functions/*)
+export const ROUTES = [
+  { name: 'health', method: 'GET', handler: health },
+  { name: 'create-claim', method: 'POST', handler: createClaim },
+  { name: 'submit-transaction', method: 'POST', handler: submitTransaction },
+  { name: 'check-claim-status', method: 'POST', handler: checkClaimStatus },
+  { name: 'claim-with-code', method: 'POST', handler: claimWithCode },
+  { name: 'submit-claim', method: 'POST', handler: submitClaim },
+  { name: 'refund-funds', method: 'POST', handler: refundFunds },
+  { name: 'cancel-claim', method: 'POST', handler: cancelClaim },
+  { name: 'submit-cancel', method: 'POST', handler: submitCancel },
+  { name: 'extend-claim', method: 'POST', handler: extendClaim },
+  { name: 'top-up-claim', method: 'POST', handler: topUpClaim },
+  { name: 'fund-contract', method: 'POST', handler: fundContract },
+  { name: 'submit-funding-transaction', method: 'POST', handler: submitFundingTransaction },
+  { name: 'wallet-contracts', method: 'GET', handler: walletContracts },
+  { name: 'claim-history', method: 'GET', handler: claimHistory },
+  { name: 'received-claims', method: 'GET', handler: receivedClaims },
+  { name: 'delete-contract', method: 'POST', handler: deleteContract },
+  { name: 'submit-delete', method: 'POST', handler: submitDelete },
+  { name: 'seed-wallet-address', method: 'GET', handler: seedWalletAddress }
+];
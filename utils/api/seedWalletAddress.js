@@ -0,0 +1,37 @@
+import { NETWORK_CONFIGS } from '../algorandClient.js';
+import seedWalletService from '../seedWalletService.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function seedWalletAddress({ query }) {
+  try {
+    const network = query.network || 'testnet';
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    // Check seed wallet status
+    const seedWalletStatus = await seedWalletService.checkSeedWalletBalance(network);
+    
+    if (!seedWalletStatus.configured) {
+      return jsonResponse(503, { 
+        error: 'Seed wallet service not configured',
+        configured: false
+      });
+    }
+    
+    return jsonResponse(200, {
+      configured: true,
+      address: seedWalletStatus.address,
+      balance: seedWalletStatus.balance,
+      recommendedContribution: 0.005 // ALGO
+    });
+  } catch (error) {
+    logger.error('❌ Error getting seed wallet address:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to get seed wallet address'
+    });
+  }
+}
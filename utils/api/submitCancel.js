@@ -0,0 +1,86 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, getEscrowMethod } from '../escrowContract.js';
+import { sendCancellationEmail } from '../emailService.js';
+import { findClaimsByClaimKey, updateClaim } from '../storage.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+// Tell the recipient of a cancelled claim, if it was recorded in claim storage with an email
+async function notifyRecipient(applicationId, claimKey, network) {
+  const storedClaims = await findClaimsByClaimKey(claimKey);
+  const claim = storedClaims.find(item => Number(item.applicationId) === applicationId && (!item.network || item.network === network));
+  if (!claim) {
+    return { success: false, method: 'not_found' };
+  }
+  
+  await updateClaim(claim.claimCode, { cancelled: true, cancelledAt: new Date().toISOString() });
+  if (!claim.recipient) {
+    return { success: false, method: 'no_recipient' };
+  }
+  return sendCancellationEmail(claim.recipient, claim.amount, network, claim.unitName);
+}
+
+export async function submitCancel({ body }) {
+  try {
+    const { signedTransaction, network = 'testnet' } = body;
+    
+    logger.info('📥 Received submit-cancel request');
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    if (!signedTransaction) {
+      return jsonResponse(400, { error: 'Signed transaction is required' });
+    }
+    
+    // Only submit escrow cancel calls, since the claim key to notify is read from the call
+    const signedTxnBytes = new Uint8Array(Buffer.from(signedTransaction, 'base64'));
+    const { txn } = algosdk.decodeSignedTransaction(signedTxnBytes);
+    const appArgs = txn.applicationCall?.appArgs || [];
+    const isCancelCall = txn.type === algosdk.TransactionType.appl &&
+      Number(txn.applicationCall.appIndex) === getEscrowAppId(network) &&
+      appArgs.length > 1 &&
+      Buffer.from(appArgs[0]).equals(Buffer.from(getEscrowMethod('cancel').getSelector()));
+    if (!isCancelCall) {
+      return jsonResponse(400, { error: 'Transaction is not a cancel call to the escrow application' });
+    }
+    const applicationId = Number(txn.applicationCall.appIndex);
+    const claimKey = Buffer.from(appArgs[1]).toString('base64');
+    
+    const algodClient = createAlgodClient(network);
+    
+    logger.info('📤 Submitting cancel transaction to Algorand network...');
+    await algodClient.sendRawTransaction(signedTxnBytes).do();
+    const txId = txn.txID();
+    
+    logger.info('⏳ Waiting for transaction confirmation...');
+    const confirmedTxn = await algosdk.waitForConfirmation(algodClient, txId, 15);
+    logger.info(`✅ Cancel transaction confirmed in round ${confirmedTxn['confirmed-round']}`);
+    
+    let notification = { success: false, method: 'not_attempted' };
+    try {
+      notification = await notifyRecipient(applicationId, claimKey, network);
+      logger.info(`📧 Cancellation notification: ${notification.success ? 'sent' : notification.method}`);
+    } catch (notifyError) {
+      logger.error('❌ Failed to notify recipient of cancellation:', notifyError.message);
+    }
+    
+    return jsonResponse(200, {
+      success: true,
+      transactionId: txId,
+      applicationId,
+      confirmedRound: confirmedTxn['confirmed-round'],
+      notificationSent: notification.success,
+      notificationMethod: notification.method
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error submitting cancel transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to submit cancel transaction' 
+    });
+  }
+}
@@ -0,0 +1,85 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getClaim, markClaimAsUsed } from '../storage.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function submitClaim({ body }) {
+  try {
+    const { signedTransaction, claimCode, network = 'testnet' } = body;
+    
+    logger.info('📥 Received submit-claim request', { network });
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    if (!signedTransaction) {
+      return jsonResponse(400, { error: 'Signed transaction is required' });
+    }
+
+    if (!claimCode) {
+      return jsonResponse(400, { error: 'Claim code is required' });
+    }
+
+    // Get claim information
+    const claimInfo = await getClaim(claimCode.trim().toUpperCase());
+    if (!claimInfo) {
+      return jsonResponse(404, { error: 'Invalid claim code' });
+    }
+
+    // Check if already claimed
+    if (claimInfo.claimed) {
+      return jsonResponse(400, { error: 'This claim code has already been used.' });
+    }
+
+    // Create Algorand client
+    const algodClient = createAlgodClient(network);
+
+    // Decode and submit the signed transaction
+    logger.info('📤 Submitting claim transaction to Algorand network...');
+    const signedTxnBytes = new Uint8Array(Buffer.from(signedTransaction, 'base64'));
+    const txResponse = await algodClient.sendRawTransaction(signedTxnBytes).do();
+    
+    // Extract transaction ID - handle different response formats
+    const txId = txResponse?.txid || txResponse?.txId || txResponse?.transactionID;
+    
+    if (!txId) {
+      logger.error('❌ No transaction ID in response:', txResponse);
+      throw new Error('No valid transaction ID was specified by the network');
+    }
+    
+    logger.info(`✅ Claim transaction submitted successfully: ${txId}`);
+    
+    // Wait for confirmation
+    logger.info('⏳ Waiting for transaction confirmation...');
+    const confirmedTxn = await algosdk.waitForConfirmation(algodClient, txId, 15);
+    
+    logger.info(`✅ Claim transaction confirmed in round ${confirmedTxn['confirmed-round']}`);
+
+    // Mark claim as used. The contract rejects a second payout, so losing this race only
+    // means another request already recorded the claim.
+    if (!await markClaimAsUsed(claimCode.trim().toUpperCase())) {
+      logger.info('⚠️ Claim was already recorded as used by another request');
+    }
+
+    logger.info(`🎉 Claim processed successfully:`);
+    logger.info(`- Amount: ${claimInfo.amount} ALGO`);
+    logger.info(`- Transaction ID: ${txId}`);
+
+    return jsonResponse(200, {
+      success: true,
+      transactionId: txId,
+      amount: claimInfo.amount,
+      confirmedRound: confirmedTxn['confirmed-round'],
+      message: claimInfo.message
+    });
+
+  } catch (error) {
+    logger.error('❌ Error submitting claim transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to submit claim transaction' 
+    });
+  }
+}
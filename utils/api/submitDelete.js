@@ -0,0 +1,65 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, NETWORK_CONFIGS } from '../algorandClient.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function submitDelete({ body }) {
+  try {
+    const { signedTransaction, applicationId, network = 'testnet' } = body;
+    
+    logger.info(`📥 Received submit-delete request for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    if (!signedTransaction) {
+      return jsonResponse(400, { error: 'Signed transaction is required' });
+    }
+
+    if (!applicationId) {
+      return jsonResponse(400, { error: 'Application ID is required' });
+    }
+
+    // Create Algorand client
+    const algodClient = createAlgodClient(network);
+
+    // Decode and submit the signed transaction
+    logger.info('📤 Submitting delete transaction to Algorand network...');
+    const signedTxnBytes = new Uint8Array(Buffer.from(signedTransaction, 'base64'));
+    const txResponse = await algodClient.sendRawTransaction(signedTxnBytes).do();
+    
+    // Extract transaction ID
+    const txId = txResponse?.txid || txResponse?.txId || txResponse?.transactionID;
+    
+    if (!txId) {
+      logger.error('❌ No transaction ID in response:', txResponse);
+      throw new Error('No valid transaction ID was specified by the network');
+    }
+    
+    logger.info(`✅ Delete transaction submitted successfully: ${txId}`);
+    
+    // Wait for confirmation
+    logger.info('⏳ Waiting for transaction confirmation...');
+    const confirmedTxn = await algosdk.waitForConfirmation(algodClient, txId, 15);
+    
+    logger.info(`✅ Delete transaction confirmed in round ${confirmedTxn['confirmed-round']}`);
+    
+    logger.info(`🗑️ Contract ${applicationId} deleted successfully`);
+
+    return jsonResponse(200, {
+      success: true,
+      transactionId: txId,
+      applicationId: applicationId,
+      confirmedRound: confirmedTxn['confirmed-round'],
+      message: 'Contract deleted successfully. Minimum balance has been freed.'
+    });
+
+  } catch (error) {
+    logger.error('❌ Error submitting delete transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to submit delete transaction' 
+    });
+  }
+}
@@ -0,0 +1,68 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, NETWORK_CONFIGS } from '../algorandClient.js';
+import { updateClaim } from '../storage.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function submitFundingTransaction({ body }) {
+  try {
+    const { signedTransaction, network = 'testnet', claimCode } = body;
+    
+    logger.info(`📥 Received funding transaction submission`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    if (!signedTransaction) {
+      return jsonResponse(400, { error: 'Signed transaction is required' });
+    }
+
+    // Create Algorand client
+    const algodClient = createAlgodClient(network);
+
+    // Decode and submit the signed transaction
+    logger.info('📤 Submitting funding transaction to Algorand network...');
+    const signedTxnBytes = new Uint8Array(Buffer.from(signedTransaction, 'base64'));
+    const txResponse = await algodClient.sendRawTransaction(signedTxnBytes).do();
+    
+    // Extract transaction ID
+    const txId = txResponse?.txid || txResponse?.txId || txResponse?.transactionID;
+    
+    if (!txId) {
+      logger.error('❌ No transaction ID in response:', txResponse);
+      throw new Error('No valid transaction ID was specified by the network');
+    }
+    
+    logger.info(`✅ Funding transaction submitted successfully: ${txId}`);
+    
+    // Wait for confirmation
+    logger.info('⏳ Waiting for transaction confirmation...');
+    const confirmedTxn = await algosdk.waitForConfirmation(algodClient, txId, 15);
+    
+    logger.info(`✅ Funding transaction confirmed in round ${confirmedTxn['confirmed-round']}`);
+
+    // Update claim storage with funding transaction ID if claim code provided
+    if (claimCode) {
+      const claimInfo = await updateClaim(claimCode, { fundingTxId: txId });
+      if (claimInfo) {
+        logger.info(`✅ Updated claim storage with funding TX ID ${txId}`);
+      } else {
+        logger.info('⚠️ Could not find the claim to update its funding TX ID');
+      }
+    }
+
+    return jsonResponse(200, {
+      success: true,
+      transactionId: txId,
+      confirmedRound: confirmedTxn['confirmed-round']
+    });
+
+  } catch (error) {
+    logger.error('❌ Error submitting funding transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to submit funding transaction' 
+    });
+  }
+}
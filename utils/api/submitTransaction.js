@@ -0,0 +1,263 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, extractApplicationId, getAssetUnits, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, getEscrowClaim, getEscrowMethod } from '../escrowContract.js';
+import { hashClaimCode, deriveClaimKeypair, normalizeClaimCode } from '../claimCodes.js';
+import { sendEmailNotification } from '../emailService.js';
+import { validateMessage } from '../emailTemplates.js';
+import { storeClaim, findClaimsByClaimKey, updateClaim } from '../storage.js';
+import seedWalletService from '../seedWalletService.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+const selectorsOf = (...names) => new Set(names.map(name => Buffer.from(getEscrowMethod(name).getSelector()).toString('hex')));
+const CREATE_SELECTORS = selectorsOf('create', 'createVesting');
+const EXTEND_SELECTORS = selectorsOf('extend');
+
+// The calls to the given escrow methods in a submitted group, with their claim keys (base64)
+function findEscrowCalls(signedTxnBuffers, escrowAppId, selectors) {
+  return signedTxnBuffers
+    .map(buffer => algosdk.decodeSignedTransaction(buffer).txn)
+    .filter(txn => txn.type === algosdk.TransactionType.appl && Number(txn.applicationCall.appIndex) === escrowAppId)
+    .filter(txn => selectors.has(Buffer.from(txn.applicationCall.appArgs[0] || []).toString('hex')))
+    .map(txn => ({ txn, claimKey: Buffer.from(txn.applicationCall.appArgs[1] || []).toString('base64') }));
+}
+
+// Move the stored records of extended claims to their new on-chain expiry, which decides how
+// long the records are kept
+async function refreshExtendedClaims(algodClient, signedTxnBuffers, escrowAppId) {
+  for (const { claimKey } of findEscrowCalls(signedTxnBuffers, escrowAppId, EXTEND_SELECTORS)) {
+    const escrowClaim = await getEscrowClaim(algodClient, escrowAppId, new Uint8Array(Buffer.from(claimKey, 'base64')));
+    const stored = (await findClaimsByClaimKey(claimKey)).filter(claim => Number(claim.applicationId) === escrowAppId);
+    for (const claim of escrowClaim ? stored : []) {
+      await updateClaim(claim.claimCode, { claimExpiresAt: new Date(escrowClaim.expires * 1000).toISOString() });
+    }
+  }
+}
+
+// Pair each claim entry with the create call for its code, so only claims the group really
+// creates are stored and emailed. Returns { matches } or { error }.
+function matchClaimsToCreateCalls(recipientClaims, createCalls) {
+  if (recipientClaims.length > createCalls.length) {
+    return { error: `Claim details list ${recipientClaims.length} claims but the transaction group creates ${createCalls.length}` };
+  }
+  const unmatched = [...createCalls];
+  const matches = [];
+  for (const [index, claim] of recipientClaims.entries()) {
+    const { claimCode, error } = typeof claim?.claimCode === 'string' ? normalizeClaimCode(claim.claimCode) : { error: true };
+    const claimKeys = error ? [] : [
+      Buffer.from(deriveClaimKeypair(claimCode).publicKey).toString('base64'),
+      hashClaimCode(claimCode).toString('base64')
+    ];
+    const messageError = validateMessage(claim?.message);
+    if (messageError) {
+      return { error: `Claim ${index + 1}: ${messageError}` };
+    }
+    const createIndex = unmatched.findIndex(createCall => claimKeys.includes(createCall.claimKey));
+    if (createIndex === -1) {
+      return { error: `Claim ${index + 1} does not match a claim created by the transaction group` };
+    }
+    matches.push({ claim: { ...claim, claimCode }, createCall: unmatched.splice(createIndex, 1)[0] });
+  }
+  return { matches };
+}
+
+export async function submitTransaction({ body, clientIp }) {
+  try {
+    const { signedTransaction, signedTransactions, network = 'testnet', claimDetails } = body;
+    
+    logger.info(`📥 Received submit-transaction request for ${NETWORK_CONFIGS[network]?.name || network}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    const isGroup = Array.isArray(signedTransactions) && signedTransactions.length > 0;
+
+    if (!isGroup && !signedTransaction) {
+      return jsonResponse(400, { error: 'Signed transaction is required' });
+    }
+
+    // Split sends carry one entry per recipient so each person gets their own code
+    const recipientClaims = !claimDetails ? [] : Array.isArray(claimDetails.claims) ? claimDetails.claims : [claimDetails];
+    let claimMatches = [];
+    if (recipientClaims.length > 0) {
+      let signedBuffers;
+      try {
+        signedBuffers = isGroup
+          ? signedTransactions.map(txn => new Uint8Array(Buffer.from(txn, 'base64')))
+          : [new Uint8Array(Buffer.from(signedTransaction, 'base64'))];
+        const { matches, error } = matchClaimsToCreateCalls(recipientClaims, findEscrowCalls(signedBuffers, getEscrowAppId(network), CREATE_SELECTORS));
+        if (error) {
+          return jsonResponse(400, { error });
+        }
+        claimMatches = matches;
+      } catch (decodeError) {
+        return jsonResponse(400, { error: `Invalid signed transaction: ${decodeError.message}` });
+      }
+    }
+
+    const algodClient = createAlgodClient(network);
+
+    let txResponse;
+    let primaryTxId;
+    let signedTxnBuffers = [];
+
+    try {
+      if (isGroup) {
+        // Handle atomic group - the first transaction is the one we track (app creation)
+        logger.info(`📤 Submitting atomic group of ${signedTransactions.length} signed transactions to network...`);
+        signedTxnBuffers = signedTransactions.map(txn => new Uint8Array(Buffer.from(txn, 'base64')));
+        
+        txResponse = await algodClient.sendRawTransaction(signedTxnBuffers).do();
+        primaryTxId = algosdk.decodeSignedTransaction(signedTxnBuffers[0]).txn.txID();
+        
+        logger.info('✅ Atomic group submitted successfully');
+        logger.info(`   - Primary transaction ID: ${primaryTxId}`);
+      } else {
+        // Handle single transaction
+        logger.info('📤 Submitting single signed transaction to network...');
+        const signedTxnBuffer = Buffer.from(signedTransaction, 'base64');
+        signedTxnBuffers = [new Uint8Array(signedTxnBuffer)];
+        logger.debug(`📝 Transaction buffer length: ${signedTxnBuffer.length} bytes`);
+        
+        txResponse = await algodClient.sendRawTransaction(signedTxnBuffer).do();
+        primaryTxId = txResponse?.txid || txResponse?.txId || txResponse?.transactionID;
+        
+        logger.info('✅ Transaction submitted successfully');
+        logger.info(`   - Transaction ID: ${primaryTxId}`);
+      }
+    } catch (submitError) {
+      logger.error('❌ Failed to submit transaction:', submitError);
+      throw new Error(`Transaction submission failed: ${submitError.message}`);
+    }
+    
+    // Validate transaction ID
+    if (!primaryTxId) {
+      logger.error('❌ No transaction ID found in response');
+      throw new Error('No transaction ID returned from submission');
+    }
+    
+    // Wait for confirmation
+    logger.info('⏳ Waiting for transaction confirmation...');
+    const confirmedTxn = await algosdk.waitForConfirmation(algodClient, primaryTxId, 15);
+    logger.info(`✅ Transaction confirmed in round ${confirmedTxn['confirmed-round']}`);
+
+    // Extract application ID from confirmed transaction
+    let appId = null;
+    let contractAddress = null;
+    
+    appId = extractApplicationId(confirmedTxn);
+    
+    // Escrow claim groups call the shared application instead of creating one
+    if (!appId && isGroup) {
+      const appCall = signedTxnBuffers
+        .map(buffer => algosdk.decodeSignedTransaction(buffer).txn)
+        .find(txn => txn.type === algosdk.TransactionType.appl);
+      if (appCall) {
+        appId = Number(appCall.applicationCall.appIndex);
+      }
+    }
+    
+    if (appId && appId > 0) {
+      contractAddress = algosdk.getApplicationAddress(appId).toString();
+      logger.info(`✅ Claim application ID: ${appId}, Address: ${contractAddress}`);
+    }
+
+    try {
+      await refreshExtendedClaims(algodClient, signedTxnBuffers, getEscrowAppId(network));
+    } catch (refreshError) {
+      logger.error('❌ Failed to update extended claims in storage:', refreshError.message);
+    }
+
+    // A confirmed claim group the seed wallet paid the fees of counts against the claimer's
+    // sponsorship allowance
+    if (isGroup) {
+      const groupTxns = signedTxnBuffers.map(buffer => algosdk.decodeSignedTransaction(buffer).txn);
+      const claimer = groupTxns.find(txn => !seedWalletService.isSponsorPayment(txn));
+      const sponsorPayment = groupTxns.find(txn => seedWalletService.isSponsorPayment(txn));
+      if (claimer && sponsorPayment) {
+        try {
+          await seedWalletService.recordSponsorship(claimer.sender.toString(), network, clientIp, Number(sponsorPayment.payment.amount));
+        } catch (sponsorshipError) {
+          logger.error('❌ Failed to record fee sponsorship:', sponsorshipError.message);
+        }
+      }
+    }
+
+    // Record each claim with its message so the recipient can see it after claiming, then
+    // email the recipient their code. The amount, asset and sender come from the claim's box
+    // rather than the request.
+    const notifications = [];
+    if (claimMatches.length > 0) {
+      logger.info(`📧 Recording ${claimMatches.length} claim(s) and sending email notifications after successful deployment...`);
+    }
+    for (const { claim, createCall } of claimMatches) {
+      const escrowClaim = await getEscrowClaim(algodClient, appId, new Uint8Array(Buffer.from(createCall.claimKey, 'base64')));
+      if (!escrowClaim) {
+        logger.info('⚠️ Created claim is no longer in the escrow, skipping its record and email');
+        notifications.push({ recipient: claim.recipient, success: false, method: 'claim_not_found' });
+        continue;
+      }
+      const { decimals, unitName } = await getAssetUnits(algodClient, escrowClaim.assetId);
+      const amount = escrowClaim.amount / 10 ** decimals;
+      try {
+        await storeClaim(claim.claimCode, {
+          sender: escrowClaim.sender,
+          recipient: claim.recipient,
+          amount,
+          message: claim.message,
+          network,
+          applicationId: appId,
+          contractAddress,
+          claimKey: createCall.claimKey,
+          claimExpiresAt: new Date(escrowClaim.expires * 1000).toISOString(),
+          assetId: escrowClaim.assetId,
+          unitName
+        });
+      } catch (storageError) {
+        logger.error('❌ Failed to record claim in storage:', storageError.message);
+      }
+
+      if (!claim.recipient) {
+        notifications.push({ recipient: claim.recipient, success: false, method: 'no_recipient' });
+        continue;
+      }
+      let notificationResult = { success: false, method: 'not_attempted' };
+      try {
+        notificationResult = await sendEmailNotification(
+          claim.recipient,
+          claim.claimCode,
+          amount,
+          claim.message,
+          network,
+          appId,
+          unitName
+        );
+        logger.info(`✅ Email notification: ${notificationResult.success ? 'sent' : 'failed'}`);
+      } catch (emailError) {
+        logger.error('❌ Failed to send email notification:', emailError);
+      }
+      notifications.push({ recipient: claim.recipient, success: notificationResult.success, method: notificationResult.method });
+    }
+    const notificationSent = notifications.length > 0 && notifications.every(notification => notification.success);
+    const notificationMethod = notifications.length > 0 ? notifications[0].method : 'not_attempted';
+
+    return jsonResponse(200, {
+      success: true,
+      transactionId: primaryTxId,
+      applicationId: appId,
+      contractAddress: contractAddress,
+      confirmedRound: confirmedTxn['confirmed-round'],
+      notificationSent,
+      notificationMethod,
+      notifications
+    });
+
+  } catch (error) {
+    logger.error('❌ Error submitting transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to submit transaction' 
+    });
+  }
+}
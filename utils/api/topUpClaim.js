@@ -0,0 +1,82 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, validateAlgorandAddress, getAssetUnits, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, getEscrowClaim, createEscrowTopUpTxns } from '../escrowContract.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function topUpClaim({ body }) {
+  try {
+    const { applicationId, claimKey, walletAddress, amount, network = 'testnet' } = body;
+    
+    logger.info(`📥 Received top-up-claim request for app ${applicationId}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    if (!applicationId || Number(applicationId) !== getEscrowAppId(network)) {
+      return jsonResponse(400, { error: 'Only claims held in the escrow application can be topped up' });
+    }
+    
+    if (!claimKey) {
+      return jsonResponse(400, { error: 'Claim key is required to top up a claim' });
+    }
+    
+    if (!amount || Number(amount) <= 0) {
+      return jsonResponse(400, { error: 'Invalid amount' });
+    }
+    
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+    
+    const algodClient = createAlgodClient(network);
+    
+    const claimKeyBytes = new Uint8Array(Buffer.from(claimKey, 'base64'));
+    const claim = await getEscrowClaim(algodClient, applicationId, claimKeyBytes);
+    if (!claim || claim.sender !== validatedWalletAddress) {
+      return jsonResponse(404, { error: 'No pending claim from this wallet found for the claim key' });
+    }
+    
+    // Top-ups are in the claim's own asset, converted to base units
+    const { decimals, unitName } = await getAssetUnits(algodClient, claim.assetId);
+    const baseAmount = Math.round(Number(amount) * 10 ** decimals);
+    if (baseAmount <= 0) {
+      return jsonResponse(400, { error: `Amount is below the smallest unit of ${unitName}` });
+    }
+    
+    const suggestedParams = await algodClient.getTransactionParams().do();
+    const transactions = createEscrowTopUpTxns(Number(applicationId), {
+      senderAddress: validatedWalletAddress,
+      claimKey: claimKeyBytes,
+      assetId: claim.assetId,
+      amount: baseAmount,
+      suggestedParams
+    });
+    
+    const txId = transactions[1].txID();
+    const newAmount = (claim.amount + baseAmount) / 10 ** decimals;
+    logger.info(`✅ Top-up group created: ${txId} (${amount} ${unitName})`);
+    
+    return jsonResponse(200, {
+      transactionsToSign: transactions.map(txn =>
+        Buffer.from(algosdk.encodeUnsignedTransaction(txn)).toString('base64')
+      ),
+      transactionId: txId,
+      applicationId: applicationId,
+      amount: newAmount,
+      unitName
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error creating top-up transaction:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Internal server error occurred while creating top-up transaction' 
+    });
+  }
+}
@@ -0,0 +1,191 @@
+import algosdk from 'algosdk';
+import { createAlgodClient, createIndexerClient, validateAlgorandAddress, getAssetUnits, NETWORK_CONFIGS } from '../algorandClient.js';
+import { getEscrowAppId, findSenderClaimKeys, listEscrowClaims } from '../escrowContract.js';
+import { findClaimsBySender } from '../storage.js';
+import { LEGACY_REFUND_DELAY_SECONDS } from '../claimCodes.js';
+import { jsonResponse } from './http.js';
+import { logger } from '../logger.js';
+
+export async function walletContracts({ query }) {
+  try {
+    // Extract wallet address from query parameters
+    const walletAddress = query.walletAddress;
+    const network = query.network || 'testnet';
+    
+    if (!walletAddress) {
+      return jsonResponse(400, { error: 'Wallet address is required' });
+    }
+    
+    logger.info(`📥 Received wallet-contracts request for ${walletAddress.substring(0, 8)}... on ${network}`);
+    
+    // Validate network
+    if (!NETWORK_CONFIGS[network]) {
+      return jsonResponse(400, { error: 'Invalid network specified' });
+    }
+    
+    // Validate wallet address
+    let validatedWalletAddress;
+    try {
+      validatedWalletAddress = validateAlgorandAddress(walletAddress);
+    } catch (addressError) {
+      return jsonResponse(400, { error: `Invalid wallet address: ${addressError.message}` });
+    }
+    
+    const algodClient = createAlgodClient(network);
+    
+    const contracts = [];
+    const currentTime = Math.floor(Date.now() / 1000);
+    
+    // Pending claims in the shared escrow application, one box per claim
+    const escrowAppId = getEscrowAppId(network);
+    if (escrowAppId) {
+      const escrowAddress = algosdk.getApplicationAddress(escrowAppId).toString();
+      // The sender's claim keys come from their create calls on the indexer, plus claims in
+      // claim storage the indexer may not have caught up with yet
+      const claimKeys = await findSenderClaimKeys(createIndexerClient(network), escrowAppId, validatedWalletAddress);
+      for (const stored of await findClaimsBySender(validatedWalletAddress)) {
+        if (stored.claimKey && Number(stored.applicationId) === escrowAppId && (!stored.network || stored.network === network)) {
+          claimKeys.add(stored.claimKey);
+        }
+      }
+      const escrowClaims = await listEscrowClaims(algodClient, escrowAppId, validatedWalletAddress, claimKeys);
+      logger.debug(`📝 Found ${escrowClaims.length} pending escrow claims from wallet`);
+      
+      for (const claim of escrowClaims) {
+        const { decimals, unitName } = await getAssetUnits(algodClient, claim.assetId);
+        const amount = claim.amount / 10 ** decimals;
+        const canRefund = currentTime >= claim.expires;
+        
+        contracts.push({
+          applicationId: escrowAppId,
+          claimKey: Buffer.from(claim.claimKey).toString('base64'),
+          contractAddress: escrowAddress,
+          status: canRefund ? 'Refundable' : 'Active',
+          amount: amount,
+          balance: amount,
+          assetId: claim.assetId,
+          unitName: unitName,
+          claimed: false,
+          canRefund: canRefund,
+          canCancel: claim.cancellable,
+          canDelete: false,
+          createdTimestamp: claim.created,
+          createdDate: new Date(claim.created * 1000).toISOString(),
+          expiresTimestamp: claim.expires,
+          expiresAt: new Date(claim.expires * 1000).toISOString()
+        });
+      }
+    }
+    
+    // Per-claim applications created before the shared escrow
+    const accountInfo = await algodClient.accountInformation(validatedWalletAddress).do();
+    const createdApps = accountInfo.createdApps || [];
+    
+    logger.debug(`📝 Found ${createdApps.length} applications created by wallet`);
+    
+
+    // For each created application, get its current state
+    for (const app of createdApps) {
+      try {
+        const appId = Number(app.id);
+        if (appId === escrowAppId) {
+          continue; // The escrow itself, for the wallet that deployed it
+        }
+        const appAddress = algosdk.getApplicationAddress(appId);
+        
+        // Get application global state
+        const appInfo = await algodClient.getApplicationByID(appId).do();
+        const globalState = appInfo.params.globalState || [];
+        
+        // Parse global state
+        const parsedState = {};
+        globalState.forEach(item => {
+          const key = Buffer.from(item.key, 'base64').toString();
+          let value;
+          if (item.value.type === 1) { // bytes
+            value = Buffer.from(item.value.bytes, 'base64');
+          } else if (item.value.type === 2) { // uint
+            value = Number(item.value.uint); // Convert BigInt to Number
+          }
+          parsedState[key] = value;
+        });
+        
+        // ASA claims hold the asset; report amount and balance in its units
+        const assetId = parsedState.asset || 0;
+        const { decimals, unitName } = await getAssetUnits(algodClient, assetId);
+        
+        // Get contract account balance
+        let contractBalance = 0;
+        try {
+          const contractAccountInfo = await algodClient.accountInformation(appAddress).do();
+          if (assetId) {
+            const holding = (contractAccountInfo.assets || []).find(item => Number(item.assetId) === assetId);
+            contractBalance = holding ? Number(holding.amount) / 10 ** decimals : 0;
+          } else {
+            contractBalance = Number(contractAccountInfo.amount) / 1000000; // Convert to ALGO
+          }
+        } catch (balanceError) {
+          logger.info(`⚠️ Could not get balance for contract ${appId}: ${balanceError.message}`);
+        }
+        
+        // Determine contract status
+        const claimed = parsedState.claimed === 1;
+        const amount = parsedState.amount ? Number(parsedState.amount) / 10 ** decimals : 0;
+        const created = parsedState.created || 0;
+        const expires = parsedState.expires || (created ? created + LEGACY_REFUND_DELAY_SECONDS : 0);
+        const canRefund = !claimed && expires > 0 && currentTime >= expires;
+        const canDelete = contractBalance === 0;
+        
+        let status = 'Unknown';
+        if (claimed) {
+          status = 'Claimed';
+        } else if (contractBalance > 0) {
+          status = canRefund ? 'Refundable' : 'Active';
+        } else {
+          status = 'Empty';
+        }
+        
+        contracts.push({
+          applicationId: appId,
+          contractAddress: appAddress.toString(),
+          status: status,
+          amount: amount,
+          balance: contractBalance,
+          assetId: assetId,
+          unitName: unitName,
+          claimed: claimed,
+          canRefund: canRefund,
+          canCancel: false,
+          canDelete: canDelete,
+          createdTimestamp: created,
+          createdDate: created ? new Date(created * 1000).toISOString() : null,
+          expiresTimestamp: expires,
+          expiresAt: expires ? new Date(expires * 1000).toISOString() : null
+        });
+        
+      } catch (appError) {
+        logger.error(`❌ Error processing app ${app.id}:`, appError.message);
+        // Continue with other apps even if one fails
+      }
+    }
+    
+    logger.info(`✅ Processed ${contracts.length} contracts for wallet`);
+    
+    return jsonResponse(200, {
+      walletAddress: validatedWalletAddress,
+      network: network,
+      contracts: contracts,
+      totalContracts: contracts.length,
+      activeContracts: contracts.filter(c => c.status === 'Active').length,
+      claimedContracts: contracts.filter(c => c.status === 'Claimed').length,
+      refundableContracts: contracts.filter(c => c.canRefund).length,
+      deletableContracts: contracts.filter(c => c.canDelete).length
+    });
+    
+  } catch (error) {
+    logger.error('❌ Error getting wallet contracts:', error);
+    return jsonResponse(500, { 
+      error: error.message || 'Failed to get wallet contracts' 
+    });
+  }
+}
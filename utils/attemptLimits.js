@@ -0,0 +1,79 @@
+import { getCounter, incrementCounter, appendAuditEvent, isStorageShared } from './storage.js';
+import { logger } from './logger.js';
+
+// Throttling for endpoints that take guesses at claim codes. Failures are counted per scope
+// (the caller's IP, the application on a network) in claim storage, so limits hold across
+// server restarts and, when the storage is shared, across Netlify function instances. After
+// a scope's free attempts, each further failure doubles how long it is locked out, up to
+// MAX_LOCKOUT_SECONDS.
+//
+// Every escrow claim shares one application, so it gets more free attempts than a caller:
+// guesses spread over many IPs are still throttled without a few typos locking everyone out.
+
+const ATTEMPT_LIMITS = {
+  ip: { freeAttempts: 10 },
+  application: { freeAttempts: 100 }
+};
+const BASE_LOCKOUT_SECONDS = 2;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+
+// Counters are forgotten a day after their last failure
+const COUNTER_TTL_SECONDS = 24 * 60 * 60;
+
+function lockoutSeconds(scope, failures) {
+  const excess = failures - ATTEMPT_LIMITS[scope].freeAttempts;
+  return excess <= 0 ? 0 : Math.min(BASE_LOCKOUT_SECONDS * 2 ** (excess - 1), MAX_LOCKOUT_SECONDS);
+}
+
+let warnedUnshared = false;
+
+// Scopes of a guess at a claim code: the caller and the application it names
+export function claimGuessScopes(clientIp, network, applicationId) {
+  return { ip: clientIp, application: `${network}:${Number(applicationId)}` };
+}
+
+// Rate-limit keys for a request, e.g. { ip: '203.0.113.7', application: 'testnet:1234' }.
+// Scopes without a value (no client IP behind some proxies) are not limited.
+function limitKeys(scopes) {
+  return Object.entries(scopes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([scope, value]) => ({ scope, key: `${scope}:${value}` }));
+}
+
+// Seconds until every scope may try again, or 0 if none is locked out
+export async function getRetryAfterSeconds(scopes) {
+  const now = Date.now();
+  let retryAfter = 0;
+  for (const { scope, key } of limitKeys(scopes)) {
+    const counter = await getCounter(key);
+    if (!counter) {
+      continue;
+    }
+    const lockedUntil = new Date(counter.lastAt).getTime() + lockoutSeconds(scope, counter.count) * 1000;
+    retryAfter = Math.max(retryAfter, Math.ceil((lockedUntil - now) / 1000));
+  }
+  return retryAfter;
+}
+
+// Count a failed attempt in every scope. Failures past a scope's free attempts go in the
+// audit trail along with the request details.
+export async function recordFailure(scopes, details) {
+  if (!warnedUnshared && !isStorageShared()) {
+    warnedUnshared = true;
+    logger.warn('⚠️ Claim storage is local to this function instance, so attempt limits are not shared between instances. Point STORAGE_PATH at storage every instance can reach.');
+  }
+  for (const { scope, key } of limitKeys(scopes)) {
+    const counter = await incrementCounter(key, COUNTER_TTL_SECONDS);
+    if (counter.count > ATTEMPT_LIMITS[scope].freeAttempts) {
+      const lockout = lockoutSeconds(scope, counter.count);
+      logger.warn(`🚨 Repeated failures for ${key}: ${counter.count} since ${counter.firstAt}, locked out for ${lockout}s`);
+      await appendAuditEvent('repeated_failures', {
+        ...details,
+        scope,
+        key,
+        failures: counter.count,
+        lockoutSeconds: lockout
+      });
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { isClaimWords, parseClaimWords } from './claimWords.js';
+
+// Claim code generation, the on-chain keys derived from codes, and claim expiry rules
+
+// Generate secure random claim code
+export function generateClaimCode() {
+  return crypto.randomBytes(16).toString('hex').toUpperCase();
+}
+
+// Claim codes are entered as hex or as their word form (see claimWords.js); both normalize
+// to the uppercase hex code. Returns { claimCode } or { error } for a mistyped word code.
+export function normalizeClaimCode(code) {
+  if (isClaimWords(code)) {
+    const { claimCode, error } = parseClaimWords(code);
+    return error ? { error } : { claimCode };
+  }
+  return { claimCode: code.trim().toUpperCase() };
+}
+
+// Hash claim code for smart contract
+export function hashClaimCode(code) {
+  // Ensure we're working with consistent UTF-8 encoding
+  return crypto.createHash('sha256').update(code, 'utf8').digest();
+}
+
+// PKCS#8 DER prefix for a raw 32-byte ed25519 private key seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Derive the ephemeral ed25519 keypair for a claim code
+export function deriveClaimKeypair(code) {
+  const seed = crypto.createHash('sha256').update(`randcash-claim-key:${code}`, 'utf8').digest();
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKey = crypto.createPublicKey(privateKey).export({ format: 'der', type: 'spki' }).subarray(-32);
+  return {
+    publicKey: new Uint8Array(publicKey),
+    secretKey: new Uint8Array(Buffer.concat([seed, publicKey]))
+  };
+}
+
+// Claim modes supported by the contract:
+// - signature: the claim code derives an ed25519 keypair whose public key is stored at
+//   creation; claiming requires a signature over the caller's address, so the code never
+//   appears on-chain and a pending claim cannot be front-run by copying its arguments.
+// - hash: legacy mode; the plaintext code is revealed and checked against its sha256.
+export const CLAIM_MODES = ['signature', 'hash'];
+
+// ed25519verify costs 1900 opcodes; each extra app call in the group adds 700 to the pooled budget.
+// Two would leave too little headroom for the escrow's method dispatch and vesting tranches.
+export const SIGNATURE_BUDGET_CALLS = 3;
+
+// Contracts created before configurable expiry had a fixed 5 minute refund window
+export const LEGACY_REFUND_DELAY_SECONDS = 300;
+
+// Claim expiry: senders choose how long the recipient has before a refund becomes possible
+export const EXPIRY_UNIT_SECONDS = {
+  hours: 60 * 60,
+  days: 24 * 60 * 60,
+  weeks: 7 * 24 * 60 * 60
+};
+const MIN_EXPIRY_SECONDS = 60 * 60; // 1 hour
+const MAX_EXPIRY_SECONDS = 52 * 7 * 24 * 60 * 60; // 52 weeks
+export const DEFAULT_EXPIRY = { expiresIn: 7, expiryUnit: 'days' };
+
+// Convert an expiry value and unit into seconds, or null if invalid
+export function getExpirySeconds(expiresIn, expiryUnit) {
+  const unitSeconds = EXPIRY_UNIT_SECONDS[expiryUnit];
+  const value = Number(expiresIn);
+  if (!unitSeconds || !Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  const seconds = Math.floor(value * unitSeconds);
+  if (seconds < MIN_EXPIRY_SECONDS || seconds > MAX_EXPIRY_SECONDS) {
+    return null;
+  }
+  return seconds;
+}
+
+// Vesting claims release the amount in equal tranches, one per interval after the cliff
+const MAX_VESTING_PERIODS = 120;
+
+// Validate a vesting schedule ({ start, cliffSeconds, intervalSeconds, periods }, start in unix
+// seconds and defaulting to now), returning it normalized or null if invalid
+export function getVestingSchedule(vesting, now = Math.floor(Date.now() / 1000)) {
+  if (!vesting || typeof vesting !== 'object') {
+    return null;
+  }
+  const schedule = {
+    start: vesting.start === undefined ? now : Number(vesting.start),
+    cliffSeconds: Number(vesting.cliffSeconds || 0),
+    intervalSeconds: Number(vesting.intervalSeconds),
+    periods: Number(vesting.periods)
+  };
+  if (!Object.values(schedule).every(Number.isSafeInteger) || schedule.start <= 0 || schedule.cliffSeconds < 0) {
+    return null;
+  }
+  if (schedule.intervalSeconds < MIN_EXPIRY_SECONDS || schedule.periods < 1 || schedule.periods > MAX_VESTING_PERIODS) {
+    return null;
+  }
+  if (schedule.cliffSeconds > schedule.intervalSeconds * schedule.periods) {
+    return null;
+  }
+  return schedule;
+}
+
+// Unix time the last tranche of a vesting schedule unlocks
+export function getVestingEnd(schedule) {
+  return schedule.start + Math.max(schedule.cliffSeconds, schedule.intervalSeconds * schedule.periods);
+}
@@ -0,0 +1,300 @@
+import algosdk from 'algosdk';
+import { getAssetUnits } from './algorandClient.js';
+import { getEscrowAppId, getEscrowMethod } from './escrowContract.js';
+import { findClaimsByApplicationId } from './storage.js';
+
+// Claim history is rebuilt from the indexer rather than from claim storage, so it covers
+// every claim the wallet touched on chain, from any client. Each page of the wallet's
+// transactions (newest first) is turned into events:
+//   created  - the wallet created a claim (escrow create call or legacy app creation)
+//   funded   - the wallet funded a legacy claim application after creating it, or topped up
+//              a pending escrow claim
+//   claimed  - the wallet claimed funds, or a claim it created was claimed by someone else
+//   refunded - an expired claim created by the wallet was refunded to it
+//   cancelled - a cancellable claim created by the wallet was cancelled before it was claimed
+//   extended - the wallet pushed back the expiry of a pending claim it created
+// Amounts are in base units alongside the asset's decimals and unit name.
+//
+// Only calls to RandCash applications count: the network's escrow, and legacy per-claim
+// applications that have a record in claim storage. Any other app can take arguments that
+// look like ours.
+
+const LEGACY_FUNDING_NOTE = 'RandCash contract funding';
+const FUNDING_NOTE_PREFIXES = ['RandCash claim funding', 'RandCash claim top-up', LEGACY_FUNDING_NOTE];
+
+// Escrow method for each claim action; vesting claims are created by a method of their own
+const ESCROW_ACTIONS = {
+  create: 'create',
+  createVesting: 'create',
+  claim: 'claim',
+  refund: 'refund',
+  cancel: 'cancel',
+  extend: 'extend',
+  topUp: 'topUp'
+};
+
+const ESCROW_SELECTORS = Object.fromEntries(
+  Object.entries(ESCROW_ACTIONS).map(([method, action]) => [Buffer.from(getEscrowMethod(method).getSelector()).toString('hex'), action])
+);
+
+function decodeNote(txn) {
+  return txn.note ? new TextDecoder().decode(txn.note) : '';
+}
+
+function groupId(txn) {
+  return txn.group ? Buffer.from(txn.group).toString('base64') : null;
+}
+
+function appCallId(txn) {
+  return Number(txn.createdApplicationIndex || txn.applicationTransaction.applicationId);
+}
+
+// Which claim action an application call performs, or null if it isn't a RandCash call
+function classifyAppCall(txn, claimApps) {
+  const firstArg = txn.applicationTransaction?.applicationArgs?.[0];
+  if (!firstArg) {
+    return null;
+  }
+  const applicationId = appCallId(txn);
+  if (applicationId === claimApps.escrowAppId) {
+    return ESCROW_SELECTORS[Buffer.from(firstArg).toString('hex')] || null;
+  }
+  if (!claimApps.legacyAppIds.has(applicationId)) {
+    return null;
+  }
+  const legacyAction = new TextDecoder().decode(firstArg);
+  if (legacyAction === 'setup' && txn.createdApplicationIndex) {
+    return 'create';
+  }
+  return legacyAction === 'claim' || legacyAction === 'refund' ? legacyAction : null;
+}
+
+// Escrow methods take the claim key as their first argument after the selector; legacy
+// claims have an application of their own instead
+function escrowClaimKey(txn) {
+  const [selector, claimKey] = txn.applicationTransaction.applicationArgs;
+  if (!ESCROW_SELECTORS[Buffer.from(selector).toString('hex')] || claimKey?.length !== 32) {
+    return null;
+  }
+  return Buffer.from(claimKey).toString('base64');
+}
+
+// Amount, asset and receiver moved by a payment or asset transfer
+function transferDetails(txn) {
+  if (txn?.paymentTransaction) {
+    return {
+      assetId: 0,
+      amount: Number(txn.paymentTransaction.amount),
+      receiver: txn.paymentTransaction.receiver.toString()
+    };
+  }
+  if (txn?.assetTransferTransaction) {
+    return {
+      assetId: Number(txn.assetTransferTransaction.assetId),
+      amount: Number(txn.assetTransferTransaction.amount),
+      receiver: txn.assetTransferTransaction.receiver.toString()
+    };
+  }
+  return null;
+}
+
+// Find the funding transaction of a create call among the page's transactions. Escrow claims
+// put it immediately before the call; legacy claims are matched by note within the group.
+function findFundingTxn(createTxn, transactions) {
+  const group = groupId(createTxn);
+  if (!group) {
+    return null;
+  }
+  const sameGroup = transactions.filter(txn => groupId(txn) === group);
+  const preceding = sameGroup.find(txn =>
+    txn.confirmedRound === createTxn.confirmedRound && txn.intraRoundOffset === createTxn.intraRoundOffset - 1
+  );
+  if (preceding && transferDetails(preceding)) {
+    return preceding;
+  }
+  const funding = sameGroup.filter(txn => FUNDING_NOTE_PREFIXES.some(prefix => decodeNote(txn).startsWith(prefix)));
+  return funding.length === 1 ? funding[0] : null;
+}
+
+function baseEvent(txn, type, role) {
+  return {
+    type,
+    role,
+    timestamp: txn.roundTime ? new Date(txn.roundTime * 1000).toISOString() : null,
+    round: Number(txn.confirmedRound),
+    transactionId: txn.id,
+    groupId: groupId(txn)
+  };
+}
+
+// The RandCash applications among a page's app calls: { escrowAppId, legacyAppIds }
+export async function findClaimApps(transactions, network) {
+  const escrowAppId = getEscrowAppId(network);
+  const candidates = new Set(transactions
+    .filter(txn => txn.txType === 'appl')
+    .map(appCallId)
+    .filter(applicationId => applicationId && applicationId !== escrowAppId));
+  const legacyAppIds = new Set();
+  for (const applicationId of candidates) {
+    const stored = await findClaimsByApplicationId(applicationId);
+    if (stored.some(claim => !claim.network || claim.network === network)) {
+      legacyAppIds.add(applicationId);
+    }
+  }
+  return { escrowAppId, legacyAppIds };
+}
+
+// Turn one page of indexer transactions into claim history events for a wallet, given the
+// RandCash applications found by findClaimApps
+export function buildClaimEvents(walletAddress, transactions, claimApps) {
+  const events = [];
+  const createGroups = new Set();
+
+  for (const txn of transactions) {
+    if (txn.txType !== 'appl') {
+      continue;
+    }
+    const action = classifyAppCall(txn, claimApps);
+    const sender = txn.sender.toString();
+    const applicationId = appCallId(txn);
+
+    if (action === 'create') {
+      createGroups.add(groupId(txn));
+      if (sender !== walletAddress) {
+        continue;
+      }
+      const funding = transferDetails(findFundingTxn(txn, transactions));
+      let amount = funding?.amount ?? null;
+      if (amount === null && txn.createdApplicationIndex) {
+        // Legacy ALGO claims also record the amount as the third setup argument
+        const amountArg = txn.applicationTransaction.applicationArgs[2];
+        amount = amountArg?.length === 8 ? Number(Buffer.from(amountArg).readBigUInt64BE()) : null;
+      }
+      events.push({
+        ...baseEvent(txn, 'created', 'sender'),
+        applicationId,
+        claimKey: escrowClaimKey(txn),
+        assetId: funding?.assetId ?? 0,
+        amount,
+        counterpart: null
+      });
+    } else if (action === 'topUp') {
+      if (sender !== walletAddress) {
+        continue;
+      }
+      // Top-ups carry their funding immediately before the call, like escrow create calls
+      const funding = transferDetails(findFundingTxn(txn, transactions));
+      events.push({
+        ...baseEvent(txn, 'funded', 'sender'),
+        applicationId,
+        claimKey: escrowClaimKey(txn),
+        assetId: funding?.assetId ?? 0,
+        amount: funding?.amount ?? null,
+        counterpart: null
+      });
+    } else if (action === 'extend') {
+      if (sender !== walletAddress) {
+        continue;
+      }
+      // extend(claimKey, extensionSeconds) moves no funds, so the event carries the extension
+      const extensionArg = txn.applicationTransaction.applicationArgs[2];
+      events.push({
+        ...baseEvent(txn, 'extended', 'sender'),
+        applicationId,
+        claimKey: escrowClaimKey(txn),
+        assetId: 0,
+        amount: null,
+        extensionSeconds: extensionArg?.length === 8 ? Number(Buffer.from(extensionArg).readBigUInt64BE()) : null,
+        counterpart: null
+      });
+    } else if (action === 'claim' || action === 'refund' || action === 'cancel') {
+      // Inner transactions are [payout, minimum balance return to the claim's sender]
+      const payout = transferDetails(txn.innerTxns?.[0]);
+      const minBalanceReturn = transferDetails(txn.innerTxns?.[1]);
+      const isCaller = sender === walletAddress;
+      let role = 'sender';
+      let counterpart = isCaller ? null : sender;
+      if (action === 'claim' && isCaller) {
+        role = 'recipient';
+        counterpart = minBalanceReturn?.receiver ?? null;
+      }
+      events.push({
+        ...baseEvent(txn, { claim: 'claimed', refund: 'refunded', cancel: 'cancelled' }[action], role),
+        applicationId,
+        claimKey: escrowClaimKey(txn),
+        assetId: payout?.assetId ?? 0,
+        amount: payout?.amount ?? null,
+        counterpart
+      });
+    }
+  }
+
+  // Legacy applications were funded in a separate transaction after creation
+  const legacyAddresses = new Set([...claimApps.legacyAppIds].map(id => algosdk.getApplicationAddress(id).toString()));
+  for (const txn of transactions) {
+    const transfer = transferDetails(txn);
+    if (!transfer || txn.sender.toString() !== walletAddress || createGroups.has(groupId(txn))) {
+      continue;
+    }
+    if (decodeNote(txn) === LEGACY_FUNDING_NOTE && legacyAddresses.has(transfer.receiver)) {
+      events.push({
+        ...baseEvent(txn, 'funded', 'sender'),
+        applicationId: null,
+        claimKey: null,
+        assetId: transfer.assetId,
+        amount: transfer.amount,
+        counterpart: transfer.receiver
+      });
+    }
+  }
+
+  return events.sort((a, b) => b.round - a.round);
+}
+
+// Attach decimals and unit name to each event, looking up every distinct asset once
+async function addAssetUnits(algodClient, events) {
+  const units = new Map();
+  for (const event of events) {
+    if (!units.has(event.assetId)) {
+      units.set(event.assetId, await getAssetUnits(algodClient, event.assetId));
+    }
+    Object.assign(event, units.get(event.assetId));
+  }
+  return events;
+}
+
+async function searchPage(request, { limit, nextToken }) {
+  request = request.limit(limit);
+  if (nextToken) {
+    request = request.nextToken(nextToken);
+  }
+  const response = await request.do();
+  const transactions = response.transactions || [];
+  return {
+    transactions,
+    nextToken: transactions.length === limit ? response.nextToken || null : null
+  };
+}
+
+// Fetch one page of a wallet's claim history. nextToken continues from a previous page;
+// a page can hold fewer events than `limit` since not every transaction is a claim action.
+export async function getClaimHistory(indexerClient, algodClient, walletAddress, { network = 'testnet', limit = 50, nextToken = null } = {}) {
+  const page = await searchPage(indexerClient.searchForTransactions().address(walletAddress), { limit, nextToken });
+  const events = buildClaimEvents(walletAddress, page.transactions, await findClaimApps(page.transactions, network));
+  return {
+    events: await addAssetUnits(algodClient, events),
+    nextToken: page.nextToken
+  };
+}
+
+// Fetch one page of claims the wallet has redeemed: claim calls it sent whose payout it received
+export async function getReceivedClaims(indexerClient, algodClient, walletAddress, { network = 'testnet', limit = 50, nextToken = null } = {}) {
+  const request = indexerClient.searchForTransactions().address(walletAddress).addressRole('sender').txType('appl');
+  const page = await searchPage(request, { limit, nextToken });
+  const events = buildClaimEvents(walletAddress, page.transactions, await findClaimApps(page.transactions, network))
+    .filter(event => event.type === 'claimed' && event.role === 'recipient');
+  return {
+    events: await addAssetUnits(algodClient, events),
+    nextToken: page.nextToken
+  };
+}
@@ -0,0 +1,7 @@
+// Types for the browser, which imports the word code helpers shared with the server
+export declare const CLAIM_WORD_COUNT: number;
+export declare function isClaimWords(code: string): boolean;
+export declare function claimCodeToWords(code: string): string;
+export declare function parseClaimWords(input: string):
+  | { claimCode: string; error?: undefined; wordNumber?: undefined }
+  | { claimCode?: undefined; error: string; wordNumber: number | null };
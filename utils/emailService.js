@@ -1,5 +1,8 @@
 import { Resend } from 'resend';
 import { NETWORK_CONFIGS } from './algorandClient.js';
+import { claimCodeToWords } from './claimWords.js';
+import { logger } from './logger.js';
+import { renderClaimEmail, renderCancellationEmail } from './emailTemplates.js';
 
 // Initialize Resend email service
 const resendApiKey = process.env.RESEND_API_KEY;
@@ -12,76 +15,48 @@ const isValidResendConfig =
 
 const resend = isValidResendConfig ? new Resend(resendApiKey) : null;
 
+const appUrl = (process.env.APP_URL || 'https://randcash.app').replace(/\/+$/, '');
+
+// Link that opens the claim tab with the code filled in. The code goes in the URL fragment,
+// which browsers don't send to the server, so it stays out of request logs.
+function buildClaimLink(claimCode, network = 'testnet', applicationId = null) {
+  if (!applicationId) {
+    return appUrl;
+  }
+  return `${appUrl}/claim/${applicationId}?network=${network}#${encodeURIComponent(claimCode)}`;
+}
+
 // Send email notification via Resend
-export async function sendEmailNotification(recipient, claimCode, amount, message, network = 'testnet', applicationId = null) {
+export async function sendEmailNotification(recipient, claimCode, amount, message, network = 'testnet', applicationId = null, unitName = 'ALGO') {
   const networkName = NETWORK_CONFIGS[network].name;
+  const claimLink = buildClaimLink(claimCode, network, applicationId);
+  // Word form of the code, for recipients who retype it by hand
+  const claimWords = /^[0-9A-F]{32}$/.test(claimCode)
+    ? `${applicationId ? `${applicationId} ` : ''}${claimCodeToWords(claimCode)}`
+    : null;
   
+  const email = renderClaimEmail({
+    amount,
+    unitName,
+    networkName,
+    message,
+    claimCode: applicationId ? `${applicationId}-${claimCode}` : claimCode,
+    claimWords,
+    claimLink
+  });
+
   try {
     if (!isValidResendConfig) {
-      const notificationMessage = `You've received ${amount} ALGO on RandCash (${networkName})! ${message ? `Message: "${message}"` : ''} Claim code: ${applicationId ? `${applicationId}-${claimCode}` : claimCode} - use this code to claim your funds.`;
-      console.log(`📧 [SIMULATED EMAIL] To: ${recipient}: ${notificationMessage}`);
+      logger.info(`📧 [SIMULATED EMAIL] To: ${recipient}: ${email.text}`);
       return { success: true, method: 'email_simulation' };
     }
 
     const emailData = {
       from: `RandCash <${resendFromEmail}>`,
       to: recipient,
-      subject: `You've received ${amount} ALGO on RandCash (${networkName})!`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="text-align: center; margin-bottom: 30px;">
-            <div style="display: inline-block; width: 60px; height: 60px; background: linear-gradient(135deg, #2563eb, #4f46e5); border-radius: 12px; display: flex; align-items: center; justify-content: center; margin-bottom: 16px;">
-              <span style="color: white; font-size: 24px;">💸</span>
-            </div>
-            <h1 style="color: #1f2937; margin: 0; font-size: 28px; font-weight: bold;">You've received ${amount} ALGO!</h1>
-          </div>
-          
-          <div style="background: #f8fafc; border-radius: 12px; padding: 24px; margin: 24px 0;">
-            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 16px 0;">
-              Someone sent you cryptocurrency using RandCash on Algorand ${networkName}.
-            </p>
-            ${message ? `
-              <div style="background: white; border-radius: 8px; padding: 16px; margin: 16px 0; border-left: 4px solid #2563eb;">
-                <p style="color: #6b7280; font-size: 14px; margin: 0 0 4px 0; font-weight: 600;">Message:</p>
-                <p style="color: #1f2937; font-size: 16px; margin: 0; font-style: italic;">"${message}"</p>
-              </div>
-            ` : ''}
-          </div>
-          
-          <div style="background: linear-gradient(135deg, #eff6ff, #dbeafe); border-radius: 12px; padding: 24px; margin: 24px 0; text-align: center;">
-            <p style="color: #1e40af; font-size: 16px; font-weight: 600; margin: 0 0 12px 0;">Your Claim Code:</p>
-            <div style="background: white; border-radius: 8px; padding: 16px; margin: 12px 0; border: 2px solid #2563eb;">
-              <p style="font-family: 'Courier New', monospace; font-size: 20px; font-weight: bold; color: #1f2937; margin: 0; letter-spacing: 1px; word-break: break-all;">
-                ${applicationId ? `${applicationId}-${claimCode}` : claimCode}
-              </p>
-            </div>
-            <p style="color: #1e40af; font-size: 14px; margin: 12px 0 0 0;">
-              Keep this code safe - you'll need it to claim your funds!
-            </p>
-          </div>
-          
-          <div style="text-align: center; margin: 32px 0;">
-            <a href="https://randcash.app" style="display: inline-block; background: linear-gradient(135deg, #2563eb, #4f46e5); color: white; text-decoration: none; padding: 14px 28px; border-radius: 8px; font-weight: 600; font-size: 16px;">
-              Claim Your Funds →
-            </a>
-          </div>
-          
-          <div style="border-top: 1px solid #e5e7eb; padding-top: 20px; margin-top: 32px;">
-            <p style="color: #6b7280; font-size: 12px; text-align: center; margin: 0;">
-              Network: Algorand ${networkName} • Powered by RandCash
-            </p>
-          </div>
-        </div>
-      `,
-      text: `You've received ${amount} ALGO on RandCash (${networkName})!
-
-${message ? `Message: "${message}"` : ''}
-
-Your Claim Code: ${applicationId ? `${applicationId}-${claimCode}` : claimCode}
-
-Visit RandCash to claim your funds by entering this code and connecting your wallet.
-
-Network: Algorand ${networkName}`,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
       tags: [
         { name: 'service', value: 'randcash' },
         { name: 'type', value: 'claim_notification' },
@@ -89,15 +64,15 @@ Network: Algorand ${networkName}`,
       ]
     };
 
-    console.log('📧 Attempting to send email via Resend API...');
+    logger.info('📧 Attempting to send email via Resend API...');
     
     const response = await resend.emails.send(emailData);
 
-    console.log(`✅ Email sent successfully! ID: ${response.id}`);
+    logger.info(`✅ Email sent successfully! ID: ${response.id}`);
     return { success: true, method: 'email', emailId: response.id };
 
   } catch (error) {
-    console.error('❌ Email sending failed:', error.message);
+    logger.error('❌ Email sending failed:', error.message);
     
     // Don't fail the entire transaction if notification fails
     return { 
@@ -108,4 +83,41 @@ Network: Algorand ${networkName}`,
   }
 }
 
+// Let the recipient know a claim they were sent has been cancelled by the sender
+export async function sendCancellationEmail(recipient, amount, network = 'testnet', unitName = 'ALGO') {
+  const networkName = NETWORK_CONFIGS[network].name;
+  const email = renderCancellationEmail({ amount, unitName, networkName });
+
+  try {
+    if (!isValidResendConfig) {
+      logger.info(`📧 [SIMULATED EMAIL] To: ${recipient}: ${email.text}`);
+      return { success: true, method: 'email_simulation' };
+    }
+
+    const response = await resend.emails.send({
+      from: `RandCash <${resendFromEmail}>`,
+      to: recipient,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      tags: [
+        { name: 'service', value: 'randcash' },
+        { name: 'type', value: 'claim_cancellation' },
+        { name: 'network', value: network }
+      ]
+    });
+
+    logger.info(`✅ Cancellation email sent successfully! ID: ${response.id}`);
+    return { success: true, method: 'email', emailId: response.id };
+
+  } catch (error) {
+    logger.error('❌ Cancellation email failed:', error.message);
+    return { 
+      success: false, 
+      error: `Email API error: ${error.message}`, 
+      method: 'email' 
+    };
+  }
+}
+
 export { isValidResendConfig as isValidPicaConfig };
\ No newline at end of file
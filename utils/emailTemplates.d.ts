@@ -0,0 +1,3 @@
+// Types for the browser, which checks messages with the same rules as the server
+export declare const MAX_MESSAGE_LENGTH: number;
+export declare function validateMessage(message: unknown): string | null;
@@ -0,0 +1,165 @@
+// Email bodies for claim notifications. Everything that varies per email goes through
+// escapeHtml before it reaches the HTML part, and has any links removed so mail sent under
+// our domain can't carry someone else's markup or phishing links: the sender's message, an
+// asset's unit name and anything else that reaches the template. The message is also cut
+// to MAX_MESSAGE_LENGTH. Only the claim link, which we build, stays a link.
+
+export const MAX_MESSAGE_LENGTH = 280;
+
+const LINK_PLACEHOLDER = '[link removed]';
+
+// Schemes, www. hosts and bare domains such as "example.com/login", which mail clients
+// turn into links on their own
+const URL_PATTERN = /\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.|mailto:)\S+|\b(?:[a-z0-9-]+\.)+[a-z]{2,24}(?::\d+)?(?:\/\S*)?/gi;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+}
+
+// Subjects and other single-line fields: no control characters or line breaks
+function singleLine(value) {
+  return String(value ?? '').replace(/[\u0000-\u001f\u007f]+/g, ' ').trim();
+}
+
+// A single-line field with any links replaced
+function plainText(value) {
+  return singleLine(value).replace(URL_PATTERN, LINK_PLACEHOLDER);
+}
+
+// Reduce a sender's message to plain text that is safe to quote in an email: control
+// characters and line breaks collapsed, links replaced and the length capped
+export function sanitizeMessage(message) {
+  if (typeof message !== 'string') {
+    return '';
+  }
+  const text = plainText(message).replace(/\s+/g, ' ');
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1).trimEnd()}…` : text;
+}
+
+// The request error for a message that is too long, or null. Callers that accept a message
+// check it up front; sanitizeMessage still truncates anything that gets past them.
+export function validateMessage(message) {
+  if (message !== undefined && message !== null && typeof message !== 'string') {
+    return 'Message must be text';
+  }
+  if (message && message.trim().length > MAX_MESSAGE_LENGTH) {
+    return `Message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function footer(networkName) {
+  return `
+          <div style="border-top: 1px solid #e5e7eb; padding-top: 20px; margin-top: 32px;">
+            <p style="color: #6b7280; font-size: 12px; text-align: center; margin: 0;">
+              Network: Algorand ${escapeHtml(networkName)} • Powered by RandCash
+            </p>
+          </div>`;
+}
+
+// Subject, HTML and plain-text parts of the email telling a recipient they have a claim
+export function renderClaimEmail({ amount, unitName, networkName, message, claimCode, claimWords, claimLink }) {
+  const amountText = plainText(`${amount} ${unitName}`);
+  const network = plainText(networkName);
+  const safeMessage = sanitizeMessage(message);
+  const code = plainText(claimCode);
+  const words = plainText(claimWords);
+
+  const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <div style="display: inline-block; width: 60px; height: 60px; background: linear-gradient(135deg, #2563eb, #4f46e5); border-radius: 12px; display: flex; align-items: center; justify-content: center; margin-bottom: 16px;">
+              <span style="color: white; font-size: 24px;">💸</span>
+            </div>
+            <h1 style="color: #1f2937; margin: 0; font-size: 28px; font-weight: bold;">You've received ${escapeHtml(amountText)}!</h1>
+          </div>
+
+          <div style="background: #f8fafc; border-radius: 12px; padding: 24px; margin: 24px 0;">
+            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 16px 0;">
+              Someone sent you cryptocurrency using RandCash on Algorand ${escapeHtml(network)}.
+            </p>
+            ${safeMessage ? `
+              <div style="background: white; border-radius: 8px; padding: 16px; margin: 16px 0; border-left: 4px solid #2563eb;">
+                <p style="color: #6b7280; font-size: 14px; margin: 0 0 4px 0; font-weight: 600;">Message from the sender:</p>
+                <p style="color: #1f2937; font-size: 16px; margin: 0; font-style: italic;">"${escapeHtml(safeMessage)}"</p>
+              </div>
+            ` : ''}
+          </div>
+
+          <div style="background: linear-gradient(135deg, #eff6ff, #dbeafe); border-radius: 12px; padding: 24px; margin: 24px 0; text-align: center;">
+            <p style="color: #1e40af; font-size: 16px; font-weight: 600; margin: 0 0 12px 0;">Your Claim Code:</p>
+            <div style="background: white; border-radius: 8px; padding: 16px; margin: 12px 0; border: 2px solid #2563eb;">
+              <p style="font-family: 'Courier New', monospace; font-size: 20px; font-weight: bold; color: #1f2937; margin: 0; letter-spacing: 1px; word-break: break-all;">
+                ${escapeHtml(code)}
+              </p>
+            </div>
+            ${words ? `
+              <p style="color: #1e40af; font-size: 14px; margin: 12px 0 4px 0;">Or enter it as words:</p>
+              <p style="font-family: 'Courier New', monospace; font-size: 16px; color: #1f2937; margin: 0;">${escapeHtml(words)}</p>
+            ` : ''}
+            <p style="color: #1e40af; font-size: 14px; margin: 12px 0 0 0;">
+              Keep this code safe - you'll need it to claim your funds!
+            </p>
+          </div>
+
+          <div style="text-align: center; margin: 32px 0;">
+            <a href="${escapeHtml(claimLink)}" style="display: inline-block; background: linear-gradient(135deg, #2563eb, #4f46e5); color: white; text-decoration: none; padding: 14px 28px; border-radius: 8px; font-weight: 600; font-size: 16px;">
+              Claim Your Funds →
+            </a>
+          </div>
+          ${footer(network)}
+        </div>
+      `;
+
+  const text = `You've received ${amountText} on RandCash (${network})!
+
+${safeMessage ? `Message from the sender: "${safeMessage}"` : ''}
+
+Your Claim Code: ${code}
+${words ? `Or enter it as words: ${words}\n` : ''}
+Claim your funds at ${claimLink} and connect your wallet, or visit RandCash and enter this code.
+
+Network: Algorand ${network}`;
+
+  return {
+    subject: `You've received ${amountText} on RandCash (${network})!`,
+    html,
+    text
+  };
+}
+
+// Subject, HTML and plain-text parts of the email telling a recipient their claim was cancelled
+export function renderCancellationEmail({ amount, unitName, networkName }) {
+  const amountText = plainText(`${amount} ${unitName}`);
+  const network = plainText(networkName);
+  const body = `The sender cancelled the ${amountText} they sent you on RandCash. The claim code you received can no longer be used, and the funds have been returned to the sender.`;
+
+  const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h1 style="color: #1f2937; margin: 0 0 24px 0; font-size: 24px; font-weight: bold;">Your claim was cancelled</h1>
+          <div style="background: #f8fafc; border-radius: 12px; padding: 24px; margin: 24px 0;">
+            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0;">
+              ${escapeHtml(body)}
+            </p>
+          </div>
+          ${footer(network)}
+        </div>
+      `;
+
+  return {
+    subject: `Your ${amountText} RandCash claim was cancelled`,
+    html,
+    text: `${body}
+
+Network: Algorand ${network}`
+  };
+}
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { renderClaimEmail, renderCancellationEmail, sanitizeMessage, validateMessage, MAX_MESSAGE_LENGTH } from './emailTemplates.js';
+
+const CLAIM = {
+  amount: 1.5,
+  unitName: 'ALGO',
+  networkName: 'TestNet',
+  message: 'Happy birthday!',
+  claimCode: '0123456789ABCDEF0123456789ABCDEF',
+  claimWords: 'abandon ability able about above absent absorb abstract absurd abuse access accident acid',
+  claimLink: 'https://randcash.app/claim/1234?network=testnet#0123456789ABCDEF0123456789ABCDEF'
+};
+
+const SCRIPT = '<script>alert("x")</script>';
+const LINK = 'https://evil.example/login';
+
+// Every field a caller passes in, with the claim link last: it is the one link we build
+const CLAIM_FIELDS = ['amount', 'unitName', 'networkName', 'message', 'claimCode', 'claimWords'];
+const CANCELLATION_FIELDS = ['amount', 'unitName', 'networkName'];
+
+function parts(email) {
+  return [email.subject, email.html, email.text];
+}
+
+describe('renderClaimEmail', () => {
+  it('renders a claim', () => {
+    expect(renderClaimEmail(CLAIM)).toMatchSnapshot();
+  });
+
+  it('renders a claim without a message or words', () => {
+    expect(renderClaimEmail({ ...CLAIM, message: '', claimWords: undefined })).toMatchSnapshot();
+  });
+
+  it.each([...CLAIM_FIELDS, 'claimLink'])('escapes a script tag in %s', (field) => {
+    const email = renderClaimEmail({ ...CLAIM, [field]: SCRIPT });
+    expect(email.html).not.toContain('<script');
+    expect(email.subject).not.toMatch(/[\r\n]/);
+    expect(email).toMatchSnapshot();
+  });
+
+  it.each(CLAIM_FIELDS)('removes a link in %s', (field) => {
+    const email = renderClaimEmail({ ...CLAIM, [field]: `see ${LINK} or www.evil.example and evil.example/login` });
+    for (const part of parts(email)) {
+      expect(part).not.toContain('evil.example');
+    }
+    expect(email).toMatchSnapshot();
+  });
+
+  it('cuts a very long message', () => {
+    const email = renderClaimEmail({ ...CLAIM, message: 'All the best! '.repeat(200) });
+    expect(email.text).toContain(`"${sanitizeMessage('All the best! '.repeat(200))}"`);
+    expect(email).toMatchSnapshot();
+  });
+});
+
+describe('renderCancellationEmail', () => {
+  it('renders a cancellation', () => {
+    expect(renderCancellationEmail(CLAIM)).toMatchSnapshot();
+  });
+
+  it.each(CANCELLATION_FIELDS)('escapes a script tag in %s', (field) => {
+    const email = renderCancellationEmail({ ...CLAIM, [field]: SCRIPT });
+    expect(email.html).not.toContain('<script');
+    expect(email).toMatchSnapshot();
+  });
+
+  it.each(CANCELLATION_FIELDS)('removes a link in %s', (field) => {
+    const email = renderCancellationEmail({ ...CLAIM, [field]: `see ${LINK}` });
+    for (const part of parts(email)) {
+      expect(part).not.toContain('evil.example');
+    }
+    expect(email).toMatchSnapshot();
+  });
+});
+
+describe('sanitizeMessage', () => {
+  it('collapses line breaks and control characters', () => {
+    expect(sanitizeMessage('line one\r\nline\u0007two\t three')).toBe('line one line two three');
+  });
+
+  it('caps the length at MAX_MESSAGE_LENGTH', () => {
+    const message = sanitizeMessage('x'.repeat(MAX_MESSAGE_LENGTH + 1));
+    expect(message).toHaveLength(MAX_MESSAGE_LENGTH);
+    expect(message.endsWith('…')).toBe(true);
+  });
+
+  it('ignores anything but text', () => {
+    expect(sanitizeMessage({ toString: () => SCRIPT })).toBe('');
+  });
+});
+
+describe('validateMessage', () => {
+  it('accepts a missing message or one at the limit', () => {
+    expect(validateMessage(undefined)).toBeNull();
+    expect(validateMessage('x'.repeat(MAX_MESSAGE_LENGTH))).toBeNull();
+  });
+
+  it('rejects a long message or one that is not text', () => {
+    expect(validateMessage('x'.repeat(MAX_MESSAGE_LENGTH + 1))).toBe(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    expect(validateMessage(42)).toBe('Message must be text');
+  });
+});
@@ -0,0 +1,1297 @@
+import algosdk from 'algosdk';
+
+// Shared escrow application: one long-lived app per network holds every claim in a box
+// keyed by the 32-byte claim key (ed25519 public key in signature mode, sha256 of the
+// code in hash mode).
+//
+// Box value layout (112 bytes):
+//   sender (32) | amount (8) | asset ID (8, 0 = ALGO) | created (8) | expires (8) | mode (8, 1 = signature)
+//   | cancellable (8, 1 = the sender may cancel before expiry) | recipient (32, zero address = anyone with the code)
+//
+// Vesting claims also have a schedule box named "v" + claim key (40 bytes):
+//   start (8) | cliff seconds (8) | interval seconds (8) | periods (8) | released (8)
+// The claim box amount is the total; each claim pays out what has vested and not yet been
+// released, and the claim is released once the last period has vested.
+export const CLAIM_KEY_LENGTH = 32;
+export const CLAIM_BOX_SIZE = 112;
+export const VESTING_BOX_PREFIX = 'v';
+export const VESTING_BOX_SIZE = 40;
+
+// Box minimum balance is 2500 + 400 per byte of name and value
+export const CLAIM_BOX_MIN_BALANCE = 2500 + 400 * (CLAIM_KEY_LENGTH + CLAIM_BOX_SIZE);
+export const VESTING_BOX_MIN_BALANCE = 2500 + 400 * (VESTING_BOX_PREFIX.length + CLAIM_KEY_LENGTH + VESTING_BOX_SIZE);
+export const INNER_TXN_FEE = 1000;
+export const ASSET_MIN_BALANCE = 100000;
+
+// Base minimum balance of the escrow account itself, paid once at deployment
+export const ESCROW_ACCOUNT_MIN_BALANCE = 100000;
+
+// Each claim prepays its box plus the payout and min-balance return inner transactions;
+// the first claim of an asset also pays for the escrow's opt-in
+export const CLAIM_FUNDING = CLAIM_BOX_MIN_BALANCE + INNER_TXN_FEE * 2;
+export const ASSET_OPT_IN_FUNDING = ASSET_MIN_BALANCE + INNER_TXN_FEE;
+
+// Claims are laid out as [min-balance payment, funding, create call] triples, so one
+// atomic group of up to 16 transactions holds at most 5 claims
+export const CLAIM_GROUP_SIZE = 3;
+export const MAX_CLAIMS_PER_GROUP = Math.floor(16 / CLAIM_GROUP_SIZE);
+
+// ARC-4 interface of the escrow. Transaction arguments (pay, txn) are the transactions
+// immediately preceding the method call in the group.
+export const ESCROW_METHODS = [
+  {
+    name: 'create',
+    desc: 'Lock the funding transaction under a claim key until it is claimed or refunded',
+    args: [
+      { type: 'pay', name: 'minBalance', desc: 'Payment to the escrow covering the box and inner transaction fees' },
+      { type: 'txn', name: 'funding', desc: 'Payment or asset transfer of the claim amount to the escrow' },
+      { type: 'byte[32]', name: 'claimKey', desc: 'ed25519 public key (signature mode) or sha256 of the claim code (hash mode)' },
+      { type: 'uint64', name: 'expirySeconds', desc: 'Seconds until the sender may refund the claim' },
+      { type: 'uint8', name: 'claimMode', desc: '1 for signature mode, 0 for hash mode' },
+      { type: 'bool', name: 'cancellable', desc: 'Whether the sender may cancel the claim before it expires' },
+      { type: 'address', name: 'recipient', desc: 'Only address allowed to claim, or the zero address for anyone with the code' }
+    ],
+    returns: { type: 'void' }
+  },
+  {
+    name: 'createVesting',
+    desc: 'Create a claim that vests in equal tranches: after the cliff, one tranche per elapsed interval',
+    args: [
+      { type: 'pay', name: 'minBalance', desc: 'Payment to the escrow covering both boxes and inner transaction fees' },
+      { type: 'txn', name: 'funding', desc: 'Payment or asset transfer of the total amount to the escrow' },
+      { type: 'byte[32]', name: 'claimKey', desc: 'ed25519 public key of the claim code' },
+      { type: 'uint64', name: 'expirySeconds', desc: 'Seconds until the sender may refund what has not been claimed' },
+      { type: 'uint8', name: 'claimMode', desc: 'Must be 1: vesting claims are claimed repeatedly, so only signature mode' },
+      { type: 'bool', name: 'cancellable', desc: 'Whether the sender may cancel the claim before it expires' },
+      { type: 'address', name: 'recipient', desc: 'Only address allowed to claim, or the zero address for anyone with the code' },
+      { type: 'uint64', name: 'start', desc: 'Unix time the schedule starts' },
+      { type: 'uint64', name: 'cliffSeconds', desc: 'Seconds after the start before anything can be claimed' },
+      { type: 'uint64', name: 'intervalSeconds', desc: 'Length of each vesting period' },
+      { type: 'uint64', name: 'periods', desc: 'Number of equal tranches' }
+    ],
+    returns: { type: 'void' }
+  },
+  {
+    name: 'claim',
+    desc: 'Pay the claim out to the caller, or its vested portion for vesting claims',
+    args: [
+      { type: 'byte[32]', name: 'claimKey', desc: 'Key of the claim box' },
+      { type: 'byte[]', name: 'proof', desc: 'Signature of the caller\'s address by the claim key, or the plaintext claim code' }
+    ],
+    returns: { type: 'void' }
+  },
+  {
+    name: 'refund',
+    desc: 'Return an expired claim to its sender',
+    args: [
+      { type: 'byte[32]', name: 'claimKey', desc: 'Key of the claim box' }
+    ],
+    returns: { type: 'void' }
+  },
+  {
+    name: 'cancel',
+    desc: 'Return a cancellable claim to its sender at any time before it is claimed',
+    args: [
+      { type: 'byte[32]', name: 'claimKey', desc: 'Key of the claim box' }
+    ],
+    returns: { type: 'void' }
+  },
+  {
+    name: 'extend',
+    desc: 'Push the expiry of a pending claim forward, by its sender',
+    args: [
+      { type: 'byte[32]', name: 'claimKey', desc: 'Key of the claim box' },
+      { type: 'uint64', name: 'extensionSeconds', desc: 'Seconds to add to the current expiry' }
+    ],
+    returns: { type: 'void' }
+  },
+  {
+    name: 'topUp',
+    desc: 'Add the funding transaction to the amount of a pending claim, by its sender',
+    args: [
+      { type: 'txn', name: 'funding', desc: 'Payment or asset transfer of the claim asset to the escrow' },
+      { type: 'byte[32]', name: 'claimKey', desc: 'Key of the claim box' }
+    ],
+    returns: { type: 'void' }
+  },
+  {
+    name: 'budget',
+    desc: 'No-op grouped with a signature claim to pool opcode budget for ed25519verify',
+    args: [],
+    returns: { type: 'void' }
+  }
+];
+
+export const ESCROW_CONTRACT = new algosdk.ABIContract({
+  name: 'RandCashEscrow',
+  desc: 'Shared escrow holding RandCash claims in boxes keyed by claim key',
+  methods: ESCROW_METHODS
+});
+
+export function getEscrowMethod(name) {
+  return ESCROW_CONTRACT.getMethodByName(name);
+}
+
+// Method selector TEAL for dispatch, e.g. method "claim(byte[32],byte[])void"
+function methodSelector(name) {
+  return `method "${getEscrowMethod(name).getSignature()}"`;
+}
+
+// Clear state program: the escrow keeps no local state, so clearing always succeeds
+export const ESCROW_CLEAR_TEAL = `#pragma version 8
+int 1`;
+
+// Escrow app IDs are configured per network, e.g. ESCROW_APP_ID_TESTNET
+export function getEscrowAppId(network = 'testnet') {
+  const appId = Number(process.env[`ESCROW_APP_ID_${network.toUpperCase()}`] || 0);
+  return Number.isSafeInteger(appId) && appId > 0 ? appId : 0;
+}
+
+// Create the TEAL approval program for the shared escrow application
+export function createEscrowContractTeal() {
+  return `#pragma version 8
+
+// Branch on application lifecycle call
+txn ApplicationID
+int 0
+==
+bnz handle_creation
+
+txn OnCompletion
+int NoOp
+==
+bnz handle_noop
+
+// Default: reject (the escrow can never be updated, deleted or opted into)
+int 0
+return
+
+////////////////////////
+// Handle App Creation
+////////////////////////
+handle_creation:
+    int 1
+    return
+
+////////////////////////
+// Handle NoOp: dispatch on the ARC-4 method selector
+////////////////////////
+handle_noop:
+    txna ApplicationArgs 0
+    ${methodSelector('create')}
+    ==
+    bnz handle_create
+
+    txna ApplicationArgs 0
+    ${methodSelector('createVesting')}
+    ==
+    bnz handle_create_vesting
+
+    txna ApplicationArgs 0
+    ${methodSelector('claim')}
+    ==
+    bnz handle_claim
+
+    txna ApplicationArgs 0
+    ${methodSelector('refund')}
+    ==
+    bnz handle_refund
+
+    txna ApplicationArgs 0
+    ${methodSelector('cancel')}
+    ==
+    bnz handle_cancel
+
+    txna ApplicationArgs 0
+    ${methodSelector('extend')}
+    ==
+    bnz handle_extend
+
+    txna ApplicationArgs 0
+    ${methodSelector('topUp')}
+    ==
+    bnz handle_top_up
+
+    txna ApplicationArgs 0
+    ${methodSelector('budget')}
+    ==
+    bnz handle_budget
+
+    int 0
+    return
+
+////////////////////////
+// Opcode budget (grouped with a claim to pool budget for ed25519verify)
+////////////////////////
+handle_budget:
+    int 1
+    return
+
+////////////////////////
+// Create Vesting Claim
+// Args: as create, then start, cliff seconds, interval seconds, periods. Scratch 20 flags
+// the vesting path through the shared create code below.
+////////////////////////
+handle_create_vesting:
+    int 1
+    store 20
+
+    // Signature mode only: a hash-mode code is public after the first claim
+    txna ApplicationArgs 3
+    btoi
+    int 1
+    ==
+    assert
+
+    txna ApplicationArgs 8
+    btoi
+    assert
+
+    txna ApplicationArgs 9
+    btoi
+    assert
+
+////////////////////////
+// Create Claim
+// Args: min-balance payment (GroupIndex - 2), funding (GroupIndex - 1), claim key,
+// expiry seconds, claim mode, cancellable, recipient
+////////////////////////
+handle_create:
+    // Each claim occupies its own [min-balance payment, funding, create] triple so
+    // no payment can be counted towards two claims
+    txn GroupIndex
+    int ${CLAIM_GROUP_SIZE}
+    %
+    int 2
+    ==
+    assert
+
+    txna ApplicationArgs 1
+    len
+    int ${CLAIM_KEY_LENGTH}
+    ==
+    assert
+
+    // Claim keys are single-use
+    txna ApplicationArgs 1
+    box_len
+    swap
+    pop
+    !
+    assert
+
+    // Mode must be 0 (hash) or 1 (signature)
+    txna ApplicationArgs 3
+    btoi
+    int 1
+    <=
+    assert
+
+    // Scratch 0: min-balance payment index, 1: funding index, 2: required min-balance funding,
+    // 3: claim amount, 4: asset ID (0 = ALGO)
+    txn GroupIndex
+    int 2
+    -
+    store 0
+
+    txn GroupIndex
+    int 1
+    -
+    store 1
+
+    // Vesting claims also pay for the schedule box
+    int ${CLAIM_FUNDING}
+    load 20
+    int ${VESTING_BOX_MIN_BALANCE}
+    *
+    +
+    store 2
+
+    load 1
+    gtxns Sender
+    txn Sender
+    ==
+    assert
+
+    load 1
+    gtxns TypeEnum
+    int axfer
+    ==
+    bnz create_check_asset_funding
+
+    // Funding payment of the claim amount
+    load 1
+    gtxns TypeEnum
+    int pay
+    ==
+    assert
+
+    load 1
+    gtxns Receiver
+    global CurrentApplicationAddress
+    ==
+    assert
+
+    load 1
+    gtxns Amount
+    store 3
+
+    int 0
+    store 4
+
+    b create_check_min_balance
+
+create_check_asset_funding:
+    // Funding transfer of the claim amount of the claim asset
+    load 1
+    gtxns AssetReceiver
+    global CurrentApplicationAddress
+    ==
+    assert
+
+    load 1
+    gtxns AssetAmount
+    store 3
+
+    load 1
+    gtxns XferAsset
+    store 4
+
+    // Opt the escrow into the asset on its first claim
+    global CurrentApplicationAddress
+    load 4
+    asset_holding_get AssetBalance
+    swap
+    pop
+    bnz create_check_min_balance
+
+    load 2
+    int ${ASSET_OPT_IN_FUNDING}
+    +
+    store 2
+
+    itxn_begin
+    int axfer
+    itxn_field TypeEnum
+
+    load 4
+    itxn_field XferAsset
+
+    global CurrentApplicationAddress
+    itxn_field AssetReceiver
+
+    int 0
+    itxn_field AssetAmount
+
+    int 1000
+    itxn_field Fee
+
+    itxn_submit
+
+create_check_min_balance:
+    // Amount must be positive
+    load 3
+    assert
+
+    // Min-balance payment from the creator covering the box and inner fees
+    load 0
+    gtxns TypeEnum
+    int pay
+    ==
+    assert
+
+    load 0
+    gtxns Sender
+    txn Sender
+    ==
+    assert
+
+    load 0
+    gtxns Receiver
+    global CurrentApplicationAddress
+    ==
+    assert
+
+    load 0
+    gtxns Amount
+    load 2
+    >=
+    assert
+
+    // Store the claim box: sender | amount | asset | created | expires | mode | cancellable | recipient
+    txna ApplicationArgs 1
+
+    txn Sender
+
+    load 3
+    itob
+    concat
+
+    load 4
+    itob
+    concat
+
+    global LatestTimestamp
+    itob
+    concat
+
+    // Expiry = creation time + requested duration in seconds
+    global LatestTimestamp
+    txna ApplicationArgs 2
+    btoi
+    +
+    itob
+    concat
+
+    txna ApplicationArgs 3
+    btoi
+    itob
+    concat
+
+    // ARC-4 bools are the top bit of a single byte
+    txna ApplicationArgs 4
+    int 0
+    getbit
+    itob
+    concat
+
+    txna ApplicationArgs 5
+    concat
+
+    dup
+    len
+    int ${CLAIM_BOX_SIZE}
+    ==
+    assert
+
+    box_put
+
+    load 20
+    bz create_done
+
+    // Schedule box: start | cliff | interval | periods | released
+    byte "${VESTING_BOX_PREFIX}"
+    txna ApplicationArgs 1
+    concat
+
+    txna ApplicationArgs 6
+    txna ApplicationArgs 7
+    concat
+    txna ApplicationArgs 8
+    concat
+    txna ApplicationArgs 9
+    concat
+    int 0
+    itob
+    concat
+
+    dup
+    len
+    int ${VESTING_BOX_SIZE}
+    ==
+    assert
+
+    box_put
+
+create_done:
+    int 1
+    return
+
+////////////////////////
+// Secure Claim
+// Args: claim key, proof (signature over the caller's address, or the plaintext code)
+////////////////////////
+handle_claim:
+    txna ApplicationArgs 1
+    box_get
+    assert
+    store 10
+
+    // Recipient-locked claims pay out only to their recipient, so a leaked code is useless
+    load 10
+    extract 80 32
+    dup
+    global ZeroAddress
+    ==
+    swap
+    txn Sender
+    ==
+    ||
+    assert
+
+    // Strip the ARC-4 length prefix from the proof
+    txna ApplicationArgs 2
+    extract 2 0
+    store 12
+
+    load 10
+    int 64
+    extract_uint64
+    bnz claim_verify_signature
+
+    // Hash mode: hash(plaintext_code) == claim key
+    load 12
+    sha256
+    txna ApplicationArgs 1
+    ==
+    assert
+    b claim_release
+
+claim_verify_signature:
+    // Signature mode: ed25519 signature over the caller's address by the claim key
+    txn Sender
+    load 12
+    txna ApplicationArgs 1
+    ed25519verify
+    assert
+
+claim_release:
+    // Pay out to caller (txn Sender)
+    txn Sender
+    store 11
+
+    // Scratch 13: vesting schedule, if the claim has one
+    byte "${VESTING_BOX_PREFIX}"
+    txna ApplicationArgs 1
+    concat
+    box_get
+    store 14
+    store 13
+    load 14
+    bz release
+
+    // Nothing vests before the cliff
+    global LatestTimestamp
+    load 13
+    int 0
+    extract_uint64
+    load 13
+    int 8
+    extract_uint64
+    +
+    >=
+    assert
+
+    // Scratch 16: whole periods elapsed since the start, capped at the number of periods
+    global LatestTimestamp
+    load 13
+    int 0
+    extract_uint64
+    -
+    load 13
+    int 16
+    extract_uint64
+    /
+    store 16
+
+    load 16
+    load 13
+    int 24
+    extract_uint64
+    >=
+    bnz release
+
+    // Scratch 15: vested = amount * periods elapsed / periods, 17: tranche not yet released
+    load 10
+    int 32
+    extract_uint64
+    load 16
+    mulw
+    load 13
+    int 24
+    extract_uint64
+    divw
+    store 15
+
+    load 15
+    load 13
+    int 32
+    extract_uint64
+    -
+    store 17
+
+    load 17
+    assert
+
+    byte "${VESTING_BOX_PREFIX}"
+    txna ApplicationArgs 1
+    concat
+    int 32
+    load 15
+    itob
+    box_replace
+
+    // Tranche payouts keep the box; the caller covers their fee through fee pooling
+    itxn_begin
+
+    load 10
+    int 40
+    extract_uint64
+    bnz claim_tranche_asset
+
+    int pay
+    itxn_field TypeEnum
+
+    load 11
+    itxn_field Receiver
+
+    load 17
+    itxn_field Amount
+
+    b claim_tranche_submit
+
+claim_tranche_asset:
+    int axfer
+    itxn_field TypeEnum
+
+    load 10
+    int 40
+    extract_uint64
+    itxn_field XferAsset
+
+    load 11
+    itxn_field AssetReceiver
+
+    load 17
+    itxn_field AssetAmount
+
+claim_tranche_submit:
+    int 0
+    itxn_field Fee
+
+    itxn_submit
+
+    int 1
+    return
+
+////////////////////////
+// Refund (after expiry, by original sender)
+// Args: claim key
+////////////////////////
+handle_refund:
+    txna ApplicationArgs 1
+    box_get
+    assert
+    store 10
+
+    // Must be original sender
+    txn Sender
+    load 10
+    extract 0 32
+    ==
+    assert
+
+    // Must be at or past the stored expiry
+    global LatestTimestamp
+    load 10
+    int 56
+    extract_uint64
+    >=
+    assert
+
+    txn Sender
+    store 11
+    b release
+
+////////////////////////
+// Cancel (any time before the claim, by original sender, if created cancellable)
+// Args: claim key
+////////////////////////
+handle_cancel:
+    txna ApplicationArgs 1
+    box_get
+    assert
+    store 10
+
+    // Must be original sender
+    txn Sender
+    load 10
+    extract 0 32
+    ==
+    assert
+
+    // Must have been created cancellable
+    load 10
+    int 72
+    extract_uint64
+    assert
+
+    txn Sender
+    store 11
+    b release
+
+////////////////////////
+// Extend (while unclaimed, by original sender)
+// Args: claim key, seconds to add to the expiry
+////////////////////////
+handle_extend:
+    txna ApplicationArgs 1
+    box_get
+    assert
+    store 10
+
+    // Must be original sender
+    txn Sender
+    load 10
+    extract 0 32
+    ==
+    assert
+
+    // Extension must be positive
+    txna ApplicationArgs 2
+    btoi
+    assert
+
+    txna ApplicationArgs 1
+    int 56
+    load 10
+    int 56
+    extract_uint64
+    txna ApplicationArgs 2
+    btoi
+    +
+    itob
+    box_replace
+
+    int 1
+    return
+
+////////////////////////
+// Top up (while unclaimed, by original sender)
+// Args: funding (GroupIndex - 1), claim key
+////////////////////////
+handle_top_up:
+    txna ApplicationArgs 1
+    box_get
+    assert
+    store 10
+
+    // Must be original sender
+    txn Sender
+    load 10
+    extract 0 32
+    ==
+    assert
+
+    // Scratch 1: funding index, 3: top-up amount
+    txn GroupIndex
+    int 1
+    -
+    store 1
+
+    load 1
+    gtxns Sender
+    txn Sender
+    ==
+    assert
+
+    load 10
+    int 40
+    extract_uint64
+    bnz top_up_check_asset_funding
+
+    // Payment to the escrow for ALGO claims
+    load 1
+    gtxns TypeEnum
+    int pay
+    ==
+    assert
+
+    load 1
+    gtxns Receiver
+    global CurrentApplicationAddress
+    ==
+    assert
+
+    load 1
+    gtxns Amount
+    store 3
+
+    b top_up_store
+
+top_up_check_asset_funding:
+    // Transfer of the claim's asset to the escrow for ASA claims
+    load 1
+    gtxns TypeEnum
+    int axfer
+    ==
+    assert
+
+    load 1
+    gtxns XferAsset
+    load 10
+    int 40
+    extract_uint64
+    ==
+    assert
+
+    load 1
+    gtxns AssetReceiver
+    global CurrentApplicationAddress
+    ==
+    assert
+
+    load 1
+    gtxns AssetAmount
+    store 3
+
+top_up_store:
+    // Amount must be positive
+    load 3
+    assert
+
+    txna ApplicationArgs 1
+    int 32
+    load 10
+    int 32
+    extract_uint64
+    load 3
+    +
+    itob
+    box_replace
+
+    int 1
+    return
+
+////////////////////////
+// Release the claim in scratch 10 to the address in scratch 11: delete the box, pay the
+// amount out and return the box minimum balance to the sender. Vesting claims pay out only
+// what has not been released yet.
+////////////////////////
+release:
+    byte "${VESTING_BOX_PREFIX}"
+    txna ApplicationArgs 1
+    concat
+    box_get
+    store 14
+    store 13
+    load 14
+    bz release_claim_box
+
+    load 10
+    load 10
+    int 32
+    extract_uint64
+    load 13
+    int 32
+    extract_uint64
+    -
+    itob
+    replace2 32
+    store 10
+
+release_claim_box:
+    txna ApplicationArgs 1
+    box_del
+    assert
+
+    itxn_begin
+
+    load 10
+    int 40
+    extract_uint64
+    bnz release_asset
+
+    int pay
+    itxn_field TypeEnum
+
+    load 11
+    itxn_field Receiver
+
+    load 10
+    int 32
+    extract_uint64
+    itxn_field Amount
+
+    int 1000
+    itxn_field Fee
+
+    b release_min_balance
+
+release_asset:
+    int axfer
+    itxn_field TypeEnum
+
+    load 10
+    int 40
+    extract_uint64
+    itxn_field XferAsset
+
+    load 11
+    itxn_field AssetReceiver
+
+    load 10
+    int 32
+    extract_uint64
+    itxn_field AssetAmount
+
+    int 1000
+    itxn_field Fee
+
+release_min_balance:
+    itxn_next
+    int pay
+    itxn_field TypeEnum
+
+    load 10
+    extract 0 32
+    itxn_field Receiver
+
+    // Both boxes' minimum balance, deleting the schedule box if there is one
+    byte "${VESTING_BOX_PREFIX}"
+    txna ApplicationArgs 1
+    concat
+    box_del
+    int ${VESTING_BOX_MIN_BALANCE}
+    *
+    int ${CLAIM_BOX_MIN_BALANCE}
+    +
+    itxn_field Amount
+
+    int 1000
+    itxn_field Fee
+
+    itxn_submit
+
+    int 1
+    return`;
+}
+
+// ARC-56 app spec, so wallets and explorers can decode calls to the escrow
+export function createEscrowAppSpec() {
+  return {
+    arcs: [4, 56],
+    name: ESCROW_CONTRACT.name,
+    desc: ESCROW_CONTRACT.description,
+    structs: {},
+    methods: ESCROW_METHODS.map(method => ({
+      ...method,
+      actions: { create: [], call: ['NoOp'] },
+      readonly: false,
+      events: [],
+      recommendations: {}
+    })),
+    state: {
+      schema: {
+        global: { ints: 0, bytes: 0 },
+        local: { ints: 0, bytes: 0 }
+      },
+      keys: { global: {}, local: {}, box: {} },
+      maps: {
+        global: {},
+        local: {},
+        box: {
+          claims: {
+            keyType: 'byte[32]',
+            valueType: 'byte[112]',
+            desc: 'sender (32) | amount (8) | asset ID (8) | created (8) | expires (8) | mode (8) | cancellable (8) | recipient (32)'
+          },
+          vesting: {
+            keyType: 'byte[32]',
+            valueType: 'byte[40]',
+            prefix: Buffer.from(VESTING_BOX_PREFIX).toString('base64'),
+            desc: 'start (8) | cliff seconds (8) | interval seconds (8) | periods (8) | released (8)'
+          }
+        }
+      }
+    },
+    bareActions: { create: ['NoOp'], call: [] },
+    source: {
+      approval: Buffer.from(createEscrowContractTeal()).toString('base64'),
+      clear: Buffer.from(ESCROW_CLEAR_TEAL).toString('base64')
+    },
+    events: [],
+    templateVariables: {}
+  };
+}
+
+// ARC-32 app spec for tooling that predates ARC-56
+export function createEscrowArc32Spec() {
+  return {
+    hints: Object.fromEntries(ESCROW_CONTRACT.methods.map(method => [
+      method.getSignature(),
+      { call_config: { no_op: 'CALL' } }
+    ])),
+    source: {
+      approval: Buffer.from(createEscrowContractTeal()).toString('base64'),
+      clear: Buffer.from(ESCROW_CLEAR_TEAL).toString('base64')
+    },
+    state: {
+      global: { num_byte_slices: 0, num_uints: 0 },
+      local: { num_byte_slices: 0, num_uints: 0 }
+    },
+    schema: {
+      global: { declared: {}, reserved: {} },
+      local: { declared: {}, reserved: {} }
+    },
+    contract: {
+      name: ESCROW_CONTRACT.name,
+      desc: ESCROW_CONTRACT.description,
+      methods: ESCROW_METHODS
+    },
+    bare_call_config: { no_op: 'CREATE' }
+  };
+}
+
+// Decode a claim box value into its fields
+export function decodeClaimBox(value) {
+  const bytes = Buffer.from(value);
+  return {
+    sender: algosdk.encodeAddress(bytes.subarray(0, 32)),
+    amount: Number(bytes.readBigUInt64BE(32)),
+    assetId: Number(bytes.readBigUInt64BE(40)),
+    created: Number(bytes.readBigUInt64BE(48)),
+    expires: Number(bytes.readBigUInt64BE(56)),
+    claimMode: bytes.readBigUInt64BE(64) === 1n ? 'signature' : 'hash',
+    cancellable: bytes.readBigUInt64BE(72) === 1n,
+    // null when anyone holding the code may claim
+    recipient: bytes.subarray(80, 112).some(byte => byte !== 0)
+      ? algosdk.encodeAddress(bytes.subarray(80, 112))
+      : null
+  };
+}
+
+// Decode a vesting schedule box value into its fields
+export function decodeVestingBox(value) {
+  const bytes = Buffer.from(value);
+  return {
+    start: Number(bytes.readBigUInt64BE(0)),
+    cliffSeconds: Number(bytes.readBigUInt64BE(8)),
+    intervalSeconds: Number(bytes.readBigUInt64BE(16)),
+    periods: Number(bytes.readBigUInt64BE(24)),
+    released: Number(bytes.readBigUInt64BE(32))
+  };
+}
+
+export function vestingBoxName(claimKey) {
+  return new Uint8Array([...new TextEncoder().encode(VESTING_BOX_PREFIX), ...claimKey]);
+}
+
+// Box references for calls that release a claim (claim, refund, cancel), which read and
+// delete the vesting schedule box whether or not the claim has one
+export function releaseBoxRefs(appId, claimKey) {
+  return [
+    { appIndex: appId, name: claimKey },
+    { appIndex: appId, name: vestingBoxName(claimKey) }
+  ];
+}
+
+async function getBoxValue(algodClient, appId, name) {
+  try {
+    const box = await algodClient.getApplicationBoxByName(appId, name).do();
+    return box.value;
+  } catch (error) {
+    if (error.status === 404 || error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Read a claim from the escrow, or null if no box exists for the claim key. Vesting claims
+// carry their schedule as claim.vesting.
+export async function getEscrowClaim(algodClient, appId, claimKey) {
+  const value = await getBoxValue(algodClient, appId, claimKey);
+  if (!value) {
+    return null;
+  }
+  const vestingValue = await getBoxValue(algodClient, appId, vestingBoxName(claimKey));
+  return { ...decodeClaimBox(value), vesting: vestingValue ? decodeVestingBox(vestingValue) : null };
+}
+
+// Vesting progress of a claim at a unix time, mirroring the contract: nothing before the
+// cliff, then one equal tranche per whole interval since the start. Amounts in base units.
+export function getVestingStatus(claim, now = Math.floor(Date.now() / 1000)) {
+  const { start, cliffSeconds, intervalSeconds, periods, released } = claim.vesting;
+  const elapsedPeriods = now < start + cliffSeconds
+    ? 0
+    : Math.min(periods, Math.floor((now - start) / intervalSeconds));
+  const vested = elapsedPeriods >= periods
+    ? claim.amount
+    : Number(BigInt(claim.amount) * BigInt(elapsedPeriods) / BigInt(periods));
+  const nextUnlock = elapsedPeriods >= periods
+    ? null
+    : Math.max(start + cliffSeconds, start + (elapsedPeriods + 1) * intervalSeconds);
+  return {
+    vested,
+    claimed: released,
+    claimable: vested - released,
+    remaining: claim.amount - released,
+    elapsedPeriods,
+    nextUnlock
+  };
+}
+
+// Claim keys (base64) of every claim a sender has created in the escrow, read from their
+// create calls on the indexer. Claims that were since claimed or refunded are included.
+export async function findSenderClaimKeys(indexerClient, appId, senderAddress) {
+  const createSelectors = new Set(['create', 'createVesting']
+    .map(name => Buffer.from(getEscrowMethod(name).getSelector()).toString('hex')));
+  const claimKeys = new Set();
+  let nextToken = null;
+  do {
+    let request = indexerClient.searchForTransactions()
+      .address(senderAddress)
+      .addressRole('sender')
+      .txType('appl')
+      .applicationID(appId)
+      .limit(1000);
+    if (nextToken) {
+      request = request.nextToken(nextToken);
+    }
+    const response = await request.do();
+    const transactions = response.transactions || [];
+    for (const txn of transactions) {
+      const [selector, claimKey] = txn.applicationTransaction?.applicationArgs || [];
+      if (selector && createSelectors.has(Buffer.from(selector).toString('hex')) && claimKey?.length === CLAIM_KEY_LENGTH) {
+        claimKeys.add(Buffer.from(claimKey).toString('base64'));
+      }
+    }
+    nextToken = transactions.length > 0 ? response.nextToken || null : null;
+  } while (nextToken);
+  return claimKeys;
+}
+
+// The pending claims among a sender's claim keys (base64). Only those boxes are read, so the
+// cost follows the sender's own claims rather than everything the escrow holds.
+export async function listEscrowClaims(algodClient, appId, senderAddress, claimKeys) {
+  const claims = [];
+  for (const encodedKey of claimKeys) {
+    const claimKey = new Uint8Array(Buffer.from(encodedKey, 'base64'));
+    const value = await getBoxValue(algodClient, appId, claimKey);
+    if (!value) {
+      continue; // Claimed, refunded or cancelled since
+    }
+    const claim = decodeClaimBox(value);
+    if (claim.sender === senderAddress) {
+      claims.push({ claimKey, ...claim });
+    }
+  }
+  return claims;
+}
+
+// Check whether the escrow account has already opted into an asset
+async function isEscrowOptedIn(algodClient, appId, assetId) {
+  try {
+    await algodClient.accountAssetInformation(algosdk.getApplicationAddress(appId), assetId).do();
+    return true;
+  } catch (error) {
+    if (error.status === 404 || error.response?.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Build the [funding, topUp call] group adding amount (in base units) to a pending claim
+export function createEscrowTopUpTxns(appId, { senderAddress, claimKey, assetId = 0, amount, suggestedParams }) {
+  const escrowAddress = algosdk.getApplicationAddress(appId);
+  const note = new TextEncoder().encode('RandCash claim top-up');
+  const fundingTxn = assetId > 0
+    ? algosdk.makeAssetTransferTxnWithSuggestedParamsFromObject({
+        sender: senderAddress,
+        receiver: escrowAddress,
+        assetIndex: assetId,
+        amount,
+        suggestedParams,
+        note
+      })
+    : algosdk.makePaymentTxnWithSuggestedParamsFromObject({
+        sender: senderAddress,
+        receiver: escrowAddress,
+        amount,
+        suggestedParams,
+        note
+      });
+
+  const signer = algosdk.makeEmptyTransactionSigner();
+  const atc = new algosdk.AtomicTransactionComposer();
+  atc.addMethodCall({
+    appID: appId,
+    method: getEscrowMethod('topUp'),
+    methodArgs: [{ txn: fundingTxn, signer }, claimKey],
+    sender: senderAddress,
+    suggestedParams,
+    boxes: [{ appIndex: appId, name: claimKey }],
+    signer
+  });
+  return atc.buildGroup().map(({ txn }) => txn);
+}
+
+// Build one [min-balance payment, funding, create call] triple per claim as ARC-4 method
+// calls in a single atomic group. Each claim is { claimKey, claimMode, amount, expirySeconds,
+// cancellable, vesting } with amount in base units (microAlgos, or the asset's smallest unit); all claims in a group
+// share the asset. Claims with a vesting schedule ({ start, cliffSeconds, intervalSeconds,
+// periods }) use createVesting. The returned transactions are grouped and unsigned.
+export async function createEscrowClaimTxns(algodClient, appId, {
+  senderAddress,
+  claims,
+  assetId = 0,
+  suggestedParams
+}) {
+  if (claims.length === 0 || claims.length > MAX_CLAIMS_PER_GROUP) {
+    throw new Error(`A claim group holds between 1 and ${MAX_CLAIMS_PER_GROUP} claims`);
+  }
+
+  const escrowAddress = algosdk.getApplicationAddress(appId);
+  const flatFeeParams = { ...suggestedParams, fee: 1000, flatFee: true };
+  // Only the first create call opts the escrow in; later calls in the group see the holding
+  const needsOptIn = assetId > 0 && !(await isEscrowOptedIn(algodClient, appId, assetId));
+  const signer = algosdk.makeEmptyTransactionSigner();
+  const atc = new algosdk.AtomicTransactionComposer();
+
+  claims.forEach(({ claimKey, claimMode, amount, expirySeconds, cancellable = false, recipientAddress = null, vesting = null }, index) => {
+    // Number the notes of split sends so equal payments do not share a transaction ID
+    const noteSuffix = claims.length > 1 ? ` ${index + 1}` : '';
+    const minBalanceTxn = algosdk.makePaymentTxnWithSuggestedParamsFromObject({
+      sender: senderAddress,
+      receiver: escrowAddress,
+      amount: CLAIM_FUNDING + (needsOptIn && index === 0 ? ASSET_OPT_IN_FUNDING : 0) + (vesting ? VESTING_BOX_MIN_BALANCE : 0),
+      suggestedParams: flatFeeParams,
+      note: new TextEncoder().encode(`RandCash claim minimum balance${noteSuffix}`)
+    });
+
+    const fundingTxn = assetId > 0
+      ? algosdk.makeAssetTransferTxnWithSuggestedParamsFromObject({
+          sender: senderAddress,
+          receiver: escrowAddress,
+          assetIndex: assetId,
+          amount,
+          suggestedParams: flatFeeParams,
+          note: new TextEncoder().encode(`RandCash claim funding${noteSuffix}`)
+        })
+      : algosdk.makePaymentTxnWithSuggestedParamsFromObject({
+          sender: senderAddress,
+          receiver: escrowAddress,
+          amount,
+          suggestedParams: flatFeeParams,
+          note: new TextEncoder().encode(`RandCash claim funding${noteSuffix}`)
+        });
+
+    const methodArgs = [
+      { txn: minBalanceTxn, signer },
+      { txn: fundingTxn, signer },
+      claimKey,
+      expirySeconds,
+      claimMode === 'signature' ? 1 : 0,
+      cancellable,
+      recipientAddress || algosdk.ALGORAND_ZERO_ADDRESS_STRING
+    ];
+    if (vesting) {
+      methodArgs.push(vesting.start, vesting.cliffSeconds, vesting.intervalSeconds, vesting.periods);
+    }
+
+    atc.addMethodCall({
+      appID: appId,
+      method: getEscrowMethod(vesting ? 'createVesting' : 'create'),
+      methodArgs,
+      sender: senderAddress,
+      suggestedParams: flatFeeParams,
+      boxes: vesting ? releaseBoxRefs(appId, claimKey) : [{ appIndex: appId, name: claimKey }],
+      appForeignAssets: assetId > 0 ? [assetId] : undefined,
+      signer
+    });
+  });
+
+  return atc.buildGroup().map(({ txn }) => txn);
+}
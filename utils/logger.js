@@ -0,0 +1,138 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+// Structured JSON logging for the API server and Netlify functions. Each entry is one JSON
+// line with a timestamp, level, message, the current request ID and any fields passed in.
+//
+// Secrets are redacted before anything is written: fields named after secrets (claim codes,
+// mnemonics, keys, signed transactions) are dropped, and strings are scrubbed of claim codes,
+// mnemonics and word codes, email addresses and base64 transaction blobs.
+//
+// LOG_LEVEL sets the lowest level written: debug, info (default), warn or error.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_FIELDS = new Set([
+  'claimcode',
+  'normalizedclaimcode',
+  'claimwords',
+  'code',
+  'proof',
+  'mnemonic',
+  'seedmnemonic',
+  'secretkey',
+  'privatekey',
+  'sk',
+  'signedtransaction',
+  'signedtransactions',
+  'signedtxn',
+  'signedtxns'
+]);
+
+const REDACTIONS = [
+  // Base64 blobs long enough to be transactions or signatures
+  [/[A-Za-z0-9+/]{80,}={0,2}/g, '[base64]'],
+  // Runs of 12 or more lowercase words: mnemonics and word-form claim codes
+  [/\b[a-z]{3,8}(?:[\s-]+[a-z]{3,8}){11,}\b/g, '[words]'],
+  // Hex claim codes, alone or as "appId-CODE", and their sha256 hex digests
+  [/\b[0-9A-Fa-f]{32}(?:[0-9A-Fa-f]{32})?\b/g, '[hex]'],
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]']
+];
+
+const requestContext = new AsyncLocalStorage();
+
+function getMinLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+function redactString(text) {
+  return REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (value instanceof Uint8Array) {
+    return `[${value.length} bytes]`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (depth >= 5) {
+    return '[nested]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+    key,
+    SECRET_FIELDS.has(key.toLowerCase()) ? '[redacted]' : redact(fieldValue, depth + 1)
+  ]));
+}
+
+// Fold the arguments after the message into fields: objects are merged, an Error becomes
+// `error` and anything else is collected under `details`
+function toFields(details) {
+  const fields = {};
+  for (const detail of details) {
+    if (detail instanceof Error) {
+      fields.error = detail;
+    } else if (detail && typeof detail === 'object' && !Array.isArray(detail) && !(detail instanceof Uint8Array)) {
+      Object.assign(fields, detail);
+    } else {
+      (fields.details ||= []).push(detail);
+    }
+  }
+  return fields;
+}
+
+function write(level, message, details) {
+  if (LEVELS[level] < getMinLevel()) {
+    return;
+  }
+  if (typeof message !== 'string') {
+    details = [message, ...details];
+    message = '';
+  }
+  // Details go first so a field named like one of ours can't overwrite it
+  const entry = {
+    ...redact(toFields(details)),
+    ...requestContext.getStore(),
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(message)
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+export const logger = {
+  debug: (message, ...details) => write('debug', message, details),
+  info: (message, ...details) => write('info', message, details),
+  warn: (message, ...details) => write('warn', message, details),
+  error: (message, ...details) => write('error', message, details)
+};
+
+// Run an API request with its ID attached to every entry logged while it is handled.
+// An ID supplied by the platform or caller is kept so logs can be matched up with theirs.
+export function withRequestContext({ requestId, route }, callback) {
+  return requestContext.run({ requestId: requestId || randomUUID(), route }, callback);
+}
+
+export function getRequestId() {
+  return requestContext.getStore()?.requestId;
+}
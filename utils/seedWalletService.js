@@ -1,7 +1,30 @@
 import algosdk from 'algosdk';
 import { createAlgodClient } from './algorandClient.js';
+import { logger } from './logger.js';
+import { getCounter, incrementCounter } from './storage.js';
+
+// Minimum-balance top-ups for wallets just generated in the browser: at most an empty
+// account's base plus one asset opt-in
+const MAX_TOP_UP_MICROALGOS = 200000;
+
+// Sponsored claim groups allowed per receiver and per client IP in each window, and top-ups
+// per client IP, since every fresh wallet is a new receiver
+const SPONSORSHIP_LIMITS = {
+  receiver: 5,
+  ip: 20,
+  topUpIp: 3
+};
+const SPONSORSHIP_WINDOW_SECONDS = 24 * 60 * 60;
+
+function sponsorshipCounterKeys(receiver, network, clientIp, topUp = 0) {
+  return {
+    receiver: `sponsor:${network}:${receiver}`,
+    ip: clientIp ? `sponsor-ip:${network}:${clientIp}` : null,
+    topUpIp: topUp > 0 ? `top-up-ip:${network}:${clientIp}` : null
+  };
+}
 
-// Copy of the seed wallet service for serverless functions
+// Seed wallet service shared by the Express server and Netlify functions
 class SeedWalletService {
   constructor() {
     this.seedMnemonic = process.env.SEED_MNEMONIC;
@@ -10,141 +33,79 @@ class SeedWalletService {
     if (this.isConfigured) {
       try {
         this.seedAccount = algosdk.mnemonicToSecretKey(this.seedMnemonic);
-        console.log('✅ Seed wallet configured:', this.seedAccount.addr);
+        logger.info('✅ Seed wallet configured:', this.seedAccount.addr);
       } catch (error) {
-        console.error('❌ Invalid seed mnemonic:', error.message);
+        logger.error('❌ Invalid seed mnemonic:', error.message);
         this.isConfigured = false;
       }
     } else {
-      console.log('💰 Seed wallet not configured - seeding will be skipped');
-    }
-    
-    // Rate limiting: track funding per address per hour
-    this.fundingHistory = new Map(); // address -> timestamp[]
-  }
-
-  // Check if seeding is needed
-  async needsSeeding(address, network = 'testnet', minimumBalance = 0.001) {
-    if (!this.isConfigured) return false;
-    
-    try {
-      const algodClient = createAlgodClient(network);
-      const accountInfo = await algodClient.accountInformation(address).do();
-      const balance = typeof accountInfo.amount === 'bigint' ? accountInfo.amount : BigInt(accountInfo.amount);
-      const balanceAlgo = Number(balance) / 1000000;
-      
-      console.log(`💰 Account ${address} balance: ${balanceAlgo} ALGO`);
-      return balanceAlgo < minimumBalance;
-    } catch (error) {
-      if (error.message.includes('account does not exist')) {
-        console.log(`💰 Account ${address} does not exist, needs seeding`);
-        return true;
-      }
-      console.error('❌ Error checking account balance:', error);
-      return false;
-    }
-  }
-
-  // Check rate limiting
-  isRateLimited(address) {
-    const now = Date.now();
-    const oneHourAgo = now - (60 * 60 * 1000);
-    
-    if (!this.fundingHistory.has(address)) {
-      return false;
-    }
-    
-    const addressHistory = this.fundingHistory.get(address);
-    // Remove old entries
-    const recentFunding = addressHistory.filter(timestamp => timestamp > oneHourAgo);
-    this.fundingHistory.set(address, recentFunding);
-    
-    // Allow max 3 funding requests per hour per address
-    return recentFunding.length >= 3;
-  }
-
-  // Record funding attempt
-  recordFunding(address) {
-    const now = Date.now();
-    if (!this.fundingHistory.has(address)) {
-      this.fundingHistory.set(address, []);
+      logger.info('💰 Seed wallet not configured - seeding will be skipped');
     }
-    this.fundingHistory.get(address).push(now);
   }
 
-  // Fund an account
-  async fundAccount(targetAddress, amount = 0.004, network = 'testnet', claimCode = null) {
+  // Build a payment from the seed wallet that pays the fees of the other `sponsoredCount`
+  // transactions in its atomic group (fee pooling), so they can be sent with fee 0. It is a
+  // zero-amount payment to the seed wallet itself, unless `topUp` microAlgos of minimum
+  // balance go to a fresh receiver. Nothing is spent unless the whole group confirms. Each
+  // receiver and client IP gets SPONSORSHIP_LIMITS confirmed sponsored groups a day (see
+  // recordSponsorship), counted in claim storage like the attempt limits. Returns null when
+  // the seed wallet cannot sponsor.
+  async createSponsorTransaction(receiver, sponsoredCount, suggestedParams, network = 'testnet', clientIp = null, topUp = 0) {
     if (!this.isConfigured) {
-      return {
-        success: false,
-        message: 'Seed wallet not configured',
-        reason: 'not_configured'
-      };
+      return null;
     }
 
-    // Check rate limiting
-    if (this.isRateLimited(targetAddress)) {
-      return {
-        success: false,
-        message: 'Rate limited: Too many funding requests for this address. Please wait before requesting more funds.',
-        reason: 'rate_limited'
-      };
+    // Top-ups are limited per IP, so callers without one get none
+    if (topUp > 0 && (topUp > MAX_TOP_UP_MICROALGOS || !clientIp)) {
+      return null;
     }
 
-    try {
-      const algodClient = createAlgodClient(network);
-      
-      // Check seed wallet balance
-      const seedInfo = await algodClient.accountInformation(this.seedAccount.addr).do();
-      const seedBalance = typeof seedInfo.amount === 'bigint' ? seedInfo.amount : BigInt(seedInfo.amount);
-      const seedBalanceAlgo = Number(seedBalance) / 1000000;
-      
-      if (seedBalanceAlgo < (amount + 0.001)) {
-        return {
-          success: false,
-          message: 'Insufficient seed wallet balance. Please contribute to the seed wallet.',
-          reason: 'insufficient_balance'
-        };
+    for (const [scope, key] of Object.entries(sponsorshipCounterKeys(receiver, network, clientIp, topUp))) {
+      const counter = key ? await getCounter(key) : null;
+      if (counter && counter.count >= SPONSORSHIP_LIMITS[scope]) {
+        logger.info(`⚠️ Sponsorship limit reached for ${key}`);
+        return null;
       }
+    }
 
-      // Create funding transaction
-      const suggestedParams = await algodClient.getTransactionParams().do();
-      const fundingTxn = algosdk.makePaymentTxnWithSuggestedParamsFromObject({
-        sender: this.seedAccount.addr,
-        receiver: targetAddress,
-        amount: Math.floor(amount * 1000000), // Convert to microAlgos
-        suggestedParams: suggestedParams,
-        note: new TextEncoder().encode(`RandCash seed funding${claimCode ? ` for claim ${claimCode}` : ''}`)
-      });
-
-      // Sign and submit
-      const signedTxn = algosdk.signTransaction(fundingTxn, this.seedAccount.sk);
-      const txResponse = await algodClient.sendRawTransaction(signedTxn).do();
-      const txId = txResponse.txid || txResponse.txId;
-
-      // Wait for confirmation
-      await algosdk.waitForConfirmation(algodClient, txId, 10);
+    const fee = BigInt(suggestedParams.minFee) * BigInt(sponsoredCount + 1);
+    const { balance } = await this.checkSeedWalletBalance(network);
+    if (balance * 1000000 < Number(fee) + topUp + 100000) {
+      logger.info('⚠️ Seed wallet balance too low to sponsor claim fees');
+      return null;
+    }
 
-      // Record successful funding
-      this.recordFunding(targetAddress);
+    return algosdk.makePaymentTxnWithSuggestedParamsFromObject({
+      sender: this.seedAccount.addr,
+      receiver: topUp > 0 ? receiver : this.seedAccount.addr,
+      amount: topUp,
+      suggestedParams: { ...suggestedParams, fee, flatFee: true },
+      note: new TextEncoder().encode('RandCash claim fee sponsorship')
+    });
+  }
 
-      return {
-        success: true,
-        transactionId: txId,
-        amount: amount,
-        seedWalletBalance: seedBalanceAlgo - amount - 0.001
-      };
+  // Whether a transaction of a submitted group is a payment from the seed wallet
+  isSponsorPayment(txn) {
+    return this.isConfigured
+      && txn.type === algosdk.TransactionType.pay
+      && txn.sender.toString() === this.seedAccount.addr.toString();
+  }
 
-    } catch (error) {
-      console.error('❌ Seed funding failed:', error);
-      return {
-        success: false,
-        message: `Seed funding failed: ${error.message}`,
-        reason: 'transaction_failed'
-      };
+  // Count a sponsored group, and any top-up it paid, against its receiver and client IP once
+  // it has confirmed, so groups the wallet rejects or that fail don't use up the allowance
+  async recordSponsorship(receiver, network = 'testnet', clientIp = null, topUp = 0) {
+    for (const key of Object.values(sponsorshipCounterKeys(receiver, network, clientIp, topUp))) {
+      if (key) {
+        await incrementCounter(key, SPONSORSHIP_WINDOW_SECONDS);
+      }
     }
   }
 
+  // Sign a sponsor transaction once it has been grouped
+  signSponsorTransaction(txn) {
+    return txn.signTxn(this.seedAccount.sk);
+  }
+
   // Check seed wallet balance
   async checkSeedWalletBalance(network = 'testnet') {
     if (!this.isConfigured) {
@@ -167,7 +128,7 @@ class SeedWalletService {
         balance: balanceAlgo
       };
     } catch (error) {
-      console.error('❌ Error checking seed wallet balance:', error);
+      logger.error('❌ Error checking seed wallet balance:', error);
       return {
         configured: true,
         address: this.seedAccount.addr,
@@ -1,125 +1,250 @@
-import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { createMemoryBackend } from './storage/memoryBackend.js';
+import { createFileBackend } from './storage/fileBackend.js';
+import { logger } from './logger.js';
 
-// Simple file-based storage for serverless environment
-// Note: In serverless environments, /tmp storage is ephemeral and may not persist between function calls
-const STORAGE_DIR = '/tmp/randcash-claims';
+// Claim storage shared by the Express server and the Netlify functions. It also holds the
+// counters behind rate limiting and fee sponsorship, and the audit trail of repeated failures.
+//
+// The backend is chosen with STORAGE_BACKEND:
+//   memory  in-process only, lost on restart
+//   fs      one JSON file per claim under STORAGE_PATH (default)
+//   sqlite  a SQLite database at STORAGE_PATH (requires better-sqlite3)
+//
+// Note: on serverless platforms /tmp is per-instance and ephemeral, so the fs backend only
+// persists claims reliably on a long-running server or a mounted volume.
 
-// In-memory fallback for development
-const memoryStorage = new Map();
+const DEFAULT_FS_PATH = '/tmp/randcash-claims';
+const DEFAULT_SQLITE_PATH = '/tmp/randcash-claims.db';
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
 
-// Ensure storage directory exists
-function ensureStorageDir() {
-  if (!fs.existsSync(STORAGE_DIR)) {
-    fs.mkdirSync(STORAGE_DIR, { recursive: true });
+// Claim codes become file names in the fs backend, so only allow plain identifiers
+const CLAIM_CODE_REGEX = /^[A-Za-z0-9_-]{1,128}$/;
+
+let storagePromise = null;
+let lastCleanup = 0;
+
+function getTtlSeconds() {
+  const ttl = parseInt(process.env.CLAIM_STORAGE_TTL_SECONDS, 10);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+async function createBackend() {
+  const backend = (process.env.STORAGE_BACKEND || 'fs').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryBackend();
+    case 'fs':
+      return createFileBackend(path.resolve(process.env.STORAGE_PATH || DEFAULT_FS_PATH));
+    case 'sqlite': {
+      const { createSqliteBackend } = await import('./storage/sqliteBackend.js');
+      return createSqliteBackend(path.resolve(process.env.STORAGE_PATH || DEFAULT_SQLITE_PATH));
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use memory, fs or sqlite.`);
   }
 }
 
-// Store claim information
-export function storeClaim(claimCode, claimData) {
+// Resolve the configured backend once per process
+export function getStorage() {
+  if (!storagePromise) {
+    storagePromise = createBackend().then(storage => {
+      logger.info(`💾 Using ${storage.name} claim storage`);
+      return storage;
+    }).catch(error => {
+      storagePromise = null;
+      throw error;
+    });
+  }
+  return storagePromise;
+}
+
+function assertClaimCode(claimCode) {
+  if (typeof claimCode !== 'string' || !CLAIM_CODE_REGEX.test(claimCode)) {
+    throw new Error('Invalid claim code format');
+  }
+}
+
+// Expired claims are removed lazily, at most once per interval, on the next storage access
+async function getStorageWithCleanup() {
+  const storage = await getStorage();
+  if (Date.now() - lastCleanup > CLEANUP_INTERVAL_MS) {
+    lastCleanup = Date.now();
+    try {
+      const removed = await storage.deleteExpired(new Date().toISOString());
+      if (removed > 0) {
+        logger.info(`🧹 Removed ${removed} expired claims from storage`);
+      }
+    } catch (error) {
+      logger.error('Error removing expired claims:', error);
+    }
+  }
+  return storage;
+}
+
+// When a stored record is removed. A record with the claim's on-chain expiry (claimExpiresAt)
+// is kept for the TTL after the claim ends, however long the claim runs, so its message and
+// recipient outlive it for history and cancellation notices. Others are kept for the TTL
+// from creation.
+function getRecordExpiry(claimData, createdAt) {
+  if (claimData.claimExpiresAt) {
+    const claimEnds = Math.max(new Date(claimData.claimExpiresAt).getTime(), createdAt.getTime());
+    return new Date(claimEnds + getTtlSeconds() * 1000).toISOString();
+  }
+  return claimData.expiresAt || new Date(createdAt.getTime() + getTtlSeconds() * 1000).toISOString();
+}
+
+// Store claim information, replacing any existing record for the code
+export async function storeClaim(claimCode, claimData) {
+  assertClaimCode(claimCode);
+  const storage = await getStorageWithCleanup();
+  const createdAt = claimData.createdAt ? new Date(claimData.createdAt) : new Date();
   const data = {
     ...claimData,
-    createdAt: claimData.createdAt || new Date(),
+    claimCode,
+    recipient: claimData.recipient ? claimData.recipient.toLowerCase() : claimData.recipient,
+    createdAt: createdAt.toISOString(),
+    expiresAt: getRecordExpiry(claimData, createdAt),
     claimed: claimData.claimed || false
   };
-  
-  // Store in memory first
-  memoryStorage.set(claimCode, data);
-  
-  // Try to store in file system as backup
-  try {
-    ensureStorageDir();
-    const filePath = path.join(STORAGE_DIR, `${claimCode}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    console.log(`💾 Stored claim ${claimCode} in both memory and file system`);
-  } catch (error) {
-    console.log(`💾 Stored claim ${claimCode} in memory only (file system unavailable):`, error.message);
-  }
+
+  await storage.put(claimCode, data);
+  logger.info(`💾 Stored claim for app ${data.applicationId} in ${storage.name} storage`);
+  return data;
 }
 
 // Get claim information
-export function getClaim(claimCode) {
-  // Check memory first
-  if (memoryStorage.has(claimCode)) {
-    console.log(`📖 Retrieved claim ${claimCode} from memory`);
-    return memoryStorage.get(claimCode);
+export async function getClaim(claimCode) {
+  if (typeof claimCode !== 'string' || !CLAIM_CODE_REGEX.test(claimCode)) {
+    return null;
   }
-  
-  // Fallback to file system
-  try {
-    ensureStorageDir();
-    const filePath = path.join(STORAGE_DIR, `${claimCode}.json`);
-    
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8');
-      const claim = JSON.parse(data);
-      // Store back in memory for faster access
-      memoryStorage.set(claimCode, claim);
-      console.log(`📖 Retrieved claim ${claimCode} from file system`);
-      return claim;
-    }
-  } catch (error) {
-    console.error('Error reading claim file:', error);
+  const storage = await getStorageWithCleanup();
+  const claim = await storage.get(claimCode);
+  if (!claim) {
+    logger.info(`❌ Claim not found in ${storage.name} storage`);
+  }
+  return claim;
+}
+
+// Merge fields into an existing claim. Returns the updated claim, or null if it does not exist.
+export async function updateClaim(claimCode, updates) {
+  const claim = await getClaim(claimCode);
+  if (!claim) {
+    return null;
   }
-  
-  console.log(`❌ Claim ${claimCode} not found in memory or file system`);
-  return null;
-}
-
-// Mark claim as used
-export function markClaimAsUsed(claimCode) {
-  const claim = getClaim(claimCode);
-  if (claim) {
-    claim.claimed = true;
-    claim.claimedAt = new Date();
-    storeClaim(claimCode, claim);
-    console.log(`✅ Marked claim ${claimCode} as used`);
+  return storeClaim(claimCode, { ...claim, ...updates });
+}
+
+// Atomically mark a claim as used. Returns false if it does not exist or was already claimed,
+// so concurrent requests for the same code cannot both succeed.
+export async function markClaimAsUsed(claimCode) {
+  assertClaimCode(claimCode);
+  const storage = await getStorageWithCleanup();
+  const marked = await storage.markUsed(claimCode, new Date().toISOString());
+  if (marked) {
+    logger.info('✅ Marked claim as used');
   } else {
-    console.log(`⚠️ Could not find claim ${claimCode} to mark as used`);
+    logger.info('⚠️ Claim not found or already used');
   }
+  return marked;
+}
+
+export async function deleteClaim(claimCode) {
+  assertClaimCode(claimCode);
+  const storage = await getStorage();
+  return storage.delete(claimCode);
 }
 
 // List all claims (for debug endpoints)
-export function getAllClaims() {
-  ensureStorageDir();
-  
-  try {
-    const files = fs.readdirSync(STORAGE_DIR);
-    const claims = [];
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const claimCode = file.replace('.json', '');
-        const claim = getClaim(claimCode);
-        if (claim) {
-          claims.push({ code: claimCode, ...claim });
-        }
-      }
-    }
-    
-    return claims;
-  } catch (error) {
-    console.error('Error listing claims:', error);
-    return [];
+export async function getAllClaims() {
+  const storage = await getStorageWithCleanup();
+  return storage.list();
+}
+
+export async function findClaimsBySender(sender) {
+  const storage = await getStorageWithCleanup();
+  return storage.findBySender(sender);
+}
+
+export async function findClaimsByRecipient(recipient) {
+  const storage = await getStorageWithCleanup();
+  return storage.findByRecipient(recipient.toLowerCase());
+}
+
+export async function findClaimsByApplicationId(applicationId) {
+  const storage = await getStorageWithCleanup();
+  return storage.findByApplicationId(applicationId);
+}
+
+// Claims stored under an escrow claim key (base64). Keys are unique within an escrow, but
+// the same key could in principle appear on another network, so callers check the app ID.
+export async function findClaimsByClaimKey(claimKey) {
+  const storage = await getStorageWithCleanup();
+  return storage.findByClaimKey(claimKey);
+}
+
+// Counter for a rate-limit key such as "ip:203.0.113.7" or "sponsor:<address>", or null
+// once it has expired (nothing counted for its TTL)
+export async function getCounter(key) {
+  const storage = await getStorage();
+  const counter = await storage.getCounter(key);
+  return counter && counter.expiresAt > new Date().toISOString() ? counter : null;
+}
+
+// Count one event, such as a failed attempt, against a key and extend its TTL. Every
+// backend increments atomically, so concurrent events are all counted.
+export async function incrementCounter(key, ttlSeconds) {
+  const storage = await getStorageWithCleanup();
+  const now = new Date();
+  return storage.incrementCounter(key, now.toISOString(), new Date(now.getTime() + ttlSeconds * 1000).toISOString());
+}
+
+// Whether every instance serving the API sees the same storage. A long-running server is a
+// single instance; on serverless platforms memory and /tmp belong to one function instance.
+export function isStorageShared() {
+  if (!process.env.NETLIFY && !process.env.AWS_LAMBDA_FUNCTION_NAME) {
+    return true;
+  }
+  const backend = (process.env.STORAGE_BACKEND || 'fs').toLowerCase();
+  if (backend === 'memory') {
+    return false;
   }
+  const storagePath = path.resolve(process.env.STORAGE_PATH || (backend === 'sqlite' ? DEFAULT_SQLITE_PATH : DEFAULT_FS_PATH));
+  return !storagePath.startsWith(`${os.tmpdir()}${path.sep}`);
+}
+
+// Append an event to the audit trail
+export async function appendAuditEvent(type, details) {
+  const storage = await getStorage();
+  await storage.appendAudit({ type, ...details, at: new Date().toISOString() });
+}
+
+// Most recent audit events first (for debug endpoints)
+export async function getAuditEvents(limit = 100) {
+  const storage = await getStorage();
+  return storage.listAudit(limit);
+}
+
+// Remove claims past their storage TTL. Returns the number removed.
+export async function cleanupExpiredClaims() {
+  const storage = await getStorage();
+  lastCleanup = Date.now();
+  return storage.deleteExpired(new Date().toISOString());
 }
 
-// Clear incomplete claims (for debug)
-export function clearIncompleteClaims() {
-  const claims = getAllClaims();
+// Clear claims that never got an application ID (for debug)
+export async function clearIncompleteClaims() {
+  const storage = await getStorage();
   let removed = 0;
-  
-  for (const claim of claims) {
-    if (!claim.applicationId) {
-      const filePath = path.join(STORAGE_DIR, `${claim.code}.json`);
-      try {
-        fs.unlinkSync(filePath);
-        removed++;
-      } catch (error) {
-        console.error('Error removing claim file:', error);
-      }
+
+  for (const claim of await storage.list()) {
+    if (!claim.applicationId && await storage.delete(claim.claimCode)) {
+      removed++;
     }
   }
-  
+
   return removed;
-}
\ No newline at end of file
+}
@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+
+// Filesystem claim storage: one JSON file per claim plus marker files for the indexes.
+// Survives process restarts on a persistent disk, but note that /tmp on serverless
+// platforms is per-instance and ephemeral.
+//
+// Layout under the base directory:
+//   claims/<code>.json                  claim record
+//   claimed/<code>                      created exclusively when a claim is marked as used
+//   index/<field>/<value>/<code>        empty marker per indexed field value
+//   counters/<key>.json                 counter for rate limiting and usage limits
+//   counters/<key>.json.lock            held while a counter is incremented
+//   audit.log                           audit events, one JSON object per line
+
+const INDEX_FIELDS = ['sender', 'recipient', 'applicationId', 'claimKey'];
+
+// A lock older than this was left by a process that died mid-increment
+const LOCK_STALE_MS = 5000;
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_RETRY_MS = 10;
+
+export function createFileBackend(baseDir) {
+  const claimsDir = path.join(baseDir, 'claims');
+  const claimedDir = path.join(baseDir, 'claimed');
+  const indexDir = path.join(baseDir, 'index');
+  const countersDir = path.join(baseDir, 'counters');
+  const auditPath = path.join(baseDir, 'audit.log');
+
+  // Fields indexed since the directory was created are indexed for existing claims below
+  const newIndexFields = fs.existsSync(claimsDir)
+    ? INDEX_FIELDS.filter(field => !fs.existsSync(path.join(indexDir, field)))
+    : [];
+  for (const dir of [claimsDir, claimedDir, countersDir, ...INDEX_FIELDS.map(field => path.join(indexDir, field))]) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const claimPath = (claimCode) => path.join(claimsDir, `${claimCode}.json`);
+  const claimedPath = (claimCode) => path.join(claimedDir, claimCode);
+  const indexPath = (field, value) => path.join(indexDir, field, encodeURIComponent(String(value)));
+  const counterFile = (key) => path.join(countersDir, `${encodeURIComponent(key)}.json`);
+
+  // Write via a temporary file and rename so readers never see a partial record
+  function writeAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tempPath, contents);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function readJson(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Run fn while holding a lock file. Exclusive creation makes the lock hold across processes
+  // sharing the disk, not just within this one.
+  async function withLock(lockPath, fn) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+            fs.rmSync(lockPath, { force: true });
+            continue;
+          }
+        } catch (statError) {
+          if (statError.code !== 'ENOENT') {
+            throw statError;
+          }
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for lock ${path.basename(lockPath)}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  function readClaim(claimCode) {
+    try {
+      const claim = JSON.parse(fs.readFileSync(claimPath(claimCode), 'utf8'));
+      // The claimed marker is authoritative even if the record update did not land
+      if (!claim.claimed && fs.existsSync(claimedPath(claimCode))) {
+        claim.claimed = true;
+        claim.claimedAt = fs.readFileSync(claimedPath(claimCode), 'utf8') || null;
+      }
+      return claim;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  function updateIndexes(claimCode, claim, add, fields = INDEX_FIELDS) {
+    for (const field of fields) {
+      if (claim[field] === undefined || claim[field] === null) {
+        continue;
+      }
+      const dir = indexPath(field, claim[field]);
+      if (add) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, claimCode), '');
+      } else {
+        fs.rmSync(path.join(dir, claimCode), { force: true });
+      }
+    }
+  }
+
+  function findBy(field, value) {
+    let codes;
+    try {
+      codes = fs.readdirSync(indexPath(field, value));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return codes.map(readClaim).filter(Boolean);
+  }
+
+  function listClaimCodes() {
+    return fs.readdirSync(claimsDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+
+  function removeClaim(claimCode, claim) {
+    updateIndexes(claimCode, claim, false);
+    fs.rmSync(claimPath(claimCode), { force: true });
+    fs.rmSync(claimedPath(claimCode), { force: true });
+  }
+
+  for (const claimCode of newIndexFields.length > 0 ? listClaimCodes() : []) {
+    const claim = readClaim(claimCode);
+    if (claim) {
+      updateIndexes(claimCode, claim, true, newIndexFields);
+    }
+  }
+
+  return {
+    name: 'fs',
+
+    async put(claimCode, claim) {
+      const existing = readClaim(claimCode);
+      if (existing) {
+        updateIndexes(claimCode, existing, false);
+      }
+      writeAtomic(claimPath(claimCode), JSON.stringify(claim, null, 2));
+      updateIndexes(claimCode, claim, true);
+    },
+
+    async get(claimCode) {
+      return readClaim(claimCode);
+    },
+
+    async delete(claimCode) {
+      const claim = readClaim(claimCode);
+      if (!claim) {
+        return false;
+      }
+      removeClaim(claimCode, claim);
+      return true;
+    },
+
+    // Exclusive creation of the marker file is atomic across processes sharing the disk
+    async markUsed(claimCode, claimedAt) {
+      const claim = readClaim(claimCode);
+      if (!claim || claim.claimed) {
+        return false;
+      }
+      try {
+        fs.writeFileSync(claimedPath(claimCode), claimedAt, { flag: 'wx' });
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          return false;
+        }
+        throw error;
+      }
+      writeAtomic(claimPath(claimCode), JSON.stringify({ ...claim, claimed: true, claimedAt }, null, 2));
+      return true;
+    },
+
+    async list() {
+      return listClaimCodes().map(readClaim).filter(Boolean);
+    },
+
+    async findBySender(sender) {
+      return findBy('sender', sender);
+    },
+
+    async findByRecipient(recipient) {
+      return findBy('recipient', recipient);
+    },
+
+    async findByApplicationId(applicationId) {
+      return findBy('applicationId', applicationId);
+    },
+
+    async findByClaimKey(claimKey) {
+      return findBy('claimKey', claimKey);
+    },
+
+    async getCounter(key) {
+      return readJson(counterFile(key));
+    },
+
+    async incrementCounter(key, now, expiresAt) {
+      const counterPath = counterFile(key);
+      return withLock(`${counterPath}.lock`, () => {
+        const existing = readJson(counterPath);
+        const live = existing && existing.expiresAt > now ? existing : null;
+        const counter = {
+          key,
+          count: (live ? live.count : 0) + 1,
+          firstAt: live ? live.firstAt : now,
+          lastAt: now,
+          expiresAt
+        };
+        writeAtomic(counterPath, JSON.stringify(counter));
+        return counter;
+      });
+    },
+
+    // Appends of a single line are atomic enough for an audit log shared by processes
+    async appendAudit(event) {
+      fs.appendFileSync(auditPath, `${JSON.stringify(event)}\n`);
+    },
+
+    async listAudit(limit) {
+      let lines;
+      try {
+        lines = fs.readFileSync(auditPath, 'utf8').split('\n').filter(Boolean);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+      return lines.slice(-limit).reverse().map(line => JSON.parse(line));
+    },
+
+    // Returns the number of claims removed; expired counters are dropped too
+    async deleteExpired(now) {
+      let removed = 0;
+      for (const claimCode of listClaimCodes()) {
+        const claim = readClaim(claimCode);
+        if (claim && claim.expiresAt && claim.expiresAt <= now) {
+          removeClaim(claimCode, claim);
+          removed++;
+        }
+      }
+      for (const file of fs.readdirSync(countersDir).filter(name => name.endsWith('.json'))) {
+        const counter = readJson(path.join(countersDir, file));
+        if (counter && counter.expiresAt <= now) {
+          fs.rmSync(path.join(countersDir, file), { force: true });
+        }
+      }
+      return removed;
+    }
+  };
+}
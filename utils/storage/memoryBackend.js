@@ -0,0 +1,150 @@
+// In-memory claim storage. Fast and dependency-free, but lost when the process exits, so
+// only suitable for local development and tests.
+
+const INDEX_FIELDS = ['sender', 'recipient', 'applicationId', 'claimKey'];
+
+export function createMemoryBackend() {
+  const claims = new Map();
+  const counters = new Map();
+  const auditEvents = [];
+  // Secondary indexes: field -> value -> Set of claim codes
+  const indexes = Object.fromEntries(INDEX_FIELDS.map(field => [field, new Map()]));
+
+  function addToIndexes(claimCode, claim) {
+    for (const field of INDEX_FIELDS) {
+      if (claim[field] === undefined || claim[field] === null) {
+        continue;
+      }
+      const key = String(claim[field]);
+      if (!indexes[field].has(key)) {
+        indexes[field].set(key, new Set());
+      }
+      indexes[field].get(key).add(claimCode);
+    }
+  }
+
+  function removeFromIndexes(claimCode, claim) {
+    for (const field of INDEX_FIELDS) {
+      if (claim[field] === undefined || claim[field] === null) {
+        continue;
+      }
+      const codes = indexes[field].get(String(claim[field]));
+      if (codes) {
+        codes.delete(claimCode);
+        if (codes.size === 0) {
+          indexes[field].delete(String(claim[field]));
+        }
+      }
+    }
+  }
+
+  function findBy(field, value) {
+    const codes = indexes[field].get(String(value)) || new Set();
+    return [...codes].map(code => ({ ...claims.get(code) }));
+  }
+
+  return {
+    name: 'memory',
+
+    async put(claimCode, claim) {
+      const existing = claims.get(claimCode);
+      if (existing) {
+        removeFromIndexes(claimCode, existing);
+      }
+      claims.set(claimCode, { ...claim });
+      addToIndexes(claimCode, claim);
+    },
+
+    async get(claimCode) {
+      const claim = claims.get(claimCode);
+      return claim ? { ...claim } : null;
+    },
+
+    async delete(claimCode) {
+      const claim = claims.get(claimCode);
+      if (!claim) {
+        return false;
+      }
+      removeFromIndexes(claimCode, claim);
+      claims.delete(claimCode);
+      return true;
+    },
+
+    // Check-and-set runs without yielding, so concurrent callers cannot both succeed
+    async markUsed(claimCode, claimedAt) {
+      const claim = claims.get(claimCode);
+      if (!claim || claim.claimed) {
+        return false;
+      }
+      claim.claimed = true;
+      claim.claimedAt = claimedAt;
+      return true;
+    },
+
+    async list() {
+      return [...claims.values()].map(claim => ({ ...claim }));
+    },
+
+    async findBySender(sender) {
+      return findBy('sender', sender);
+    },
+
+    async findByRecipient(recipient) {
+      return findBy('recipient', recipient);
+    },
+
+    async findByApplicationId(applicationId) {
+      return findBy('applicationId', applicationId);
+    },
+
+    async findByClaimKey(claimKey) {
+      return findBy('claimKey', claimKey);
+    },
+
+    async getCounter(key) {
+      const counter = counters.get(key);
+      return counter ? { ...counter } : null;
+    },
+
+    // Read and written without awaiting in between, so increments cannot interleave
+    async incrementCounter(key, now, expiresAt) {
+      const existing = counters.get(key);
+      const live = existing && existing.expiresAt > now ? existing : null;
+      const counter = {
+        key,
+        count: (live ? live.count : 0) + 1,
+        firstAt: live ? live.firstAt : now,
+        lastAt: now,
+        expiresAt
+      };
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    async appendAudit(event) {
+      auditEvents.push({ ...event });
+    },
+
+    async listAudit(limit) {
+      return auditEvents.slice(-limit).reverse().map(event => ({ ...event }));
+    },
+
+    // Returns the number of claims removed; expired counters are dropped too
+    async deleteExpired(now) {
+      let removed = 0;
+      for (const [claimCode, claim] of claims) {
+        if (claim.expiresAt && claim.expiresAt <= now) {
+          removeFromIndexes(claimCode, claim);
+          claims.delete(claimCode);
+          removed++;
+        }
+      }
+      for (const [key, counter] of counters) {
+        if (counter.expiresAt <= now) {
+          counters.delete(key);
+        }
+      }
+      return removed;
+    }
+  };
+}
@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+
+// SQLite claim storage for a single long-running server with a persistent disk. Requires the
+// optional better-sqlite3 dependency. Indexed fields get their own columns; the full record
+// is kept as JSON alongside them.
+
+export async function createSqliteBackend(filePath) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error(`SQLite storage requires the better-sqlite3 package (${error.message})`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS claims (
+      claim_code TEXT PRIMARY KEY,
+      sender TEXT,
+      recipient TEXT,
+      application_id INTEGER,
+      claim_key TEXT,
+      claimed INTEGER NOT NULL DEFAULT 0,
+      claimed_at TEXT,
+      expires_at TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS claims_sender ON claims (sender);
+    CREATE INDEX IF NOT EXISTS claims_recipient ON claims (recipient);
+    CREATE INDEX IF NOT EXISTS claims_application_id ON claims (application_id);
+    CREATE INDEX IF NOT EXISTS claims_expires_at ON claims (expires_at);
+    CREATE TABLE IF NOT EXISTS counters (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      first_at TEXT NOT NULL,
+      last_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      data TEXT NOT NULL
+    );
+  `);
+
+  // Databases created before claim keys were indexed get the column, filled from the JSON
+  if (!db.prepare('PRAGMA table_info(claims)').all().some(column => column.name === 'claim_key')) {
+    db.exec(`
+      ALTER TABLE claims ADD COLUMN claim_key TEXT;
+      UPDATE claims SET claim_key = json_extract(data, '$.claimKey');
+    `);
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS claims_claim_key ON claims (claim_key)');
+
+  const statements = {
+    put: db.prepare(`
+      INSERT INTO claims (claim_code, sender, recipient, application_id, claim_key, claimed, claimed_at, expires_at, data)
+      VALUES (@claimCode, @sender, @recipient, @applicationId, @claimKey, @claimed, @claimedAt, @expiresAt, @data)
+      ON CONFLICT (claim_code) DO UPDATE SET
+        sender = excluded.sender,
+        recipient = excluded.recipient,
+        application_id = excluded.application_id,
+        claim_key = excluded.claim_key,
+        claimed = MAX(claims.claimed, excluded.claimed),
+        claimed_at = COALESCE(claims.claimed_at, excluded.claimed_at),
+        expires_at = excluded.expires_at,
+        data = excluded.data
+    `),
+    get: db.prepare('SELECT * FROM claims WHERE claim_code = ?'),
+    delete: db.prepare('DELETE FROM claims WHERE claim_code = ?'),
+    markUsed: db.prepare('UPDATE claims SET claimed = 1, claimed_at = ? WHERE claim_code = ? AND claimed = 0'),
+    list: db.prepare('SELECT * FROM claims'),
+    bySender: db.prepare('SELECT * FROM claims WHERE sender = ?'),
+    byRecipient: db.prepare('SELECT * FROM claims WHERE recipient = ?'),
+    byApplicationId: db.prepare('SELECT * FROM claims WHERE application_id = ?'),
+    byClaimKey: db.prepare('SELECT * FROM claims WHERE claim_key = ?'),
+    deleteExpired: db.prepare('DELETE FROM claims WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+    getCounter: db.prepare('SELECT * FROM counters WHERE key = ?'),
+    // One statement, so concurrent increments from any process are all counted. An expired
+    // counter starts again from 1.
+    incrementCounter: db.prepare(`
+      INSERT INTO counters (key, count, first_at, last_at, expires_at)
+      VALUES (@key, 1, @now, @now, @expiresAt)
+      ON CONFLICT (key) DO UPDATE SET
+        count = CASE WHEN counters.expires_at <= @now THEN 1 ELSE counters.count + 1 END,
+        first_at = CASE WHEN counters.expires_at <= @now THEN @now ELSE counters.first_at END,
+        last_at = @now,
+        expires_at = @expiresAt
+      RETURNING *
+    `),
+    deleteExpiredCounters: db.prepare('DELETE FROM counters WHERE expires_at <= ?'),
+    appendAudit: db.prepare('INSERT INTO audit_events (data) VALUES (?)'),
+    listAudit: db.prepare('SELECT data FROM audit_events ORDER BY id DESC LIMIT ?')
+  };
+
+  function toCounter(row) {
+    return row ? {
+      key: row.key,
+      count: row.count,
+      firstAt: row.first_at,
+      lastAt: row.last_at,
+      expiresAt: row.expires_at
+    } : null;
+  }
+
+  // The claimed columns are authoritative; the JSON copy may predate markUsed
+  function toClaim(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      ...JSON.parse(row.data),
+      claimed: row.claimed === 1,
+      claimedAt: row.claimed_at
+    };
+  }
+
+  return {
+    name: 'sqlite',
+
+    async put(claimCode, claim) {
+      statements.put.run({
+        claimCode,
+        sender: claim.sender ?? null,
+        recipient: claim.recipient ?? null,
+        applicationId: claim.applicationId ?? null,
+        claimKey: claim.claimKey ?? null,
+        claimed: claim.claimed ? 1 : 0,
+        claimedAt: claim.claimedAt ?? null,
+        expiresAt: claim.expiresAt ?? null,
+        data: JSON.stringify(claim)
+      });
+    },
+
+    async get(claimCode) {
+      return toClaim(statements.get.get(claimCode));
+    },
+
+    async delete(claimCode) {
+      return statements.delete.run(claimCode).changes > 0;
+    },
+
+    // The conditional update only changes a row that is still unclaimed
+    async markUsed(claimCode, claimedAt) {
+      return statements.markUsed.run(claimedAt, claimCode).changes === 1;
+    },
+
+    async list() {
+      return statements.list.all().map(toClaim);
+    },
+
+    async findBySender(sender) {
+      return statements.bySender.all(sender).map(toClaim);
+    },
+
+    async findByRecipient(recipient) {
+      return statements.byRecipient.all(recipient).map(toClaim);
+    },
+
+    async findByApplicationId(applicationId) {
+      return statements.byApplicationId.all(Number(applicationId)).map(toClaim);
+    },
+
+    async findByClaimKey(claimKey) {
+      return statements.byClaimKey.all(claimKey).map(toClaim);
+    },
+
+    async getCounter(key) {
+      return toCounter(statements.getCounter.get(key));
+    },
+
+    async incrementCounter(key, now, expiresAt) {
+      return toCounter(statements.incrementCounter.get({ key, now, expiresAt }));
+    },
+
+    async appendAudit(event) {
+      statements.appendAudit.run(JSON.stringify(event));
+    },
+
+    async listAudit(limit) {
+      return statements.listAudit.all(limit).map(row => JSON.parse(row.data));
+    },
+
+    // Returns the number of claims removed; expired counters are dropped too
+    async deleteExpired(now) {
+      statements.deleteExpiredCounters.run(now);
+      return statements.deleteExpired.run(now).changes;
+    }
+  };
+}